@@ -0,0 +1,347 @@
+/**
+ * Browser Pool Module
+ * Single Responsibility: Own the Playwright browser and hand out pages from recycled contexts
+ */
+
+import { chromium } from "playwright";
+import { getBrowserOptions, getContextOptions } from "../services/config.js";
+import { BROWSER_CRASH_MESSAGES } from "../utils/constants.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("browser-pool");
+
+/**
+ * Checks whether an error means the page or its context died
+ * Used by callers to decide if the lease must be released as broken
+ *
+ * @param {Error} error - Error thrown while using a pooled page
+ * @returns {boolean} True if the context should be recycled
+ */
+export function isCrashError(error) {
+	const message = (error?.message || "").toLowerCase();
+	return BROWSER_CRASH_MESSAGES.some((indicator) =>
+		message.includes(indicator),
+	);
+}
+
+/**
+ * Pool of browser contexts sharing a single Chromium instance
+ * The browser is launched once and reused for the whole run; contexts are
+ * recycled after a fixed number of pages or as soon as one of their pages crashes.
+ * Pages asking for different launch options (e.g. headless off for one domain)
+ * get their own browser, launched on first use
+ */
+export class BrowserPool {
+	/**
+	 * Creates a new browser pool
+	 * @param {object} options - Pool options
+	 * @param {object} options.launchOptions - Options passed to launcher.launch()
+	 * @param {object} options.contextOptions - Default options for browser.newContext()
+	 * @param {number} options.maxPagesPerContext - Pages served before a context is recycled
+	 * @param {object} options.launcher - Browser type launching the browsers (default: Playwright's chromium)
+	 */
+	constructor(options = {}) {
+		const {
+			launchOptions = {},
+			contextOptions = {},
+			maxPagesPerContext = 50,
+			launcher = chromium,
+		} = options;
+
+		this.launcher = launcher;
+		this.launchOptions = launchOptions;
+		this.contextOptions = contextOptions;
+		this.maxPagesPerContext = maxPagesPerContext;
+
+		// Running browsers and pending launches, keyed by launch overrides
+		this.browsers = new Map();
+		this.launching = new Map();
+		this.closed = false;
+
+		// Active context slot per option key, plus retired slots still in use
+		this.slots = new Map();
+		this.retired = new Set();
+		this.creating = new Map();
+
+		this.stats = {
+			launches: 0,
+			launchDuration: 0,
+			contextsCreated: 0,
+			contextsRecycled: 0,
+			pagesServed: 0,
+		};
+	}
+
+	/**
+	 * Launches the browser for the given launch overrides if it is not running yet
+	 * Concurrent callers share the same launch promise
+	 *
+	 * @param {object} launchOverrides - Options merged over the pool launch options
+	 * @returns {Promise<Browser>} Running browser instance
+	 */
+	async launch(launchOverrides = {}) {
+		if (this.closed) {
+			throw new Error("Browser pool has been closed");
+		}
+
+		const key = JSON.stringify(launchOverrides);
+		const browser = this.browsers.get(key);
+		if (browser?.isConnected()) {
+			return browser;
+		}
+		if (!this.launching.has(key)) {
+			this.launching.set(
+				key,
+				this.startBrowser(key, launchOverrides).finally(() => {
+					this.launching.delete(key);
+				}),
+			);
+		}
+		return this.launching.get(key);
+	}
+
+	/**
+	 * Starts a new browser instance and tracks launch timings
+	 * @param {string} key - Browser key (serialized launch overrides)
+	 * @param {object} launchOverrides - Options merged over the pool launch options
+	 * @returns {Promise<Browser>} Launched browser
+	 */
+	async startBrowser(key, launchOverrides) {
+		const startTime = Date.now();
+		const browser = await this.launcher.launch({
+			...this.launchOptions,
+			...launchOverrides,
+		});
+		const duration = Date.now() - startTime;
+
+		this.stats.launches++;
+		this.stats.launchDuration += duration;
+		logger.debug(`Browser launched in ${duration}ms`, launchOverrides);
+
+		browser.on("disconnected", () => {
+			if (this.browsers.get(key) === browser) {
+				logger.warn("Browser disconnected, it will be relaunched on demand");
+				this.browsers.delete(key);
+				for (const [slotKey, slot] of this.slots) {
+					if (slot.browserKey === key) {
+						this.slots.delete(slotKey);
+					}
+				}
+				for (const slot of this.retired) {
+					if (slot.browserKey === key) {
+						this.retired.delete(slot);
+					}
+				}
+			}
+		});
+
+		this.browsers.set(key, browser);
+		return browser;
+	}
+
+	/**
+	 * Gets a usable context slot for the given options, creating one if needed
+	 * Concurrent callers asking for the same options share one new context
+	 *
+	 * @param {object} contextOptions - Context options for this page
+	 * @param {object} launchOverrides - Launch options of the browser to use
+	 * @returns {Promise<object>} Context slot { context, key, browserKey, served, active }
+	 */
+	async getSlot(contextOptions, launchOverrides = {}) {
+		const key = JSON.stringify([launchOverrides, contextOptions]);
+		const current = this.slots.get(key);
+
+		if (current && current.served < this.maxPagesPerContext) {
+			return current;
+		}
+		if (current) {
+			this.retire(current);
+		}
+
+		if (!this.creating.has(key)) {
+			this.creating.set(
+				key,
+				this.createSlot(key, contextOptions, launchOverrides).finally(() => {
+					this.creating.delete(key);
+				}),
+			);
+		}
+		return this.creating.get(key);
+	}
+
+	/**
+	 * Opens a browser context outside of the pool rotation
+	 * A null proxy means a direct connection, which Playwright expects as a
+	 * missing key
+	 *
+	 * @param {object} contextOptions - Options passed to browser.newContext()
+	 * @param {object} launchOverrides - Launch options of the browser to use
+	 * @returns {Promise<BrowserContext>} New context, closed by the caller
+	 */
+	async newContext(contextOptions = this.contextOptions, launchOverrides = {}) {
+		const browser = await this.launch(launchOverrides);
+		const { proxy, ...directOptions } = contextOptions;
+		return browser.newContext(proxy ? contextOptions : directOptions);
+	}
+
+	/**
+	 * Creates a new browser context and registers it as the active slot
+	 * @param {string} key - Slot key (serialized launch and context options)
+	 * @param {object} contextOptions - Options passed to browser.newContext()
+	 * @param {object} launchOverrides - Launch options of the browser to use
+	 * @returns {Promise<object>} New context slot
+	 */
+	async createSlot(key, contextOptions, launchOverrides) {
+		const context = await this.newContext(contextOptions, launchOverrides);
+		const slot = {
+			context,
+			key,
+			browserKey: JSON.stringify(launchOverrides),
+			served: 0,
+			active: 0,
+		};
+
+		this.slots.set(key, slot);
+		this.stats.contextsCreated++;
+		return slot;
+	}
+
+	/**
+	 * Acquires a fresh page from the pool
+	 * The returned lease must always be released, even when the page failed
+	 *
+	 * @param {object} contextOptions - Per-page context overrides
+	 * @param {object} launchOverrides - Per-page launch overrides (e.g. { headless: false })
+	 * @returns {Promise<object>} Lease { page, context, waited, release }
+	 */
+	async acquire(contextOptions = {}, launchOverrides = {}) {
+		const startTime = Date.now();
+		const slot = await this.getSlot(
+			{ ...this.contextOptions, ...contextOptions },
+			launchOverrides,
+		);
+
+		slot.served++;
+		slot.active++;
+
+		let page;
+		try {
+			page = await slot.context.newPage();
+		} catch (error) {
+			slot.active--;
+			this.retire(slot);
+			throw error;
+		}
+
+		let crashed = false;
+		page.on("crash", () => {
+			crashed = true;
+		});
+
+		this.stats.pagesServed++;
+		let released = false;
+
+		return {
+			page,
+			context: slot.context,
+			waited: Date.now() - startTime,
+			release: async ({ broken = false } = {}) => {
+				if (released) return;
+				released = true;
+
+				await page.close().catch(() => {});
+				slot.active--;
+
+				if (broken || crashed) {
+					logger.warn("Recycling browser context after a page crash");
+					this.retire(slot);
+				} else if (slot.served >= this.maxPagesPerContext) {
+					this.retire(slot);
+				}
+				await this.closeIdleRetired();
+			},
+		};
+	}
+
+	/**
+	 * Removes a context slot from rotation
+	 * The context is closed once all of its pages have been released
+	 *
+	 * @param {object} slot - Context slot to retire
+	 */
+	retire(slot) {
+		if (this.slots.get(slot.key) === slot) {
+			this.slots.delete(slot.key);
+			this.retired.add(slot);
+			this.stats.contextsRecycled++;
+		}
+	}
+
+	/**
+	 * Closes retired contexts that no longer have open pages
+	 * @returns {Promise} Resolves when idle contexts are closed
+	 */
+	async closeIdleRetired() {
+		for (const slot of this.retired) {
+			if (slot.active <= 0) {
+				this.retired.delete(slot);
+				await slot.context.close().catch(() => {});
+			}
+		}
+	}
+
+	/**
+	 * Returns a snapshot of pool statistics
+	 * @returns {object} Launch count, launch time, contexts and pages served
+	 */
+	getStats() {
+		return { ...this.stats };
+	}
+
+	/**
+	 * Closes every context and browser
+	 * Safe to call multiple times
+	 *
+	 * @returns {Promise} Resolves when the browsers are closed
+	 */
+	async close() {
+		if (this.closed) return;
+		this.closed = true;
+
+		for (const launching of this.launching.values()) {
+			await launching.catch(() => {});
+		}
+
+		const slots = [...this.slots.values(), ...this.retired];
+		this.slots.clear();
+		this.retired.clear();
+		for (const slot of slots) {
+			await slot.context.close().catch(() => {});
+		}
+
+		const browsers = [...this.browsers.values()];
+		this.browsers.clear();
+		for (const browser of browsers) {
+			await browser.close().catch(() => {});
+		}
+
+		logger.debug("Browser pool closed", this.getStats());
+	}
+}
+
+/**
+ * Creates a browser pool from application configuration
+ * Factory function mirroring the other create* helpers
+ *
+ * @param {object} config - Application configuration
+ * @param {object} launcher - Browser type to launch (default: Playwright's chromium)
+ * @returns {BrowserPool} New, not yet launched, browser pool
+ */
+export function createBrowserPool(config = {}, launcher = chromium) {
+	return new BrowserPool({
+		launchOptions: getBrowserOptions(config),
+		contextOptions: getContextOptions(config),
+		maxPagesPerContext: config.maxPagesPerContext,
+		launcher,
+	});
+}
@@ -0,0 +1,126 @@
+/**
+ * Content Selector Module
+ * Single Responsibility: Narrow a loaded page down to its configured content region
+ */
+
+import { ErrorType, ScrapingError } from "../services/error.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("content");
+
+/**
+ * Checks whether a configuration narrows pages to a content region
+ * @param {object} options - Scraping options or configuration
+ * @returns {boolean} True if a content selector or exclude selectors are set
+ */
+export function hasContentSelection(options = {}) {
+	const { contentSelector = null, excludeSelectors = [] } = options;
+	return Boolean(contentSelector?.length) || excludeSelectors.length > 0;
+}
+
+/**
+ * Builds the selected document from a copy of the page
+ * Runs in the browser context; the live page is left untouched
+ *
+ * @param {object} options - Selection options
+ * @param {string} options.html - Document to select from instead of the page (e.g. flattened HTML), or null
+ * @param {string} options.contentSelector - Selector of the content region(s), or null
+ * @param {string[]} options.excludeSelectors - Selectors removed from the result
+ * @returns {object} { html, matched, excluded } or { invalid } for a bad selector
+ */
+function selectInPage({ html, contentSelector, excludeSelectors }) {
+	const root = html
+		? new DOMParser().parseFromString(html, "text/html").documentElement
+		: document.documentElement.cloneNode(true);
+	const body = root.querySelector("body") || root;
+
+	const query = (scope, selector) => {
+		try {
+			return [...scope.querySelectorAll(selector)];
+		} catch {
+			return null;
+		}
+	};
+
+	let regions = [];
+	if (contentSelector) {
+		const matches = query(body, contentSelector);
+		if (!matches) return { invalid: contentSelector };
+		// Matches nested in another match are already part of it
+		regions = matches.filter(
+			(element) =>
+				!matches.some((other) => other !== element && other.contains(element)),
+		);
+		if (regions.length > 0) {
+			body.replaceChildren(...regions);
+		}
+	}
+
+	let excluded = 0;
+	for (const selector of excludeSelectors) {
+		const matches = query(body, selector);
+		if (!matches) return { invalid: selector };
+		for (const element of matches) {
+			element.remove();
+			excluded++;
+		}
+	}
+
+	return {
+		html: `<!DOCTYPE html>\n${root.outerHTML}`,
+		matched: regions.length,
+		excluded,
+	};
+}
+
+/**
+ * Serializes only the content region of a page
+ * The page keeps its <head>; the body holds the elements matching
+ * contentSelector (several matches are kept in document order), minus the
+ * elements matching excludeSelectors. When contentSelector matches nothing,
+ * the whole body is kept
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {object} options - Selection options
+ * @param {string|string[]} options.contentSelector - Content region selector(s) (e.g. "main article")
+ * @param {string[]} options.excludeSelectors - Selectors to drop (e.g. ".sidebar")
+ * @param {string} options.html - Already serialized page to select from (optional)
+ * @param {string} url - Page URL (for logs and errors)
+ * @returns {Promise<object>} { html, matched, excluded }
+ * @throws {ScrapingError} VALIDATION_ERROR if a selector is not valid CSS
+ */
+export async function selectContent(page, options = {}, url = null) {
+	const {
+		contentSelector = null,
+		excludeSelectors = [],
+		html = null,
+	} = options;
+	const selector = [contentSelector].flat().filter(Boolean).join(", ") || null;
+
+	const result = await page.evaluate(selectInPage, {
+		html,
+		contentSelector: selector,
+		excludeSelectors,
+	});
+
+	if (result.invalid) {
+		throw new ScrapingError(
+			`Invalid content selector "${result.invalid}"`,
+			ErrorType.VALIDATION,
+			{ url, selector: result.invalid, nonRetryable: true },
+		);
+	}
+
+	if (selector && result.matched === 0) {
+		logger.warn(`No element matches "${selector}", keeping the full page`, {
+			url,
+		});
+	} else {
+		logger.debug(
+			`Selected ${result.matched} content regions, excluded ${result.excluded} elements`,
+			{ url },
+		);
+	}
+
+	return result;
+}
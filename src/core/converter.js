@@ -6,8 +6,11 @@
 import { htmlToMarkdown } from "mdream";
 import { ErrorType, wrapError } from "../services/error.js";
 import { executeWithRetry } from "../services/retry.js";
+import { hasContentSelection } from "./content-selector.js";
 import { createLogger } from "./logger.js";
+import { extractMainContent } from "./main-content.js";
 import { postProcessMarkdown } from "./postprocessor.js";
+import { extractSection, getSectionFragment } from "./section-extractor.js";
 
 const logger = createLogger("converter");
 
@@ -28,9 +31,46 @@ export class ConversionResult {
 		this.inputSize = inputSize;
 		this.outputSize = outputSize;
 		this.compressionRatio = outputSize / inputSize;
+		this.mainContent = null;
+		this.section = null;
 	}
 }
 
+/**
+ * Adds a visible label to each captured tab panel
+ * The scraper replaces tab groups with <section data-scrappe-tab="label">
+ * elements; the label becomes a bold line above the panel content
+ *
+ * @param {string} html - HTML content
+ * @returns {string} HTML with tab labels inserted
+ */
+export function labelTabSections(html) {
+	return html.replace(
+		/<section\b[^>]*\bdata-scrappe-tab="([^"]*)"[^>]*>/gi,
+		(section, label) =>
+			label ? `${section}<p><strong>${label}</strong></p>` : section,
+	);
+}
+
+/**
+ * Builds the conversion options of a URL from its resolved configuration
+ * Pages narrowed by content selectors skip main content detection; URLs
+ * with a section fragment are narrowed to that section unless
+ * fragmentSections is off
+ *
+ * @param {object} urlConfig - Configuration resolved for the URL
+ * @param {string} url - Page URL
+ * @returns {object} Options for convertToMarkdown
+ */
+export function getConversionOptions(urlConfig, url) {
+	return {
+		mainContent: hasContentSelection(urlConfig) ? null : urlConfig.mainContent,
+		section:
+			urlConfig.fragmentSections === false ? null : getSectionFragment(url),
+		url,
+	};
+}
+
 /**
  * Converts HTML to Markdown using mdream
  * Implements retry for reliability
@@ -40,6 +80,9 @@ export class ConversionResult {
  * @param {boolean} options.gfm - Use GitHub Flavored Markdown (default: true)
  * @param {string} options.headingStyle - Heading style 'atx' or 'setext' (default: 'atx')
  * @param {boolean} options.codeBlockLanguage - Include language in code blocks (default: true)
+ * @param {object} options.mainContent - Main content detection { enabled, minConfidence } (default: off)
+ * @param {string} options.section - Fragment of the section to keep (see section-extractor.js), or null
+ * @param {string} options.url - Page URL (for logs)
  * @returns {Promise<ConversionResult>} Conversion result with markdown and stats
  * @throws {ScrapingError} If conversion fails after all retries
  */
@@ -48,6 +91,9 @@ export async function convertToMarkdown(html, options = {}) {
 		gfm = true,
 		headingStyle = "atx",
 		codeBlockLanguage = true,
+		mainContent = null,
+		section: fragment = null,
+		url = null,
 	} = options;
 
 	logger.debug(`Converting ${html.length} bytes of HTML to Markdown`);
@@ -57,8 +103,25 @@ export async function convertToMarkdown(html, options = {}) {
 			const startTime = Date.now();
 
 			try {
+				// Fragment URLs only keep the section their anchor starts
+				const section = fragment
+					? extractSection(html, fragment, { url })
+					: null;
+				const narrowed = section?.found ? section.html : html;
+
+				// Narrow the page to its article body; the postprocessor
+				// heuristics still run on the result as a second pass
+				const detected =
+					mainContent?.enabled && !section?.found
+						? extractMainContent(narrowed, {
+								minConfidence: mainContent.minConfidence,
+								url,
+							})
+						: null;
+				const source = detected?.html ?? narrowed;
+
 				// mdream htmlToMarkdown is synchronous but fast
-				let markdown = htmlToMarkdown(html, {
+				let markdown = htmlToMarkdown(labelTabSections(source), {
 					gfm,
 					headingStyle,
 					codeBlockLanguage,
@@ -81,7 +144,21 @@ export async function convertToMarkdown(html, options = {}) {
 					},
 				);
 
-				return new ConversionResult(markdown, duration, inputSize, outputSize);
+				const result = new ConversionResult(
+					markdown,
+					duration,
+					inputSize,
+					outputSize,
+				);
+				if (detected) {
+					const { selector, confidence, applied } = detected;
+					result.mainContent = { selector, confidence, applied };
+				}
+				if (section) {
+					const { heading, found } = section;
+					result.section = { fragment, heading, found };
+				}
+				return result;
 			} catch (error) {
 				throw wrapError(error, ErrorType.PARSE, {
 					inputSize: html.length,
@@ -0,0 +1,114 @@
+/**
+ * DOM Flattener Module
+ * Single Responsibility: Serialize a page with its open shadow roots and same-origin iframes inlined
+ */
+
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("flattener");
+
+/**
+ * Copies the document into an inert document, replacing shadow hosts'
+ * children with their rendered shadow tree (slots filled with the assigned
+ * light DOM) and same-origin iframes with their body
+ * Runs in the browser context; the live page is left untouched
+ *
+ * @returns {object|null} { html, shadowRoots, iframes }, or null when there is nothing to inline
+ */
+function flattenInPage() {
+	const frameDocument = (iframe) => {
+		try {
+			return iframe.contentDocument?.body ? iframe.contentDocument : null;
+		} catch {
+			return null; // Cross-origin
+		}
+	};
+
+	const elements = [...document.querySelectorAll("*")];
+	const needed = elements.some(
+		(element) =>
+			element.shadowRoot ||
+			(element.localName === "iframe" && frameDocument(element)),
+	);
+	if (!needed) {
+		return null;
+	}
+
+	// Elements copied into an inert document are not upgraded as custom elements
+	const inert = document.implementation.createHTMLDocument("");
+	const counts = { shadowRoots: 0, iframes: 0 };
+
+	const copyChildren = (nodes, target) => {
+		for (const node of nodes) {
+			const copy = flatten(node);
+			if (copy) target.appendChild(copy);
+		}
+	};
+
+	const flatten = (node) => {
+		if (node.nodeType === Node.TEXT_NODE) {
+			return inert.importNode(node, false);
+		}
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return null;
+		}
+
+		if (node.localName === "slot" && node.getRootNode() instanceof ShadowRoot) {
+			const fragment = inert.createDocumentFragment();
+			const assigned = node.assignedNodes();
+			copyChildren(assigned.length > 0 ? assigned : node.childNodes, fragment);
+			return fragment;
+		}
+
+		if (node.localName === "iframe") {
+			const frame = frameDocument(node);
+			if (frame) {
+				counts.iframes++;
+				const wrapper = inert.createElement("div");
+				wrapper.setAttribute(
+					"data-scrappe-iframe",
+					node.getAttribute("src") || "",
+				);
+				copyChildren(frame.body.childNodes, wrapper);
+				return wrapper;
+			}
+		}
+
+		const copy = inert.importNode(node, false);
+		if (node.shadowRoot) {
+			counts.shadowRoots++;
+			copyChildren(node.shadowRoot.childNodes, copy);
+		} else {
+			copyChildren(node.childNodes, copy);
+		}
+		return copy;
+	};
+
+	return {
+		html: `<!DOCTYPE html>\n${flatten(document.documentElement).outerHTML}`,
+		...counts,
+	};
+}
+
+/**
+ * Serializes a page with open shadow roots flattened and same-origin iframe
+ * documents inlined, since page.content() only returns the top document's
+ * light DOM
+ * Cross-origin iframes and closed shadow roots cannot be read and are kept as is
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {string} url - Page URL (for logs)
+ * @returns {Promise<string|null>} Flattened HTML, or null if the page has nothing to inline
+ */
+export async function flattenPage(page, url = null) {
+	const result = await page.evaluate(flattenInPage);
+	if (!result) {
+		return null;
+	}
+
+	logger.debug(
+		`Inlined ${result.shadowRoots} shadow roots and ${result.iframes} iframes`,
+		{ url },
+	);
+	return result.html;
+}
@@ -0,0 +1,421 @@
+/**
+ * Fetcher Module
+ * Single Responsibility: Fetch static HTML without a browser and detect pages that need one
+ */
+
+import { readFile, stat } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+	ErrorType,
+	ScrapingError,
+	createHttpError,
+} from "../services/error.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("fetcher");
+
+/**
+ * Minimum visible text (in characters) for a fetched page to count as rendered
+ */
+const MIN_TEXT_LENGTH = 200;
+
+/**
+ * Empty mount points left by client-side frameworks (React, Vue, Next, Nuxt, Gatsby...)
+ */
+const EMPTY_APP_ROOT =
+	/<div\b[^>]*\bid=["'](?:root|app|__next|__nuxt|___gatsby|svelte)["'][^>]*>\s*<\/div>/i;
+
+/**
+ * Content types the fetch engine can hand to the converter
+ */
+const HTML_CONTENT_TYPES = ["text/html", "application/xhtml+xml"];
+
+/**
+ * Names of the local files read as HTML (mirrors may drop the extension)
+ */
+const HTML_FILE = /^[^.]+$|\.x?html?$/i;
+
+/**
+ * Extracts the visible text of an HTML document's body
+ * @param {string} html - HTML document
+ * @returns {string} Body text without scripts, styles and tags
+ */
+function extractBodyText(html) {
+	const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html)?.[1] ?? html;
+	return body
+		.replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, " ")
+		.replace(/<[^>]+>/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+/**
+ * Detects HTML that only renders its content with JavaScript
+ *
+ * @param {string} html - Fetched HTML document
+ * @param {object} options - Detection options
+ * @param {number} options.minTextLength - Minimum body text for a rendered page
+ * @returns {string|null} Reason ("empty-body", "app-root") or null if the HTML is usable
+ */
+export function detectJsRendered(html, options = {}) {
+	const { minTextLength = MIN_TEXT_LENGTH } = options;
+
+	if (EMPTY_APP_ROOT.test(html)) {
+		return "app-root";
+	}
+	if (extractBodyText(html).length < minTextLength) {
+		return "empty-body";
+	}
+	return null;
+}
+
+/**
+ * Detects content the browser would flatten into the page (see dom-flattener.js)
+ * Same-origin iframes are loaded separately and declarative shadow roots are
+ * left in <template> elements, so the fetched HTML alone misses them
+ *
+ * @param {string} html - Fetched HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @returns {string|null} Reason ("frames", "shadow-root") or null if nothing needs flattening
+ */
+export function detectFlattenable(html, documentUrl) {
+	if (/<template\b[^>]*\bshadowrootmode\s*=/i.test(html)) {
+		return "shadow-root";
+	}
+
+	const base = resolveBaseUrl(html, documentUrl);
+	for (const [tag] of html.matchAll(/<iframe\b[^>]*>/gi)) {
+		if (/\bsrcdoc\s*=/i.test(tag)) {
+			return "frames";
+		}
+		const src = /\bsrc\s*=\s*(["'])(.*?)\1/i.exec(tag)?.[2];
+		try {
+			if (src && new URL(src, base).origin === new URL(documentUrl).origin) {
+				return "frames";
+			}
+		} catch {
+			// Skip srcs that are not URLs
+		}
+	}
+	return null;
+}
+
+/**
+ * Extracts the document title
+ * @param {string} html - HTML document
+ * @returns {string} Title text, or an empty string
+ */
+export function extractTitle(html) {
+	const title = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] ?? "";
+	return title
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+/**
+ * Returns the URL relative links of a document resolve against
+ * @param {string} html - HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @returns {string} <base href> if valid, otherwise the document URL
+ */
+function resolveBaseUrl(html, documentUrl) {
+	const baseHref = /<base\b[^>]*\bhref\s*=\s*(["'])(.*?)\1/i.exec(html)?.[2];
+	try {
+		return baseHref ? new URL(baseHref, documentUrl).href : documentUrl;
+	} catch {
+		return documentUrl; // Invalid <base>
+	}
+}
+
+/**
+ * Collects the absolute targets of every link in an HTML document
+ * Relative links are resolved against <base href> or the document URL
+ *
+ * @param {string} html - HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @returns {string[]} Unique absolute URLs
+ */
+export function extractLinksFromHtml(html, documentUrl) {
+	const base = resolveBaseUrl(html, documentUrl);
+	const links = new Set();
+	for (const [, , href] of html.matchAll(
+		/<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gi,
+	)) {
+		try {
+			links.add(new URL(href.replace(/&amp;/g, "&"), base).href);
+		} catch {
+			// Skip hrefs that are not URLs
+		}
+	}
+	return [...links];
+}
+
+/**
+ * Finds the next page of a paginated document
+ * Looks for <link rel="next"> or <a rel="next"> (rel may hold several tokens)
+ *
+ * @param {string} html - HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @returns {string|null} Absolute URL of the next page, or null
+ */
+export function extractNextLinkFromHtml(html, documentUrl) {
+	return findRelLink(html, documentUrl, "next", /<(?:link|a)\b[^>]*>/gi);
+}
+
+/**
+ * Finds the canonical URL a document declares with <link rel="canonical">
+ *
+ * @param {string} html - HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @returns {string|null} Absolute canonical URL, or null
+ */
+export function extractCanonicalFromHtml(html, documentUrl) {
+	return findRelLink(html, documentUrl, "canonical", /<link\b[^>]*>/gi);
+}
+
+/**
+ * Returns the absolute href of the first tag with a given rel token
+ *
+ * @param {string} html - HTML document
+ * @param {string} documentUrl - URL the document was served from
+ * @param {string} relToken - rel value to look for (e.g. "next")
+ * @param {RegExp} tagPattern - Global pattern matching the candidate tags
+ * @returns {string|null} Absolute URL, or null
+ */
+function findRelLink(html, documentUrl, relToken, tagPattern) {
+	for (const [tag] of html.matchAll(tagPattern)) {
+		const rel = /\brel\s*=\s*(["'])(.*?)\1/i.exec(tag)?.[2] ?? "";
+		const href = /\bhref\s*=\s*(["'])(.*?)\1/i.exec(tag)?.[2];
+		if (!href || !rel.toLowerCase().split(/\s+/).includes(relToken)) continue;
+		try {
+			return new URL(
+				href.replace(/&amp;/g, "&"),
+				resolveBaseUrl(html, documentUrl),
+			).href;
+		} catch {
+			// Skip hrefs that are not URLs
+		}
+	}
+	return null;
+}
+
+/**
+ * HTTP statuses of redirects followed by the fetch engine
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Maximum number of redirects followed for one URL
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Bytes scanned for a <meta> charset declaration, as browsers do
+ */
+const CHARSET_PRESCAN_BYTES = 1024;
+
+/**
+ * charset parameter of a Content-Type value, or of a <meta> tag
+ * (<meta charset="..."> and <meta http-equiv="Content-Type" content="...; charset=...">)
+ */
+const CHARSET_PARAM = /charset\s*=\s*["']?([\w.:-]+)/i;
+const META_CHARSET = /<meta\b[^>]*?\bcharset\s*=\s*["']?([\w.:-]+)/i;
+
+/**
+ * Reads the encoding given by a document's byte order mark
+ *
+ * @param {Uint8Array} bytes - Raw document
+ * @returns {string|null} "utf-8", "utf-16le" or "utf-16be", or null without a byte order mark
+ */
+function detectByteOrderMark(bytes) {
+	if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+		return "utf-8";
+	}
+	if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+	if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+	return null;
+}
+
+/**
+ * Decodes an HTML document in its declared encoding
+ * A byte order mark wins, then the charset of the Content-Type header, then
+ * a <meta> declaration in the first 1024 bytes; UTF-8 otherwise, or when
+ * the declared encoding is unknown
+ *
+ * @param {Uint8Array} bytes - Raw document
+ * @param {string} contentType - Content-Type header value (optional)
+ * @returns {string} Decoded HTML
+ */
+function decodeHtml(bytes, contentType = "") {
+	const declared =
+		detectByteOrderMark(bytes) ??
+		contentType.match(CHARSET_PARAM)?.[1] ??
+		new TextDecoder("latin1")
+			.decode(bytes.subarray(0, CHARSET_PRESCAN_BYTES))
+			.match(META_CHARSET)?.[1] ??
+		"utf-8";
+
+	try {
+		return new TextDecoder(declared).decode(bytes);
+	} catch {
+		logger.debug(`Unknown charset "${declared}", decoding as UTF-8`);
+		return new TextDecoder().decode(bytes);
+	}
+}
+
+/**
+ * Fetches a page's HTML with Node's fetch
+ * Redirects are followed one hop at a time so the chain can be reported;
+ * the body is decoded with the charset the page declares
+ *
+ * @param {string} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {string} options.userAgent - User agent header
+ * @param {object} options.headers - Extra request headers
+ * @param {string} options.locale - Sent as Accept-Language
+ * @param {Function} options.fetch - fetch implementation (e.g. proxy-aware, default: global fetch)
+ * @returns {Promise<object>} { html, finalUrl, redirects, status, contentType, duration },
+ * redirects listing the URLs that redirected, in order
+ * @throws {ScrapingError} If the server answered with an HTTP error status or redirected too many times
+ */
+export async function fetchHtml(url, options = {}) {
+	const {
+		timeout = 8000,
+		userAgent,
+		headers = {},
+		locale = null,
+		fetch: fetchPage = fetch,
+	} = options;
+
+	const startTime = Date.now();
+	const requestHeaders = {
+		accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+		...(userAgent ? { "user-agent": userAgent } : {}),
+		...(locale ? { "accept-language": locale } : {}),
+		...headers,
+	};
+
+	const signal = AbortSignal.timeout(timeout);
+	const redirects = [];
+	let currentUrl = url;
+	let response;
+	try {
+		for (;;) {
+			response = await fetchPage(currentUrl, {
+				headers: requestHeaders,
+				redirect: "manual",
+				signal,
+			});
+			const location = response.headers.get("location");
+			if (!REDIRECT_STATUSES.has(response.status) || !location) {
+				break;
+			}
+			if (redirects.length >= MAX_REDIRECTS) {
+				throw new ScrapingError(
+					`Too many redirects (${MAX_REDIRECTS}) for ${url}`,
+					ErrorType.HTTP,
+					{ url, redirects, nonRetryable: true },
+				);
+			}
+			await response.body?.cancel();
+			redirects.push(currentUrl);
+			currentUrl = new URL(location, currentUrl).href;
+		}
+	} catch (error) {
+		// Surface the socket error code (ECONNRESET, ...) so retries and
+		// classification treat it like any other network error
+		if (error.cause?.code && !error.code) {
+			error.code = error.cause.code;
+		}
+		throw error;
+	}
+
+	if (response.status >= 400) {
+		throw createHttpError({
+			url,
+			finalUrl: currentUrl,
+			status: response.status,
+			statusText: response.statusText,
+			headers: Object.fromEntries(response.headers),
+		});
+	}
+
+	const contentType = response.headers.get("content-type") || "";
+	const html = decodeHtml(
+		new Uint8Array(await response.arrayBuffer()),
+		contentType,
+	);
+	const duration = Date.now() - startTime;
+	logger.debug(`Fetched ${html.length} bytes in ${duration}ms`, { url });
+
+	return {
+		html,
+		finalUrl: currentUrl,
+		redirects,
+		status: response.status,
+		contentType,
+		duration,
+	};
+}
+
+/**
+ * Reads the HTML of a local file addressed by a file:// URL
+ * A directory (e.g. a "guide/" link of an offline mirror) reads its index.html
+ *
+ * @param {string} url - file:// URL (the fragment is ignored)
+ * @returns {Promise<object>} { html, path, duration }
+ * @throws {ScrapingError} VALIDATION_ERROR if the file does not exist or is not HTML
+ */
+export async function readHtmlFile(url) {
+	const startTime = Date.now();
+	let path = fileURLToPath(url);
+
+	let html;
+	try {
+		if ((await stat(path)).isDirectory()) {
+			path = join(path, "index.html");
+		}
+		if (!HTML_FILE.test(basename(path))) {
+			throw new ScrapingError(
+				`Not an HTML file: ${path}`,
+				ErrorType.VALIDATION,
+				{ url, path, nonRetryable: true },
+			);
+		}
+		html = decodeHtml(await readFile(path));
+	} catch (error) {
+		if (error.code === "ENOENT") {
+			throw new ScrapingError(
+				`File not found: ${path}`,
+				ErrorType.VALIDATION,
+				{ url, path, nonRetryable: true },
+				error,
+			);
+		}
+		throw error;
+	}
+
+	const duration = Date.now() - startTime;
+	logger.debug(`Read ${html.length} bytes from ${path}`, { url });
+	return { html, path, duration };
+}
+
+/**
+ * Checks whether a content type can be converted from fetched HTML
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean} True for HTML documents (or a missing header)
+ */
+export function isHtmlContentType(contentType) {
+	if (!contentType) {
+		return true;
+	}
+	const type = contentType.split(";")[0].trim().toLowerCase();
+	return HTML_CONTENT_TYPES.includes(type);
+}
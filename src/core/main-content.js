@@ -0,0 +1,380 @@
+/**
+ * Main Content Module
+ * Single Responsibility: Detect the main content region of an HTML document (readability-style)
+ */
+
+import { parseHtml } from "mdream";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("main-content");
+
+/**
+ * mdream parser event and node types
+ */
+const EVENT_ENTER = 0;
+const ELEMENT_NODE = 1;
+
+/**
+ * Elements whose text is not content
+ */
+const IGNORED_TAGS = new Set(["script", "style", "noscript", "template"]);
+
+/**
+ * Elements without a closing tag
+ */
+const VOID_TAGS = new Set([
+	"area",
+	"base",
+	"br",
+	"col",
+	"embed",
+	"hr",
+	"img",
+	"input",
+	"link",
+	"meta",
+	"source",
+	"track",
+	"wbr",
+]);
+
+/**
+ * Elements whose text counts as a paragraph of content
+ */
+const PARAGRAPH_TAGS = new Set(["p", "pre", "blockquote", "td", "li", "dd"]);
+
+/**
+ * Starting score of a candidate, by tag
+ */
+const TAG_WEIGHTS = {
+	article: 10,
+	main: 10,
+	section: 5,
+	div: 5,
+	pre: 3,
+	td: 3,
+	blockquote: 3,
+	nav: -25,
+	aside: -25,
+	header: -25,
+	footer: -25,
+	form: -10,
+};
+
+/**
+ * class/id hints of content and of page chrome
+ */
+const POSITIVE_HINTS =
+	/article|body|content|entry|main|post|text|blog|story|docs?|markdown|prose/i;
+const NEGATIVE_HINTS =
+	/comment|footer|header|menu|nav|sidebar|sponsor|\bads?\b|share|social|related|widget|breadcrumb|cookie|consent|banner|promo|toc/i;
+
+/**
+ * Ancestor levels that receive a share of each paragraph's score
+ */
+const SCORE_LEVELS = 5;
+
+/**
+ * Named character references decoded in attribute values
+ */
+const NAMED_ENTITIES = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: '"',
+	apos: "'",
+	nbsp: "\u00a0",
+};
+
+/**
+ * Decodes the character references of an attribute value
+ * parseHtml decodes text but hands attribute values over as written;
+ * unknown named references are kept as they are
+ *
+ * @param {string} value - Attribute value as written in the HTML
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+	return value.replace(
+		/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));/gi,
+		(entity, decimal, hex, name) => {
+			if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+			const codePoint = decimal ? Number(decimal) : Number.parseInt(hex, 16);
+			return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+		},
+	);
+}
+
+/**
+ * Parses HTML into a lightweight element tree
+ * Also used by section-extractor.js; text and attribute values are decoded
+ *
+ * @param {string} html - HTML document
+ * @returns {object} Root node { name, attributes, children }
+ */
+export function buildTree(html) {
+	const root = { name: "#root", attributes: {}, children: [], parent: null };
+	let current = root;
+
+	for (const { type, node } of parseHtml(html).events) {
+		if (node.type === ELEMENT_NODE) {
+			if (type === EVENT_ENTER) {
+				const element = {
+					name: node.name,
+					attributes: Object.fromEntries(
+						Object.entries(node.attributes).map(([name, value]) => [
+							name,
+							decodeEntities(value),
+						]),
+					),
+					children: [],
+					parent: current,
+				};
+				current.children.push(element);
+				current = element;
+			} else if (current.parent) {
+				current = current.parent;
+			}
+		} else if (type === EVENT_ENTER) {
+			current.children.push({ text: node.value });
+		}
+	}
+
+	return root;
+}
+
+/**
+ * Computes text and link text lengths of every element, bottom-up
+ * @param {object} node - Tree node
+ * @param {boolean} inLink - Whether the node is inside an <a>
+ * @returns {object} The node's { text, link } lengths
+ */
+function measure(node, inLink = false) {
+	if (node.text !== undefined) {
+		const length = node.text.replace(/\s+/g, " ").trim().length;
+		return { text: length, link: inLink ? length : 0 };
+	}
+	if (IGNORED_TAGS.has(node.name)) {
+		node.textLength = 0;
+		node.linkLength = 0;
+		return { text: 0, link: 0 };
+	}
+
+	const isLink = inLink || node.name === "a";
+	let text = 0;
+	let link = 0;
+	for (const child of node.children) {
+		const lengths = measure(child, isLink);
+		text += lengths.text;
+		link += lengths.link;
+	}
+	node.textLength = text;
+	node.linkLength = link;
+	return { text, link };
+}
+
+/**
+ * Returns the share of an element's text that sits inside links
+ * @param {object} element - Measured element
+ * @returns {number} Link density between 0 and 1
+ */
+function linkDensity(element) {
+	return element.textLength > 0 ? element.linkLength / element.textLength : 0;
+}
+
+/**
+ * Collects the text of an element (for comma counting)
+ * @param {object} node - Tree node
+ * @returns {string} Concatenated text
+ */
+export function textOf(node) {
+	if (node.text !== undefined) return node.text;
+	if (IGNORED_TAGS.has(node.name)) return "";
+	return node.children.map(textOf).join("");
+}
+
+/**
+ * Gives an element its starting score from its tag and class/id hints
+ * @param {object} element - Tree element
+ * @returns {number} Starting score
+ */
+function initialScore(element) {
+	const { class: className = "", id = "", role = "" } = element.attributes;
+	const hints = `${className} ${id}`;
+
+	let score = TAG_WEIGHTS[element.name] ?? 0;
+	if (role === "main") score += 25;
+	if (NEGATIVE_HINTS.test(hints)) score -= 25;
+	if (POSITIVE_HINTS.test(hints)) score += 25;
+	return score;
+}
+
+/**
+ * Lists every element of a subtree
+ * @param {object} node - Tree node
+ * @param {object[]} elements - Accumulator
+ * @returns {object[]} Elements in document order
+ */
+export function listElements(node, elements = []) {
+	for (const child of node.children ?? []) {
+		if (child.name && !IGNORED_TAGS.has(child.name)) {
+			elements.push(child);
+			listElements(child, elements);
+		}
+	}
+	return elements;
+}
+
+/**
+ * Describes an element as a short CSS-like selector
+ * @param {object} element - Tree element
+ * @returns {string} e.g. "article#post.entry-content"
+ */
+function describeElement(element) {
+	const { id, class: className } = element.attributes;
+	const classes = (className || "").trim().split(/\s+/).filter(Boolean);
+	return `${element.name}${id ? `#${id}` : ""}${classes
+		.slice(0, 2)
+		.map((name) => `.${name}`)
+		.join("")}`;
+}
+
+/**
+ * Escapes text for HTML output
+ * Named references left encoded by decodeEntities (e.g. &copy;) are kept
+ *
+ * @param {string} value - Decoded text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+	return value
+		.replace(/&(?![a-z][a-z\d]*;)/gi, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+/**
+ * Serializes a tree node back to HTML, without scripts and styles
+ * @param {object} node - Tree node
+ * @returns {string} HTML
+ */
+export function serialize(node) {
+	if (node.text !== undefined) return escapeHtml(node.text);
+	if (IGNORED_TAGS.has(node.name)) return "";
+
+	const children = node.children.map(serialize).join("");
+	if (node.name === "#root") return children;
+
+	const attributes = Object.entries(node.attributes)
+		.map(([name, value]) =>
+			value === ""
+				? ` ${name}`
+				: ` ${name}="${escapeHtml(value).replace(/"/g, "&quot;")}"`,
+		)
+		.join("");
+	if (VOID_TAGS.has(node.name)) return `<${node.name}${attributes}>`;
+	return `<${node.name}${attributes}>${children}</${node.name}>`;
+}
+
+/**
+ * Finds the element most likely to hold the main content
+ * Paragraph-like elements are scored by length and commas; the score flows
+ * to their ancestors (full to the parent, then decreasing), each candidate
+ * starts from its tag and class/id hints and is penalized by its link density
+ *
+ * @param {string} html - HTML document
+ * @returns {object|null} { root, body, element, selector, score, confidence }, or null without candidates
+ */
+export function findMainContent(html) {
+	const root = buildTree(html);
+	measure(root);
+
+	const body = listElements(root).find((element) => element.name === "body");
+	if (!body) {
+		return null;
+	}
+
+	const scores = new Map();
+	for (const element of listElements(body)) {
+		if (!PARAGRAPH_TAGS.has(element.name)) continue;
+		if (element.textLength < 25 || linkDensity(element) > 0.5) continue;
+
+		const commas = (textOf(element).match(/,/g) || []).length;
+		const score =
+			1 + commas + Math.min(Math.floor(element.textLength / 100), 3);
+
+		let ancestor = element.parent;
+		for (let level = 0; level < SCORE_LEVELS && ancestor; level++) {
+			if (ancestor === body) break;
+			if (!scores.has(ancestor)) {
+				scores.set(ancestor, initialScore(ancestor));
+			}
+			const share = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+			scores.set(ancestor, scores.get(ancestor) + score / share);
+			ancestor = ancestor.parent;
+		}
+	}
+
+	let best = null;
+	for (const [element, score] of scores) {
+		const final = score * (1 - linkDensity(element));
+		if (!best || final > best.score) {
+			best = { element, score: final };
+		}
+	}
+	if (!best) {
+		return null;
+	}
+
+	// Share of the page's non-link text inside the region, discounted by its links
+	const pageText = body.textLength - body.linkLength;
+	const regionText = best.element.textLength - best.element.linkLength;
+	const share = pageText > 0 ? regionText / pageText : 0;
+	const confidence =
+		Math.round(share * (1 - linkDensity(best.element)) * 100) / 100;
+
+	return {
+		root,
+		body,
+		element: best.element,
+		selector: describeElement(best.element),
+		score: Math.round(best.score * 10) / 10,
+		confidence,
+	};
+}
+
+/**
+ * Narrows an HTML document to its detected main content
+ * The <head> is kept; the body only holds the detected region. Documents
+ * without a region reaching minConfidence are returned unchanged
+ *
+ * @param {string} html - HTML document
+ * @param {object} options - Detection options
+ * @param {number} options.minConfidence - Minimum confidence (0-1) to keep the region
+ * @param {string} options.url - Page URL (for logs)
+ * @returns {object} { html, selector, confidence, applied }
+ */
+export function extractMainContent(html, options = {}) {
+	const { minConfidence = 0.4, url = null } = options;
+
+	const detected = findMainContent(html);
+	if (!detected) {
+		logger.debug("No main content candidate, keeping the full page", { url });
+		return { html, selector: null, confidence: 0, applied: false };
+	}
+
+	const { root, body, element, selector, confidence } = detected;
+	const applied = confidence >= minConfidence;
+	// Per-page detail; the final report sums detections up (see generateStats)
+	logger.debug(
+		`Main content: ${selector} (confidence ${confidence}${applied ? "" : `, below ${minConfidence}, keeping the full page`})`,
+		{ url },
+	);
+
+	if (!applied) {
+		return { html, selector, confidence, applied };
+	}
+
+	body.children = [element];
+	return { html: serialize(root), selector, confidence, applied };
+}
@@ -0,0 +1,634 @@
+/**
+ * Page Interactions Module
+ * Single Responsibility: Act on a loaded page so hidden content gets rendered before extraction
+ * and overlays such as consent dialogs do not end up in it
+ */
+
+import { ErrorType, ScrapingError } from "../services/error.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("interactions");
+
+/**
+ * Scrolls the page down one viewport and reports the document height
+ * Runs in the browser context
+ *
+ * @returns {object} { height, bottom } after scrolling
+ */
+function scrollOneViewport() {
+	const root = document.scrollingElement || document.documentElement;
+	window.scrollBy(0, window.innerHeight);
+	return {
+		height: root.scrollHeight,
+		bottom: root.scrollTop + window.innerHeight >= root.scrollHeight - 2,
+	};
+}
+
+/**
+ * Scrolls down until the page stops growing, to trigger lazy-loaded and
+ * infinite-scroll content
+ * Stops when the bottom is reached and the height did not change after
+ * stepDelay, or when maxSteps or maxDuration is reached
+ *
+ * @param {Page} page - Playwright page
+ * @param {object} options - Scroll options
+ * @param {number} options.maxSteps - Maximum number of viewport scrolls
+ * @param {number} options.maxDuration - Maximum total scrolling time in ms
+ * @param {number} options.stepDelay - Pause after each scroll for content to load, in ms
+ * @param {string} url - URL being scraped (for logs)
+ * @returns {Promise<object>} { steps, duration, height, reason }
+ */
+export async function autoScroll(page, options = {}, url = null) {
+	const { maxSteps = 20, maxDuration = 10000, stepDelay = 250 } = options;
+	const startTime = Date.now();
+
+	let steps = 0;
+	let height = 0;
+	let reason = "maxSteps";
+
+	while (steps < maxSteps) {
+		if (Date.now() - startTime >= maxDuration) {
+			reason = "maxDuration";
+			break;
+		}
+
+		const position = await page.evaluate(scrollOneViewport);
+		steps++;
+		await page.waitForTimeout(stepDelay);
+
+		const grew = position.height > height;
+		height = position.height;
+		if (position.bottom && !grew && steps > 1) {
+			reason = "stable";
+			break;
+		}
+	}
+
+	const duration = Date.now() - startTime;
+	logger.debug(
+		`Scrolled ${steps} steps in ${duration}ms (${reason}), height ${height}px`,
+		{ url },
+	);
+
+	return { steps, duration, height, reason };
+}
+
+/**
+ * Opens collapsed content and flattens tab groups
+ * Runs in the browser context: opens every <details>, clicks accordion
+ * triggers, then clicks each tab of every tab group and replaces the group
+ * with one <section data-scrappe-tab="label"> per captured panel. Tabs and
+ * triggers linking to another page are not clicked
+ *
+ * @param {object} options - Expand options (see expandCollapsed)
+ * @returns {Promise<object>} Counts { details, accordions, tabGroups, tabs }
+ */
+async function expandInPage(options) {
+	const { tabLists, tabs: tabSelector, panels, accordions, tabDelay } = options;
+	const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+	const counts = { details: 0, accordions: 0, tabGroups: 0, tabs: 0 };
+
+	for (const details of document.querySelectorAll("details:not([open])")) {
+		details.open = true;
+		counts.details++;
+	}
+
+	// Tabs and toggles that are links to another page would leave it
+	const navigates = (element) => {
+		const href = element.closest("a[href]")?.getAttribute("href");
+		return Boolean(href) && !/^(#|javascript:)/i.test(href.trim());
+	};
+
+	if (accordions.length > 0) {
+		for (const trigger of document.querySelectorAll(accordions.join(","))) {
+			if (navigates(trigger)) continue;
+			trigger.click();
+			counts.accordions++;
+		}
+		if (counts.accordions > 0) {
+			await sleep(tabDelay);
+		}
+	}
+
+	const findPanel = (tab, container) => {
+		const id = tab.getAttribute("aria-controls");
+		const controlled = id ? document.getElementById(id) : null;
+		if (controlled) return controlled;
+		return (
+			[...container.querySelectorAll(panels)].find(
+				(panel) => !panel.hidden && panel.offsetParent !== null,
+			) || null
+		);
+	};
+
+	const reveal = (panel) => {
+		const clone = panel.cloneNode(true);
+		clone.removeAttribute("hidden");
+		clone.removeAttribute("aria-hidden");
+		clone.style.removeProperty("display");
+		return clone;
+	};
+
+	if (tabLists.length === 0) {
+		return counts;
+	}
+
+	for (const list of [...document.querySelectorAll(tabLists.join(","))]) {
+		// Lists nested in an already flattened group are gone from the page
+		if (!list.isConnected) continue;
+
+		const tabs = [...list.querySelectorAll(tabSelector)].filter(
+			(tab) => !navigates(tab),
+		);
+		if (tabs.length < 2) continue;
+
+		// Panels without aria-controls are looked up in the closest ancestor
+		// that also holds panels
+		let container = list.parentElement;
+		for (let level = 0; container && level < 3; level++) {
+			if (container.querySelector(panels)) break;
+			container = container.parentElement;
+		}
+		if (!container?.querySelector(panels) || container === document.body) {
+			continue;
+		}
+
+		const sections = [];
+		const groupPanels = new Set();
+		const seen = new Set();
+		for (const tab of tabs) {
+			tab.click();
+			await sleep(tabDelay);
+
+			const panel = findPanel(tab, container);
+			if (!panel) continue;
+			groupPanels.add(panel);
+			if (seen.has(panel.innerHTML)) continue;
+			seen.add(panel.innerHTML);
+
+			const section = document.createElement("section");
+			section.setAttribute(
+				"data-scrappe-tab",
+				tab.textContent.replace(/\s+/g, " ").trim(),
+			);
+			section.append(reveal(panel));
+			sections.push(section);
+		}
+
+		if (sections.length === 0) continue;
+
+		// Only the tab list and its panels are replaced: the content around
+		// them (often in the same <article>) stays in place
+		const group = document.createElement("div");
+		group.setAttribute("data-scrappe-tabs", "");
+		group.append(...sections);
+		list.replaceWith(group);
+		for (const panel of groupPanels) {
+			panel.remove();
+		}
+
+		counts.tabGroups++;
+		counts.tabs += sections.length;
+	}
+
+	return counts;
+}
+
+/**
+ * Expands tabs, accordions and <details> so every variant reaches the HTML
+ * Tab groups are replaced by labeled sections the converter renders one
+ * after the other (see labelTabSections in converter.js)
+ *
+ * @param {Page} page - Playwright page
+ * @param {object} options - Expand options
+ * @param {string[]} options.tabLists - Selectors of tab lists
+ * @param {string} options.tabs - Selector of the tabs inside a tab list
+ * @param {string} options.panels - Selector of tab panels
+ * @param {string[]} options.accordions - Selectors of collapsed accordion triggers to click
+ * @param {number} options.tabDelay - Pause after each click for the panel to render, in ms
+ * @param {string} url - URL being scraped (for logs)
+ * @returns {Promise<object>} Counts { details, accordions, tabGroups, tabs },
+ * all 0 with reloaded: true if a click navigated away
+ */
+export async function expandCollapsed(page, options = {}, url = null) {
+	const {
+		tabLists = [],
+		tabs = '[role="tab"]',
+		panels = '[role="tabpanel"]',
+		accordions = [],
+		tabDelay = 50,
+	} = options;
+
+	let counts;
+	try {
+		counts = await page.evaluate(expandInPage, {
+			tabLists,
+			tabs,
+			panels,
+			accordions,
+			tabDelay,
+		});
+	} catch (error) {
+		// A click the page turned into a navigation ends the evaluation
+		if (!error.message?.includes("Execution context was destroyed")) {
+			throw error;
+		}
+		logger.debug("Expanding content navigated away, waiting for load", {
+			url,
+		});
+		await page.waitForLoadState("load");
+		return { details: 0, accordions: 0, tabGroups: 0, tabs: 0, reloaded: true };
+	}
+
+	logger.debug(
+		`Expanded ${counts.details} details, ${counts.accordions} accordions, ${counts.tabs} tabs in ${counts.tabGroups} groups`,
+		{ url },
+	);
+
+	return counts;
+}
+
+/**
+ * Consent management platforms, found by their root element
+ * accept/reject are the selectors of their buttons inside the root (or its
+ * open shadow root); frameworks rendered in a cross-origin iframe have none
+ * and are only removed
+ */
+const CONSENT_FRAMEWORKS = [
+	{
+		name: "onetrust",
+		root: "#onetrust-consent-sdk",
+		accept: "#onetrust-accept-btn-handler",
+		reject: "#onetrust-reject-all-handler",
+	},
+	{
+		name: "cookiebot",
+		root: "#CybotCookiebotDialog",
+		accept:
+			"#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept",
+		reject: "#CybotCookiebotDialogBodyButtonDecline",
+	},
+	{
+		name: "didomi",
+		root: "#didomi-host",
+		accept: "#didomi-notice-agree-button",
+		reject: "#didomi-notice-disagree-button, .didomi-continue-without-agreeing",
+	},
+	{
+		name: "quantcast",
+		root: ".qc-cmp2-container",
+		accept: '.qc-cmp2-summary-buttons button[mode="primary"]',
+		reject: '.qc-cmp2-summary-buttons button[mode="secondary"]',
+	},
+	{
+		name: "usercentrics",
+		root: "#usercentrics-root",
+		accept: '[data-testid="uc-accept-all-button"]',
+		reject: '[data-testid="uc-deny-all-button"]',
+	},
+	{
+		name: "trustarc",
+		root: "#truste-consent-track",
+		accept: "#truste-consent-button",
+		reject: "#truste-consent-required",
+	},
+	{
+		name: "funding-choices",
+		root: ".fc-consent-root",
+		accept: ".fc-cta-consent",
+		reject: ".fc-cta-do-not-consent",
+	},
+	{
+		name: "axeptio",
+		root: "#axeptio_overlay",
+		accept: "#axeptio_btn_acceptAll",
+		reject: "#axeptio_btn_dismiss",
+	},
+	{
+		name: "cookieyes",
+		root: ".cky-consent-container",
+		accept: ".cky-btn-accept",
+		reject: ".cky-btn-reject",
+	},
+	{
+		name: "complianz",
+		root: "#cmplz-cookiebanner-container",
+		accept: ".cmplz-accept",
+		reject: ".cmplz-deny",
+	},
+	{
+		name: "iubenda",
+		root: "#iubenda-cs-banner",
+		accept: ".iubenda-cs-accept-btn",
+		reject: ".iubenda-cs-reject-btn",
+	},
+	{
+		name: "tarteaucitron",
+		root: "#tarteaucitronRoot",
+		accept: "#tarteaucitronPersonalize2",
+		reject: "#tarteaucitronAllDenied2",
+	},
+	{
+		name: "borlabs",
+		root: "#BorlabsCookieBox",
+		accept: "[data-cookie-accept-all]",
+		reject: "[data-cookie-refuse]",
+	},
+	{
+		name: "osano",
+		root: ".osano-cm-window",
+		accept: ".osano-cm-accept-all",
+		reject: ".osano-cm-denyAll",
+	},
+	{
+		name: "cookieconsent",
+		root: ".cc-window",
+		accept: ".cc-allow, .cc-dismiss",
+		reject: ".cc-deny",
+	},
+	{
+		name: "sourcepoint",
+		root: '[id^="sp_message_container"]',
+		accept: null,
+		reject: null,
+	},
+];
+
+/**
+ * Button labels of generic consent banners (lowercase, exact match)
+ * English, French, German, Spanish, Italian, Portuguese and Dutch
+ */
+const CONSENT_LABELS = {
+	accept: [
+		"accept",
+		"accept all",
+		"accept all cookies",
+		"accept cookies",
+		"allow all",
+		"allow all cookies",
+		"allow cookies",
+		"agree",
+		"i agree",
+		"i accept",
+		"got it",
+		"ok, got it",
+		"ok",
+		"accepter",
+		"tout accepter",
+		"accepter et fermer",
+		"j'accepte",
+		"accepter tout",
+		"akzeptieren",
+		"alle akzeptieren",
+		"alle cookies akzeptieren",
+		"zustimmen",
+		"alle zulassen",
+		"aceptar",
+		"aceptar todo",
+		"aceptar todas",
+		"aceptar cookies",
+		"accetta",
+		"accetta tutto",
+		"accetta tutti",
+		"accetto",
+		"aceitar",
+		"aceitar todos",
+		"accepteren",
+		"alles accepteren",
+		"alle cookies accepteren",
+	],
+	reject: [
+		"reject",
+		"reject all",
+		"reject all cookies",
+		"decline",
+		"decline all",
+		"deny",
+		"deny all",
+		"refuse",
+		"only necessary",
+		"necessary only",
+		"use necessary cookies only",
+		"refuser",
+		"tout refuser",
+		"continuer sans accepter",
+		"ablehnen",
+		"alle ablehnen",
+		"nur notwendige",
+		"rechazar",
+		"rechazar todo",
+		"rechazar todas",
+		"rifiuta",
+		"rifiuta tutto",
+		"rejeitar",
+		"rejeitar todos",
+		"weigeren",
+		"alles weigeren",
+	],
+};
+
+/**
+ * Finds and clicks the dismiss button of a consent dialog, then removes the
+ * dialog from the page
+ * Runs in the browser context. Custom selectors are tried first, then the
+ * known frameworks, then buttons with a consent label inside an element
+ * that looks like a cookie banner
+ *
+ * @param {object} options - Consent options (see dismissConsent)
+ * @returns {Promise<object>} { framework, action, removed } or { invalid } for a bad selector
+ */
+async function dismissConsentInPage(options) {
+	const { selectors, remove, prefer, delay, frameworks, labels } = options;
+	const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+	const actions =
+		prefer === "accept" ? ["accept", "reject"] : ["reject", "accept"];
+
+	const query = (scope, selector) => {
+		try {
+			return [...scope.querySelectorAll(selector)];
+		} catch {
+			return null;
+		}
+	};
+	const isVisible = (element) => element.getClientRects().length > 0;
+	const click = (element) => {
+		element.click();
+		return true;
+	};
+
+	let framework = null;
+	let action = null;
+
+	for (const selector of selectors) {
+		const matches = query(document, selector);
+		if (!matches) return { invalid: selector };
+		const button = matches.find(isVisible);
+		if (button && click(button)) {
+			framework = "custom";
+			break;
+		}
+	}
+
+	const roots = frameworks
+		.map((entry) => ({ ...entry, element: document.querySelector(entry.root) }))
+		.filter((entry) => entry.element);
+
+	for (const entry of framework ? [] : roots) {
+		const scope = entry.element.shadowRoot ?? entry.element;
+		for (const candidate of actions) {
+			const button = entry[candidate]
+				? query(scope, entry[candidate]).find(isVisible)
+				: null;
+			if (button && click(button)) {
+				framework = entry.name;
+				action = candidate;
+				break;
+			}
+		}
+		if (framework) break;
+	}
+
+	// Generic banners: a labeled button inside a cookie/consent container
+	let banner = null;
+	if (!framework) {
+		const hint = /cookie|consent|gdpr|rgpd|cmp/i;
+		const normalize = (text) =>
+			text.replace(/\s+/g, " ").replace(/[’`]/g, "'").trim().toLowerCase();
+		const findBanner = (element) => {
+			for (
+				let node = element;
+				node && node !== document.body;
+				node = node.parentElement
+			) {
+				const names = `${node.id} ${node.getAttribute("class") || ""} ${node.getAttribute("aria-label") || ""}`;
+				const dialog =
+					(node.getAttribute("role") === "dialog" ||
+						node.getAttribute("aria-modal") === "true") &&
+					/cookie/i.test(node.textContent);
+				if (hint.test(names) || dialog) {
+					// A wrapper holding the page content is not a banner
+					return node.querySelector("main, article") ? null : node;
+				}
+			}
+			return null;
+		};
+
+		// Links are left alone: following one (e.g. "Cookie settings") leaves the page
+		const buttons = [
+			...document.querySelectorAll(
+				'button, [role="button"], a, input[type="button"], input[type="submit"]',
+			),
+		].filter((button) => isVisible(button) && !button.matches("a[href]"));
+
+		for (const candidate of actions) {
+			for (const button of buttons) {
+				const label = normalize(button.value || button.textContent);
+				if (!labels[candidate].includes(label)) continue;
+				banner = findBanner(button);
+				if (banner && click(button)) {
+					framework = "generic";
+					action = candidate;
+					break;
+				}
+			}
+			if (framework) break;
+		}
+	}
+
+	if (framework) {
+		await sleep(delay);
+	}
+
+	// Dismissed dialogs often stay in the DOM, hidden, and would be converted
+	let removed = 0;
+	const leftovers = [...roots.map((entry) => entry.element), banner];
+	for (const selector of remove) {
+		const matches = query(document, selector);
+		if (!matches) return { invalid: selector };
+		leftovers.push(...matches);
+	}
+	for (const element of leftovers) {
+		if (element?.isConnected) {
+			element.remove();
+			removed++;
+		}
+	}
+
+	// Dialogs lock scrolling while open
+	if (framework || removed > 0) {
+		document.documentElement.style.removeProperty("overflow");
+		document.body.style.removeProperty("overflow");
+	}
+
+	return { framework, action, removed };
+}
+
+/**
+ * Dismisses the cookie/consent dialog of a page before extraction
+ * Clicks the preferred button (reject or accept, the other one when it is
+ * missing) of custom selectors, known consent frameworks (OneTrust,
+ * Cookiebot, Didomi, Quantcast, Usercentrics...) or generic banners with
+ * a consent label in one of several languages, then removes what is left of
+ * the dialog so it does not reach the Markdown
+ *
+ * @param {Page} page - Playwright page
+ * @param {object} options - Consent options
+ * @param {string[]} options.selectors - Dismiss buttons of the site, tried first
+ * @param {string[]} options.remove - Extra elements removed after dismissal (e.g. a custom banner)
+ * @param {string} options.prefer - "reject" (default) or "accept"
+ * @param {number} options.delay - Pause after the click for the dialog to close, in ms
+ * @param {string} url - URL being scraped (for logs and errors)
+ * @returns {Promise<object>} { framework, action, removed, reloaded }; framework is
+ * "custom", "generic", a framework name, or null when nothing was clicked or
+ * the click reloaded the page (reloaded: true)
+ * @throws {ScrapingError} VALIDATION_ERROR if a selector is not valid CSS
+ */
+export async function dismissConsent(page, options = {}, url = null) {
+	const {
+		selectors = [],
+		remove = [],
+		prefer = "reject",
+		delay = 300,
+	} = options;
+
+	let result;
+	try {
+		result = await page.evaluate(dismissConsentInPage, {
+			selectors,
+			remove,
+			prefer,
+			delay,
+			frameworks: CONSENT_FRAMEWORKS,
+			labels: CONSENT_LABELS,
+		});
+	} catch (error) {
+		// Some dialogs reload the page once dismissed, ending the evaluation
+		if (!error.message?.includes("Execution context was destroyed")) {
+			throw error;
+		}
+		logger.debug("Consent dialog reloaded the page, waiting for load", {
+			url,
+		});
+		await page.waitForLoadState("load");
+		return { framework: null, action: null, removed: 0, reloaded: true };
+	}
+
+	if (result.invalid) {
+		throw new ScrapingError(
+			`Invalid consent selector "${result.invalid}"`,
+			ErrorType.VALIDATION,
+			{ url, selector: result.invalid, nonRetryable: true },
+		);
+	}
+
+	if (result.framework) {
+		logger.debug(
+			`Dismissed ${result.framework} consent dialog${result.action ? ` (${result.action})` : ""}, removed ${result.removed} elements`,
+			{ url },
+		);
+	} else if (result.removed > 0) {
+		logger.debug(`Removed ${result.removed} consent elements`, { url });
+	}
+
+	return result;
+}
@@ -0,0 +1,108 @@
+/**
+ * Pagination Module
+ * Single Responsibility: Find the next page of paginated content and merge the pages' Markdown
+ */
+
+import { ErrorType, ScrapingError } from "../services/error.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("pagination");
+
+/**
+ * Selectors of next-page links every page is checked for, after the
+ * configured ones
+ */
+const REL_NEXT_SELECTORS = [
+	'link[rel~="next" i][href]',
+	'a[rel~="next" i][href]',
+];
+
+/**
+ * Separator between merged pages
+ */
+const PAGE_SEPARATOR = "\n\n---\n\n";
+
+/**
+ * Finds the first next-page link matching the selectors
+ * Runs in the browser context
+ *
+ * @param {string[]} selectors - Selectors tried in order
+ * @returns {object} { href } (null when nothing matches) or { invalid } for a bad selector
+ */
+function findNextInPage(selectors) {
+	for (const selector of selectors) {
+		let matches;
+		try {
+			matches = [...document.querySelectorAll(selector)];
+		} catch {
+			return { invalid: selector };
+		}
+		for (const element of matches) {
+			// Selectors may point to the link or to a wrapper around it
+			const link = element.href ? element : element.querySelector("a[href]");
+			if (link?.href && !link.href.startsWith("javascript:")) {
+				return { href: link.href };
+			}
+		}
+	}
+	return { href: null };
+}
+
+/**
+ * Finds the URL of the next page of a loaded page
+ * Configured selectors (e.g. ".pagination a.next") are tried first, then
+ * <link rel="next"> and <a rel="next">
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {object} options - Pagination options
+ * @param {string[]} options.selectors - Next-link selectors of the site
+ * @param {string} url - Page URL (for logs and errors)
+ * @returns {Promise<string|null>} Absolute URL of the next page, or null
+ * @throws {ScrapingError} VALIDATION_ERROR if a selector is not valid CSS
+ */
+export async function findNextPage(page, options = {}, url = null) {
+	const { selectors = [] } = options;
+
+	const result = await page.evaluate(findNextInPage, [
+		...selectors,
+		...REL_NEXT_SELECTORS,
+	]);
+
+	if (result.invalid) {
+		throw new ScrapingError(
+			`Invalid next page selector "${result.invalid}"`,
+			ErrorType.VALIDATION,
+			{ url, selector: result.invalid, nonRetryable: true },
+		);
+	}
+
+	if (result.href) {
+		logger.debug(`Next page: ${result.href}`, { url });
+	}
+	return result.href;
+}
+
+/**
+ * Merges the Markdown of consecutive pages into one document
+ * Pages are separated by a horizontal rule, in reading order; a first line
+ * repeating the first page's (the site title of every page) is dropped
+ *
+ * @param {string[]} pages - Markdown of each page
+ * @returns {string} Merged Markdown
+ */
+export function mergePageMarkdown(pages) {
+	const [first = "", ...rest] = pages
+		.map((markdown) => markdown.trim())
+		.filter(Boolean);
+	const titleLine = first.split("\n")[0];
+
+	const following = rest
+		.map((markdown) =>
+			markdown.split("\n")[0] === titleLine
+				? markdown.slice(titleLine.length).trim()
+				: markdown,
+		)
+		.filter(Boolean);
+
+	return `${[first, ...following].join(PAGE_SEPARATOR)}\n`;
+}
@@ -0,0 +1,65 @@
+/**
+ * Resource Blocking Module
+ * Single Responsibility: Abort unneeded browser requests and count them per page
+ */
+
+import { matchesAny } from "../utils/patterns.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("blocking");
+
+/**
+ * Creates the predicate deciding which requests are blocked
+ * Allow patterns win over blocked patterns and resource types
+ *
+ * @param {object} options - Blocking options (see DEFAULT_CONFIG.blocking)
+ * @param {string[]} options.patterns - URL patterns to block (globs or /regex/)
+ * @param {string[]} options.resourceTypes - Resource types to block (image, font, media, stylesheet, ...)
+ * @param {string[]} options.allow - URL patterns never blocked
+ * @returns {Function} Predicate (url, resourceType) => boolean
+ */
+export function createRequestFilter(options = {}) {
+	const { patterns = [], resourceTypes = [], allow = [] } = options;
+	const types = new Set(resourceTypes);
+
+	return (url, resourceType) =>
+		!matchesAny(url, allow) &&
+		(types.has(resourceType) || matchesAny(url, patterns));
+}
+
+/**
+ * Sets up resource blocking for a page
+ * Routes are registered on the page because pooled contexts are shared. The
+ * page's own document is never blocked, even when its URL matches a pattern
+ *
+ * @param {Page} page - Playwright page
+ * @param {object} options - Blocking options { patterns, resourceTypes, allow }
+ * @returns {Promise<object>} Live count of blocked requests { total, byType }
+ */
+export async function setupResourceBlocking(page, options = {}) {
+	const { patterns = [], resourceTypes = [] } = options;
+	const blocked = { total: 0, byType: {} };
+	if (patterns.length === 0 && resourceTypes.length === 0) {
+		return blocked;
+	}
+
+	const isBlocked = createRequestFilter(options);
+	await page.route("**/*", (route) => {
+		const request = route.request();
+		const type = request.resourceType();
+		const isPage =
+			request.isNavigationRequest() && !request.frame().parentFrame();
+
+		if (isPage || !isBlocked(request.url(), type)) {
+			return route.fallback();
+		}
+		blocked.total++;
+		blocked.byType[type] = (blocked.byType[type] ?? 0) + 1;
+		return route.abort("blockedbyclient");
+	});
+
+	logger.debug(
+		`Blocking ${patterns.length} patterns and ${resourceTypes.length} resource types`,
+	);
+	return blocked;
+}
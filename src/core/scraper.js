@@ -3,30 +3,60 @@
  * Single Responsibility: Navigation and HTML extraction using Playwright
  */
 
-import { chromium } from "playwright";
-import { ErrorType, wrapError } from "../services/error.js";
+import {
+	createSessionExpiredError,
+	isLoginRedirect,
+} from "../services/auth.js";
+import {
+	ErrorType,
+	ScrapingError,
+	createHttpError,
+	createProxyError,
+	isProxyError,
+	wrapError,
+} from "../services/error.js";
+import { isFileUrl } from "../services/local-files.js";
+import { describeProxy } from "../services/proxy.js";
 import { executeWithRetry } from "../services/retry.js";
-import { DEFAULT_BLOCKED_PATTERNS } from "../utils/constants.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { DEFAULT_CONFIG } from "../utils/constants.js";
+import { createBrowserPool, isCrashError } from "./browser-pool.js";
+import { hasContentSelection, selectContent } from "./content-selector.js";
+import { flattenPage } from "./dom-flattener.js";
+import {
+	detectFlattenable,
+	detectJsRendered,
+	extractCanonicalFromHtml,
+	extractLinksFromHtml,
+	extractNextLinkFromHtml,
+	extractTitle,
+	fetchHtml,
+	isHtmlContentType,
+	readHtmlFile,
+} from "./fetcher.js";
 import { createLogger } from "./logger.js";
+import {
+	autoScroll,
+	dismissConsent,
+	expandCollapsed,
+} from "./page-interactions.js";
+import { findNextPage } from "./pagination.js";
+import { setupResourceBlocking } from "./resource-blocking.js";
+import { applyWaitStrategies } from "./wait-strategies.js";
 
 const logger = createLogger("scraper");
 
 /**
- * Sets up resource blocking for a browser context
- * Blocks images, fonts, analytics, tracking, and ads to improve speed
- *
- * @param {BrowserContext} context - Playwright browser context
- * @param {string[]} patterns - Resource patterns to block
- * @returns {Promise} Resolves when blocking is configured
+ * Fails when the page ended up on the login page
+ * @param {Page} page - Playwright page
+ * @param {string} url - Requested URL
+ * @param {object} auth - Auth section of the URL's configuration
+ * @throws {ScrapingError} SESSION_EXPIRED if the page shows the login URL
  */
-async function setupResourceBlocking(
-	context,
-	patterns = DEFAULT_BLOCKED_PATTERNS,
-) {
-	for (const pattern of patterns) {
-		await context.route(pattern, (route) => route.abort());
+function assertSession(page, url, auth) {
+	if (auth && isLoginRedirect(page.url(), auth)) {
+		throw createSessionExpiredError(url, page.url());
 	}
-	logger.debug(`Blocked ${patterns.length} resource patterns`);
 }
 
 /**
@@ -38,106 +68,612 @@ async function setupResourceBlocking(
  * @param {object} options - Navigation options
  * @param {number} options.timeout - Navigation timeout in ms
  * @param {string} options.waitUntil - Wait condition
- * @returns {Promise<string>} HTML content of the page
+ * @param {object[]} options.wait - Wait steps run after navigation
+ * @param {object} options.consent - Consent dialog dismissal options (runs when enabled)
+ * @param {object} options.scroll - Auto-scroll options (runs when enabled)
+ * @param {object} options.expand - Tabs/accordions/details expansion options (runs when enabled)
+ * @param {string|string[]} options.contentSelector - Content region to keep (full page when nothing matches)
+ * @param {string[]} options.excludeSelectors - Elements removed before extraction
+ * @param {boolean} options.flatten - Inline open shadow roots and same-origin iframes
+ * @param {object} options.capture - Screenshot/PDF options { screenshot, pdf }
+ * @param {object} options.auth - Auth options, used to detect login redirects
+ * @param {string} options.proxy - Proxy server the page goes through (for error context)
+ * @returns {Promise<object>} { html, pageHtml, captures, finalUrl, redirects } with the HTML of
+ * the page (or of its content region), the HTML of the whole rendered page, the requested
+ * screenshot/PDF buffers, the URL the page ended on and the URLs that redirected to it
+ * @throws {ScrapingError} If the server answered with an HTTP error status,
+ * CONTENT_TIMEOUT if a wait step timed out, SESSION_EXPIRED on a login redirect,
+ * PROXY_ERROR if the proxy could not be used, or VALIDATION_ERROR for an invalid selector
  */
 async function navigateAndExtract(page, url, options = {}) {
-	const { timeout, waitUntil } = options;
+	const {
+		timeout,
+		waitUntil,
+		wait,
+		consent,
+		scroll,
+		expand,
+		contentSelector,
+		excludeSelectors,
+		flatten,
+		capture,
+		auth,
+		proxy,
+	} = options;
 
 	const startTime = Date.now();
 
-	await page.goto(url, {
-		waitUntil: waitUntil || "domcontentloaded",
-		timeout: timeout || 8000,
-	});
+	let response;
+	try {
+		response = await page.goto(url, {
+			waitUntil: waitUntil || "domcontentloaded",
+			timeout: timeout || 8000,
+		});
+	} catch (error) {
+		// Tell a proxy outage apart from the site being down
+		if (isProxyError(error)) {
+			throw createProxyError(error, { url, proxy });
+		}
+		throw error;
+	}
+
+	// Error pages must not be converted and saved as real content
+	if (response && response.status() >= 400) {
+		throw createHttpError({
+			url,
+			finalUrl: response.url(),
+			status: response.status(),
+			statusText: response.statusText(),
+			headers: response.headers(),
+		});
+	}
+
+	// Expired sessions redirect to the login page instead of failing
+	assertSession(page, url, auth);
+
+	// Wait for dynamic content (default: a brief fixed delay)
+	try {
+		await applyWaitStrategies(page, wait, url);
+	} catch (error) {
+		// Client-side redirects to the login page surface as content timeouts
+		assertSession(page, url, auth);
+		throw error;
+	}
+
+	// Consent dialogs cover the page and leak their text into the Markdown
+	if (consent?.enabled) {
+		await dismissConsent(page, consent, url);
+	}
+
+	// Lazy-loaded and infinite-scroll content only renders once scrolled into view
+	if (scroll?.enabled) {
+		await autoScroll(page, scroll, url);
+	}
+
+	// Captured as rendered, before tabs and accordions are rewritten
+	const captures = await capturePage(page, capture, url);
+
+	// Hidden tab panels and collapsed blocks would otherwise be lost
+	if (expand?.enabled) {
+		await expandCollapsed(page, expand, url);
+	}
+
+	// page.content() misses shadow DOM and iframe content
+	const flattened = flatten ? await flattenPage(page, url) : null;
 
-	// Wait a brief moment for dynamic content to load
-	// This is a balance between speed and completeness
-	await page.waitForTimeout(100);
+	// The whole rendered page is kept for the HTML archive
+	const pageHtml = flattened ?? (await page.content());
 
-	const html = await page.content();
+	// Only the configured content region goes to the converter
+	const html = hasContentSelection({ contentSelector, excludeSelectors })
+		? (
+				await selectContent(
+					page,
+					{ contentSelector, excludeSelectors, html: flattened },
+					url,
+				)
+			).html
+		: pageHtml;
 	const duration = Date.now() - startTime;
 
 	logger.debug(`Extracted ${html.length} bytes in ${duration}ms`, { url });
 
-	return html;
+	return {
+		html,
+		pageHtml,
+		captures,
+		...describeRedirects(page, response, url),
+	};
+}
+
+/**
+ * Describes where navigation ended and how it got there
+ * HTTP redirects come from the request chain; a page whose URL changed
+ * after loading (client-side redirect) adds the loaded URL to the chain
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {Response} response - Response of the navigation (null for same-document navigations)
+ * @param {string} url - Requested URL
+ * @returns {object} { finalUrl, redirects }
+ */
+function describeRedirects(page, response, url) {
+	const redirects = [];
+	let request = response?.request().redirectedFrom();
+	for (; request; request = request.redirectedFrom()) {
+		redirects.unshift(request.url());
+	}
+
+	const loadedUrl = response?.url() ?? url;
+	const finalUrl = page.url();
+	if (finalUrl !== loadedUrl) {
+		redirects.push(loadedUrl);
+	}
+	return { finalUrl, redirects };
+}
+
+/**
+ * Reads the canonical URL a page declares with <link rel="canonical">
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<string|null>} Absolute canonical URL, or null
+ */
+function extractPageCanonical(page) {
+	return page.evaluate(
+		() =>
+			document.querySelector('link[rel~="canonical" i][href]')?.href ?? null,
+	);
+}
+
+/**
+ * Checks whether screenshots or PDFs are requested
+ * @param {object} capture - Capture options { screenshot, pdf }
+ * @returns {boolean} True if the page must be captured
+ */
+function hasCaptures(capture) {
+	return Boolean(capture?.screenshot || capture?.pdf);
+}
+
+/**
+ * Takes the requested full-page screenshot and PDF print of a page
+ * PDF printing only works in headless Chromium; a failed print is logged
+ * and skipped so the Markdown is still saved
+ *
+ * @param {Page} page - Playwright page instance
+ * @param {object} capture - Capture options { screenshot, pdf }
+ * @param {string} url - Page URL (for logs)
+ * @returns {Promise<object>} { screenshot, pdf } buffers for the requested captures
+ */
+async function capturePage(page, capture, url) {
+	const captures = {};
+	if (!hasCaptures(capture)) {
+		return captures;
+	}
+
+	if (capture.screenshot) {
+		captures.screenshot = await page.screenshot({
+			fullPage: true,
+			type: "png",
+		});
+	}
+	if (capture.pdf) {
+		try {
+			captures.pdf = await page.pdf({ format: "A4", printBackground: true });
+		} catch (error) {
+			logger.warn(`PDF not captured for ${url}: ${error.message}`);
+		}
+	}
+
+	logger.debug(`Captured ${Object.keys(captures).join(" and ")}`, { url });
+	return captures;
+}
+
+/**
+ * Collects the absolute targets of every link on the page
+ * Uses the resolved `href` property so relative links and <base> are handled
+ *
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<string[]>} Unique absolute URLs
+ */
+async function extractPageLinks(page) {
+	const links = await page.$$eval("a[href]", (anchors) =>
+		anchors.map((anchor) => anchor.href),
+	);
+	return [...new Set(links)];
 }
 
 /**
  * Scrapes a single URL and returns the HTML content
  * Uses exponential backoff retry for network resilience
+ * Pages come from the shared browser pool when one is provided; otherwise a
+ * short-lived pool is created for this call only. With the fetch engine, the
+ * browser is only used for pages that turn out to need JavaScript; file://
+ * URLs are read from disk unless options.renderLocalFiles is set
  *
  * @param {string} url - URL to scrape
  * @param {object} options - Scraping options
+ * @param {BrowserPool} options.pool - Shared browser pool (optional)
  * @param {number} options.timeout - Navigation timeout in ms
  * @param {string} options.waitUntil - Wait condition for page load
- * @param {string[]} options.blockedResources - Resource patterns to block
- * @returns {Promise<object>} Scraped data { html, url, title, duration }
- * @throws {ScrapingError} If scraping fails after all retries
+ * @param {object[]} options.wait - Wait steps run after navigation (see wait-strategies.js)
+ * @param {object} options.consent - Consent dialog dismissal options (see page-interactions.js)
+ * @param {object} options.scroll - Auto-scroll options (see page-interactions.js)
+ * @param {object} options.expand - Collapsed content expansion options (see page-interactions.js)
+ * @param {string|string[]} options.contentSelector - Content region selector(s) (see content-selector.js)
+ * @param {string[]} options.excludeSelectors - Selectors of elements to drop from the content
+ * @param {boolean} options.flatten - Inline open shadow roots and same-origin iframes (default: true)
+ * @param {object} options.capture - Full-page screenshot/PDF options { screenshot, pdf } (browser only)
+ * @param {object} options.auth - Auth options of the URL (login redirect detection)
+ * @param {object} options.contextOptions - Browser context options for this URL (e.g. storageState)
+ * @param {object} options.launchOverrides - Launch options of the browser for this URL (e.g. headless)
+ * @param {object} options.blocking - Requests to block { patterns, resourceTypes, allow } (see resource-blocking.js)
+ * @param {boolean} options.extractLinks - Also collect absolute <a href> targets (crawl mode)
+ * @param {object} options.pagination - Next page detection { enabled, selectors } (see pagination.js)
+ * @param {object} options.robots - robots.txt checker from createRobotsChecker (optional)
+ * @param {HostLimiter} options.limiter - Per-host politeness limiter (optional)
+ * @param {string} options.engine - "browser" (Playwright) or "fetch" (plain HTTP, browser fallback for JS-rendered pages)
+ * @param {Function} options.fetch - fetch implementation for the fetch engine (e.g. proxy-aware)
+ * @param {boolean} options.renderLocalFiles - Load file:// URLs in the browser instead of reading them
+ * @returns {Promise<object>} Scraped data { html, pageHtml, url, finalUrl, redirects, canonical, title, duration,
+ * acquireDuration, queueDuration, links, nextUrl, captures, blocked, engine, fallbackReason }
+ * @throws {ScrapingError} If scraping fails after all retries, or robots.txt disallows the URL
  */
 export async function scrapeUrl(url, options = {}) {
+	if (!options.pool) {
+		const pool = createBrowserPool(options);
+		try {
+			return await scrapeUrl(url, { ...options, pool });
+		} finally {
+			await pool.close();
+		}
+	}
+
+	const { engine = "browser", contextOptions = {}, robots = null } = options;
+
+	logger.debug(`Starting scrape for ${url}`);
+
+	const verdict = robots ? await robots.check(url) : null;
+	if (verdict) {
+		if (!verdict.allowed) {
+			throw new ScrapingError(
+				`Disallowed by robots.txt: ${url}`,
+				ErrorType.ROBOTS,
+				{ url, nonRetryable: true, skipReason: "robots" },
+			);
+		}
+	}
+
+	// robots.txt Crawl-delay acts as a per-host minimum delay
+	const hostLimits = verdict?.crawlDelay
+		? { minDelay: verdict.crawlDelay * 1000 }
+		: {};
+
+	// Waits add up across retries and the browser fallback
+	const waits = { queue: 0, acquire: 0 };
+
+	// Local files are read from disk unless rendering them is requested
+	const local = isFileUrl(url) && !options.renderLocalFiles;
+
+	if (local || engine === "fetch") {
+		const browserReason = getBrowserReason(options, contextOptions);
+		if (browserReason) {
+			logger.debug(`${browserReason}, using the browser for ${url}`);
+		} else if (local) {
+			return scrapeFromFile(url, options);
+		} else {
+			const fetched = await withRetry(url, () =>
+				scrapeWithFetch(url, options, hostLimits, waits),
+			);
+			if (!fetched.fallbackReason) {
+				return fetched;
+			}
+
+			logger.debug(
+				`Falling back to the browser for ${url} (${fetched.fallbackReason})`,
+			);
+			const scraped = await withRetry(url, () =>
+				scrapeWithBrowser(url, options, hostLimits, waits),
+			);
+			return { ...scraped, fallbackReason: fetched.fallbackReason };
+		}
+	}
+
+	return withRetry(url, () =>
+		scrapeWithBrowser(url, options, hostLimits, waits),
+	);
+}
+
+/**
+ * Checks whether expansion is enabled with selectors of its own
+ * The default selectors only reveal content already in the HTML
+ *
+ * @param {object} expand - Expansion options (see DEFAULT_CONFIG.expand)
+ * @returns {boolean} True if site-specific tabs or accordions are set
+ */
+function hasCustomExpand(expand) {
+	if (!expand?.enabled) {
+		return false;
+	}
+	return ["tabLists", "tabs", "panels", "accordions"].some(
+		(key) =>
+			expand[key] !== undefined &&
+			JSON.stringify(expand[key]) !==
+				JSON.stringify(DEFAULT_CONFIG.expand[key]),
+	);
+}
+
+/**
+ * Returns why a URL needs the browser even with the fetch engine or as a
+ * local file
+ * Page interactions only run in the browser: wait steps other than delays,
+ * scrolling, and consent or expansion selectors set for the URL. Flattening
+ * is checked on the fetched HTML instead (see detectFlattenable)
+ *
+ * @param {object} options - Scraping options (see scrapeUrl)
+ * @param {object} contextOptions - Browser context options of the URL
+ * @returns {string|null} Reason (for logs), or null if the HTML alone will do
+ */
+function getBrowserReason(options, contextOptions) {
+	if (contextOptions.storageState) {
+		return "Session required";
+	}
+	if ((options.wait ?? []).some((step) => step.type !== "delay")) {
+		return "Wait steps set";
+	}
+	if (options.scroll?.enabled) {
+		return "Scroll enabled";
+	}
+	const { consent } = options;
+	if (
+		consent?.enabled &&
+		(consent.selectors?.length || consent.remove?.length)
+	) {
+		return "Consent selectors set";
+	}
+	if (hasCustomExpand(options.expand)) {
+		return "Expand selectors set";
+	}
+	if (hasContentSelection(options)) {
+		// Content selectors are applied in the page
+		return "Content selectors set";
+	}
+	if (hasCaptures(options.capture)) {
+		return "Captures requested";
+	}
+	if (options.pagination?.enabled && options.pagination.selectors?.length > 0) {
+		// Next-link selectors are matched in the page
+		return "Next page selectors set";
+	}
+	return null;
+}
+
+/**
+ * Runs one scrape attempt function with the scraper's retry policy
+ *
+ * @param {string} url - URL being scraped (for logs)
+ * @param {Function} attempt - Async attempt function
+ * @returns {Promise<object>} Result of the first successful attempt
+ */
+function withRetry(url, attempt) {
+	return executeWithRetry(attempt, {
+		maxAttempts: 3,
+		baseDelay: 1000,
+		maxDelay: 10000,
+		onRetry: ({ attempt, nextAttempt, maxAttempts, delay, error }) => {
+			logger.warn(
+				`Retry ${nextAttempt}/${maxAttempts} for ${url} after ${delay}ms`,
+				{
+					attempt,
+					error: error.message,
+				},
+			);
+		},
+	});
+}
+
+/**
+ * Scrapes a URL with a pooled Playwright page (one attempt)
+ *
+ * @param {string} url - URL to scrape
+ * @param {object} options - Scraping options (see scrapeUrl)
+ * @param {object} hostLimits - Extra politeness limits (robots.txt Crawl-delay)
+ * @param {object} waits - Accumulated { queue, acquire } wait times, updated in place
+ * @returns {Promise<object>} Scraped data with engine "browser"
+ */
+async function scrapeWithBrowser(url, options, hostLimits, waits) {
 	const {
+		pool,
 		timeout = 8000,
 		waitUntil = "domcontentloaded",
-		blockedResources = DEFAULT_BLOCKED_PATTERNS,
+		wait = DEFAULT_CONFIG.wait,
+		consent = DEFAULT_CONFIG.consent,
+		scroll = null,
+		expand = DEFAULT_CONFIG.expand,
+		contentSelector = null,
+		excludeSelectors = [],
+		flatten = DEFAULT_CONFIG.flatten,
+		capture = null,
+		auth = null,
+		contextOptions = {},
+		launchOverrides = {},
+		blocking = DEFAULT_CONFIG.blocking,
+		extractLinks = false,
+		pagination = null,
+		limiter = null,
 	} = options;
 
-	logger.debug(`Starting scrape for ${url}`);
+	// Wait for the host's politeness limits before taking a page
+	const hostSlot = limiter ? await limiter.acquire(url, hostLimits) : null;
+	waits.queue += hostSlot?.waited ?? 0;
 
-	return executeWithRetry(
-		async () => {
-			const browser = await chromium.launch({
-				headless: true,
-				args: [
-					"--no-sandbox",
-					"--disable-setuid-sandbox",
-					"--disable-dev-shm-usage",
-				],
+	let lease;
+	try {
+		lease = await pool.acquire(contextOptions, launchOverrides);
+	} catch (error) {
+		hostSlot?.release();
+		throw error;
+	}
+	waits.acquire += lease.waited;
+	const { page } = lease;
+
+	let broken = false;
+	try {
+		// Set up resource blocking before navigation
+		const blocked = await setupResourceBlocking(page, blocking);
+
+		const startTime = Date.now();
+		const { html, pageHtml, captures, finalUrl, redirects } =
+			await navigateAndExtract(page, url, {
+				timeout,
+				waitUntil,
+				wait,
+				consent,
+				scroll,
+				expand,
+				contentSelector,
+				excludeSelectors,
+				flatten,
+				capture,
+				auth,
+				proxy: describeProxy(contextOptions.proxy),
+			});
+		const title = await page.title();
+		const canonical = await extractPageCanonical(page);
+		const links = extractLinks ? await extractPageLinks(page) : undefined;
+		const nextUrl = pagination?.enabled
+			? await findNextPage(page, pagination, url)
+			: undefined;
+		const duration = Date.now() - startTime;
+		if (blocked.total > 0) {
+			logger.debug(`Blocked ${blocked.total} requests`, {
+				url,
+				byType: blocked.byType,
 			});
+		}
 
-			try {
-				const context = await browser.newContext({
-					userAgent: "Scrappe-Tout/1.0 (+https://github.com/scrappe-tout)",
-				});
-
-				// Set up resource blocking before navigation
-				await setupResourceBlocking(context, blockedResources);
-
-				const page = await context.newPage();
-
-				const startTime = Date.now();
-
-				try {
-					const html = await navigateAndExtract(page, url, {
-						timeout,
-						waitUntil,
-					});
-					const title = await page.title();
-					const duration = Date.now() - startTime;
-
-					return { html, url, title, duration };
-				} finally {
-					await page.close();
-					await context.close();
-				}
-			} finally {
-				await browser.close();
-			}
-		},
-		{
-			maxAttempts: 3,
-			baseDelay: 1000,
-			maxDelay: 10000,
-			onRetry: ({ attempt, nextAttempt, maxAttempts, delay, error }) => {
-				logger.warn(
-					`Retry ${nextAttempt}/${maxAttempts} for ${url} after ${delay}ms`,
-					{
-						attempt,
-						error: error.message,
-					},
-				);
-			},
-		},
-	);
+		return {
+			html,
+			pageHtml,
+			url,
+			finalUrl,
+			redirects,
+			canonical,
+			title,
+			duration,
+			acquireDuration: waits.acquire,
+			queueDuration: waits.queue,
+			links,
+			nextUrl,
+			captures,
+			blocked,
+			engine: "browser",
+		};
+	} catch (error) {
+		broken = isCrashError(error);
+		throw error;
+	} finally {
+		hostSlot?.release();
+		await lease.release({ broken });
+	}
+}
+
+/**
+ * Scrapes a URL with a plain HTTP request (one attempt)
+ * Pages that look JS-rendered or are not HTML come back with a fallbackReason
+ * instead of content, so the caller can retry them in the browser
+ *
+ * @param {string} url - URL to scrape
+ * @param {object} options - Scraping options (see scrapeUrl)
+ * @param {object} hostLimits - Extra politeness limits (robots.txt Crawl-delay)
+ * @param {object} waits - Accumulated { queue, acquire } wait times, updated in place
+ * @returns {Promise<object>} Scraped data with engine "fetch", or { fallbackReason }
+ */
+async function scrapeWithFetch(url, options, hostLimits, waits) {
+	const {
+		extractLinks = false,
+		pagination = null,
+		limiter = null,
+		contextOptions = {},
+		flatten = DEFAULT_CONFIG.flatten,
+	} = options;
+
+	const hostSlot = limiter ? await limiter.acquire(url, hostLimits) : null;
+	waits.queue += hostSlot?.waited ?? 0;
+
+	let fetched;
+	try {
+		fetched = await fetchHtml(url, {
+			timeout: options.timeout,
+			userAgent: contextOptions.userAgent,
+			headers: contextOptions.extraHTTPHeaders,
+			locale: contextOptions.locale,
+			fetch: options.fetch,
+		});
+	} finally {
+		hostSlot?.release();
+	}
+
+	const fallbackReason = !isHtmlContentType(fetched.contentType)
+		? "content-type"
+		: (detectJsRendered(fetched.html) ??
+			(flatten ? detectFlattenable(fetched.html, fetched.finalUrl) : null));
+	if (fallbackReason) {
+		return { fallbackReason };
+	}
+
+	return {
+		html: fetched.html,
+		url,
+		finalUrl: fetched.finalUrl,
+		redirects: fetched.redirects,
+		canonical: extractCanonicalFromHtml(fetched.html, fetched.finalUrl),
+		title: extractTitle(fetched.html),
+		duration: fetched.duration,
+		acquireDuration: waits.acquire,
+		queueDuration: waits.queue,
+		links: extractLinks
+			? extractLinksFromHtml(fetched.html, fetched.finalUrl)
+			: undefined,
+		nextUrl: pagination?.enabled
+			? extractNextLinkFromHtml(fetched.html, fetched.finalUrl)
+			: undefined,
+		engine: "fetch",
+	};
+}
+
+/**
+ * Scrapes a local HTML file without a browser
+ * The file is converted as it is on disk: its scripts do not run, and no
+ * politeness limit applies
+ *
+ * @param {string} url - file:// URL
+ * @param {object} options - Scraping options (see scrapeUrl)
+ * @returns {Promise<object>} Scraped data with engine "file"
+ */
+async function scrapeFromFile(url, options) {
+	const { extractLinks = false, pagination = null } = options;
+
+	const { html, duration } = await readHtmlFile(url);
+	if (detectJsRendered(html) === "app-root") {
+		logger.warn(
+			`${url} looks rendered by JavaScript, set renderLocalFiles to load it in the browser`,
+		);
+	}
+
+	return {
+		html,
+		url,
+		finalUrl: url,
+		redirects: [],
+		canonical: extractCanonicalFromHtml(html, url),
+		title: extractTitle(html),
+		duration,
+		acquireDuration: 0,
+		queueDuration: 0,
+		links: extractLinks ? extractLinksFromHtml(html, url) : undefined,
+		nextUrl: pagination?.enabled
+			? extractNextLinkFromHtml(html, url)
+			: undefined,
+		engine: "file",
+	};
 }
 
 /**
@@ -154,28 +690,32 @@ export async function scrapeUrls(urls, options = {}) {
 
 	logger.info(`Scraping ${urls.length} URLs with concurrency ${concurrency}`);
 
-	const results = [];
-	const errors = [];
+	// Share one browser across all workers unless the caller owns the pool
+	const pool = options.pool ?? createBrowserPool(options);
 
-	// Process URLs in batches
-	for (let i = 0; i < urls.length; i += concurrency) {
-		const batch = urls.slice(i, i + concurrency);
-		const batchPromises = batch.map((url) =>
-			scrapeUrl(url, options)
+	let outcomes;
+	try {
+		outcomes = await mapWithConcurrency(urls, concurrency, (url) =>
+			scrapeUrl(url, { ...options, pool })
 				.then((result) => ({ result, url }))
 				.catch((error) => ({ error, url })),
 		);
+	} finally {
+		if (!options.pool) {
+			await pool.close();
+		}
+	}
 
-		const batchResults = await Promise.all(batchPromises);
+	const results = [];
+	const errors = [];
 
-		for (const { result, error, url } of batchResults) {
-			if (error) {
-				errors.push({ url, error });
-				logger.error(`Failed to scrape ${url}`, error);
-			} else {
-				results.push(result);
-				logger.success(`Scraped ${url} in ${result.duration}ms`);
-			}
+	for (const { result, error, url } of outcomes) {
+		if (error) {
+			errors.push({ url, error });
+			logger.error(`Failed to scrape ${url}`, error);
+		} else {
+			results.push(result);
+			logger.success(`Scraped ${url} in ${result.duration}ms`);
 		}
 	}
 
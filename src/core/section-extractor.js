@@ -0,0 +1,186 @@
+/**
+ * Section Extractor Module
+ * Single Responsibility: Narrow an HTML document to the section a URL fragment points to
+ */
+
+import { createLogger } from "./logger.js";
+import { buildTree, listElements, serialize, textOf } from "./main-content.js";
+
+const logger = createLogger("section");
+
+/**
+ * Elements that end the search for the heading following an empty anchor
+ */
+const BLOCK_TAGS = new Set(["p", "pre", "ul", "ol", "table", "blockquote"]);
+
+/**
+ * Returns the fragment of a URL when it names a section of the page
+ * Client-side routes (#/path, #!/path) and text fragments (#:~:text=) do not
+ *
+ * @param {string} url - Page URL
+ * @returns {string|null} Decoded fragment without "#", or null
+ */
+export function getSectionFragment(url) {
+	let hash;
+	try {
+		hash = new URL(url).hash.slice(1);
+	} catch {
+		return null;
+	}
+	if (!hash || /^[/!]|^:~:/.test(hash)) {
+		return null;
+	}
+
+	try {
+		return decodeURIComponent(hash);
+	} catch {
+		return hash;
+	}
+}
+
+/**
+ * Returns the level of a heading element
+ * @param {object} node - Tree node
+ * @returns {number} 1-6 for <h1>-<h6>, 0 otherwise
+ */
+function headingLevel(node) {
+	const match = /^h([1-6])$/.exec(node.name ?? "");
+	return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Checks whether a node is or holds a heading of a given level or higher
+ * @param {object} node - Tree node
+ * @param {number} level - Heading level (1-6)
+ * @returns {boolean} True if the node starts a new section at that level
+ */
+function startsSection(node, level) {
+	if (!node.name) return false;
+	return [node, ...listElements(node)].some((element) => {
+		const found = headingLevel(element);
+		return found > 0 && found <= level;
+	});
+}
+
+/**
+ * Returns the visible text length of nodes
+ * @param {object[]} nodes - Tree nodes
+ * @returns {number} Trimmed text length
+ */
+function textLength(nodes) {
+	return nodes.map(textOf).join("").replace(/\s+/g, "").length;
+}
+
+/**
+ * Finds the element a fragment targets, by id or by <a name>
+ * @param {object[]} elements - Elements in document order
+ * @param {string} fragment - Decoded fragment
+ * @returns {object|undefined} Target element
+ */
+function findTarget(elements, fragment) {
+	return (
+		elements.find((element) => element.attributes.id === fragment) ??
+		elements.find(
+			(element) => element.name === "a" && element.attributes.name === fragment,
+		)
+	);
+}
+
+/**
+ * Resolves the heading a target belongs to
+ * The target may be the heading, an element inside it (anchor link), or an
+ * empty anchor placed right before it
+ *
+ * @param {object} target - Target element
+ * @param {object[]} elements - Elements in document order
+ * @returns {object|null} Heading element, or null
+ */
+function findHeading(target, elements) {
+	for (let node = target; node; node = node.parent) {
+		if (headingLevel(node)) return node;
+	}
+
+	if (textLength([target]) > 0) {
+		return null;
+	}
+	for (const element of elements.slice(elements.indexOf(target) + 1)) {
+		if (headingLevel(element)) return element;
+		if (BLOCK_TAGS.has(element.name)) return null;
+	}
+	return null;
+}
+
+/**
+ * Collects the nodes of the section a heading starts
+ * Headings wrapped with only a permalink (e.g. <div><h2/><a>#</a></div>)
+ * are climbed out of first; the section then runs over the following
+ * siblings until the next heading of equal or higher level
+ *
+ * @param {object} heading - Heading element
+ * @param {object} body - <body> element (or root)
+ * @returns {object[]} Section nodes in document order
+ */
+function collectSection(heading, body) {
+	const level = headingLevel(heading);
+	const following = (node) =>
+		node.parent.children.slice(node.parent.children.indexOf(node) + 1);
+
+	let start = heading;
+	while (
+		start.parent &&
+		start.parent !== body &&
+		textLength(following(start)) < 3
+	) {
+		start = start.parent;
+	}
+
+	const nodes = [start];
+	for (const sibling of following(start)) {
+		if (startsSection(sibling, level)) break;
+		nodes.push(sibling);
+	}
+	return nodes;
+}
+
+/**
+ * Narrows an HTML document to the section a fragment points to
+ * The <head> is kept; the body holds the anchored heading and everything
+ * up to the next heading of equal or higher level. A fragment pointing to
+ * a sectioning element that holds headings keeps that element. Documents
+ * where the fragment matches nothing usable are returned unchanged
+ *
+ * @param {string} html - HTML document
+ * @param {string} fragment - Decoded fragment, without "#"
+ * @param {object} options - Extraction options
+ * @param {string} options.url - Page URL (for logs)
+ * @returns {object} { html, fragment, heading, found }
+ */
+export function extractSection(html, fragment, options = {}) {
+	const { url = null } = options;
+
+	const root = buildTree(html);
+	const elements = listElements(root);
+	const body = elements.find((element) => element.name === "body") ?? root;
+	const target = findTarget(elements, fragment);
+
+	const heading = target ? findHeading(target, elements) : null;
+	const container =
+		target && !heading && startsSection(target, 6) ? target : null;
+
+	if (!heading && !container) {
+		logger.warn(`No section found for #${fragment}, keeping the full page`, {
+			url,
+		});
+		return { html, fragment, heading: null, found: false };
+	}
+
+	body.children = heading ? collectSection(heading, body) : [container];
+	const title = textOf(
+		heading ?? listElements(container).find((element) => headingLevel(element)),
+	)
+		.replace(/\s+/g, " ")
+		.trim();
+
+	logger.debug(`Extracted section #${fragment} ("${title}")`, { url });
+	return { html: serialize(root), fragment, heading: title, found: true };
+}
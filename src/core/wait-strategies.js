@@ -0,0 +1,98 @@
+/**
+ * Wait Strategies Module
+ * Single Responsibility: Wait for page content to be ready after navigation
+ */
+
+import { ErrorType, ScrapingError } from "../services/error.js";
+import { DEFAULT_WAIT_TIMEOUT } from "../utils/constants.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("wait");
+
+/**
+ * Describes a wait step for logs and error messages
+ * @param {object} step - Wait step { type, value, timeout }
+ * @returns {string} Short description (e.g. 'selector "main h1"')
+ */
+export function describeWaitStep(step) {
+	switch (step.type) {
+		case "selector":
+			return `selector "${step.value}"`;
+		case "function":
+			return `function "${step.value}"`;
+		case "networkIdle":
+			return "network idle";
+		case "delay":
+			return `delay ${step.value}ms`;
+		default:
+			return step.type;
+	}
+}
+
+/**
+ * Runs one wait step on a page
+ *
+ * @param {Page} page - Playwright page
+ * @param {object} step - Wait step
+ * @param {number} timeout - Step timeout in ms
+ * @returns {Promise} Resolves when the condition is met
+ */
+async function runWaitStep(page, step, timeout) {
+	switch (step.type) {
+		case "selector":
+			await page.waitForSelector(step.value, {
+				state: step.state || "visible",
+				timeout,
+			});
+			break;
+		case "function":
+			// The value is a JS expression evaluated in the page until truthy
+			await page.waitForFunction(step.value, undefined, { timeout });
+			break;
+		case "networkIdle":
+			await page.waitForLoadState("networkidle", { timeout });
+			break;
+		case "delay":
+			await page.waitForTimeout(step.value);
+			break;
+		default:
+			throw new Error(`Unknown wait step type: ${step.type}`);
+	}
+}
+
+/**
+ * Waits for every configured step, in order, after navigation
+ * A step that times out means the page loaded but the expected content never
+ * appeared: it fails with CONTENT_TIMEOUT instead of a navigation TIMEOUT
+ *
+ * @param {Page} page - Playwright page
+ * @param {object[]} steps - Wait steps [{ type, value, timeout }]
+ * @param {string} url - URL being scraped (for error context)
+ * @returns {Promise} Resolves when all steps are satisfied
+ * @throws {ScrapingError} CONTENT_TIMEOUT if a step times out
+ */
+export async function applyWaitStrategies(page, steps = [], url = null) {
+	for (const step of steps) {
+		const timeout = step.timeout ?? DEFAULT_WAIT_TIMEOUT;
+		const startTime = Date.now();
+
+		try {
+			await runWaitStep(page, step, timeout);
+		} catch (error) {
+			if (error.name !== "TimeoutError") {
+				throw error;
+			}
+			throw new ScrapingError(
+				`Content not ready after ${timeout}ms (${describeWaitStep(step)}): ${url}`,
+				ErrorType.CONTENT_TIMEOUT,
+				{ url, wait: describeWaitStep(step), timeout, nonRetryable: true },
+				error,
+			);
+		}
+
+		logger.debug(
+			`Waited ${Date.now() - startTime}ms for ${describeWaitStep(step)}`,
+			{ url },
+		);
+	}
+}
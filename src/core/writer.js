@@ -4,7 +4,7 @@
  */
 
 import { mkdir, stat, writeFile } from "node:fs/promises";
-import { dirname, join } from "node:path";
+import { basename, dirname, join } from "node:path";
 import { ErrorType, wrapError } from "../services/error.js";
 import { createLogger } from "./logger.js";
 
@@ -33,9 +33,78 @@ export function getOutputDirectory() {
 	return globalOutputDir || "./captures";
 }
 
+/**
+ * Builds the base filename of a web page
+ * Domain name and the last 3 path segments, e.g. "example-com-docs-guide-install"
+ *
+ * @param {URL} urlObj - Page URL
+ * @returns {string} Filename base, before cleaning
+ */
+function remoteFilename(urlObj) {
+	// Get domain name (without TLD) to distinguish between sites
+	const domainParts = urlObj.hostname.split(".");
+	// Use the last 2 parts for subdomain.domain or domain.tld patterns
+	// For 'docs.example.com': use 'example-dev'
+	// For 'example.org': use 'example-org'
+	const domain =
+		domainParts.length >= 2
+			? `${domainParts[domainParts.length - 2]}-${domainParts[domainParts.length - 1]}`
+			: urlObj.hostname;
+
+	// Get the path, remove trailing slash, split by /
+	const pathParts = urlObj.pathname
+		.replace(/\/$/, "")
+		.split("/")
+		.filter((p) => p);
+
+	let filename = domain;
+
+	// Take up to the last 3 meaningful parts of the path
+	const meaningfulParts = pathParts.slice(-3);
+
+	for (const part of meaningfulParts) {
+		// Remove file extensions like .html
+		const cleanPart = part.replace(/\.html?$/i, "");
+		if (cleanPart) {
+			filename += `-${cleanPart}`;
+		}
+	}
+
+	return filename;
+}
+
+/**
+ * Builds the base filename of a local file
+ * Local paths have no domain: the file name and its parent directories
+ * are used instead, an index.html standing for its directory
+ * (file:///home/me/mirror/guide/install.html -> "mirror-guide-install")
+ *
+ * @param {URL} urlObj - file:// URL
+ * @returns {string} Filename base, before cleaning
+ */
+function localFilename(urlObj) {
+	const parts = urlObj.pathname
+		.split("/")
+		.filter(Boolean)
+		.map((part) => {
+			try {
+				return decodeURIComponent(part);
+			} catch {
+				return part;
+			}
+		})
+		.map((part) => part.replace(/\.x?html?$/i, ""));
+
+	if (parts.length > 1 && parts.at(-1).toLowerCase() === "index") {
+		parts.pop();
+	}
+	return parts.slice(-3).join("-");
+}
+
 /**
  * Sanitizes a URL to create a unique filename
  * Includes domain name and path segments to avoid collisions
+ * (local files: their parent directories, see localFilename)
  * Includes URL fragment (hash) for same-page sections
  *
  * @param {string} url - URL to sanitize
@@ -45,35 +114,11 @@ export function sanitizeFilename(url) {
 	try {
 		const urlObj = new URL(url);
 
-		// Get domain name (without TLD) to distinguish between sites
-		const domainParts = urlObj.hostname.split(".");
-		// Use the last 2 parts for subdomain.domain or domain.tld patterns
-		// For 'docs.example.com': use 'example-dev'
-		// For 'example.org': use 'example-org'
-		const domain =
-			domainParts.length >= 2
-				? `${domainParts[domainParts.length - 2]}-${domainParts[domainParts.length - 1]}`
-				: urlObj.hostname;
-
-		// Get the path, remove trailing slash, split by /
-		const pathParts = urlObj.pathname
-			.replace(/\/$/, "")
-			.split("/")
-			.filter((p) => p);
-
-		// Build filename: domain + last 2-3 path parts
-		let filename = domain;
-
-		// Take up to the last 3 meaningful parts of the path
-		const meaningfulParts = pathParts.slice(-3);
-
-		for (const part of meaningfulParts) {
-			// Remove file extensions like .html
-			const cleanPart = part.replace(/\.html?$/i, "");
-			if (cleanPart) {
-				filename += `-${cleanPart}`;
-			}
-		}
+		// Build filename: domain + last 2-3 path parts (local files: path parts only)
+		let filename =
+			urlObj.protocol === "file:"
+				? localFilename(urlObj)
+				: remoteFilename(urlObj);
 
 		// Append hash/fragment if present (for same-page sections)
 		if (urlObj.hash) {
@@ -155,7 +200,7 @@ async function ensureDirectory(dir) {
  * Creates parent directories if they don't exist
  *
  * @param {string} filepath - Full path to output file
- * @param {string} content - Markdown content to write
+ * @param {string|Buffer} content - Markdown content (or capture bytes) to write
  * @returns {Promise<boolean>} True if file was written, false if skipped
  * @throws {ScrapingError} If write fails
  */
@@ -224,6 +269,39 @@ export async function writeMarkdown(url, markdown, options = {}) {
 	};
 }
 
+/**
+ * File extensions of page captures
+ */
+const CAPTURE_EXTENSIONS = {
+	screenshot: "png",
+	pdf: "pdf",
+};
+
+/**
+ * Writes a page's screenshot and PDF next to its Markdown file
+ * Files share the Markdown file's base name (page.md, page.png, page.pdf)
+ *
+ * @param {string} url - Source URL (for filename generation)
+ * @param {object} captures - Capture buffers { screenshot, pdf }
+ * @param {object} options - Write options
+ * @param {string} options.outputDir - Output directory path
+ * @returns {Promise<object>} Written file paths { screenshot, pdf }
+ * @throws {ScrapingError} If a write fails
+ */
+export async function writeCaptures(url, captures = {}, options = {}) {
+	const { outputDir = getOutputDirectory() } = options;
+	const base = basename(generateFilename(url), ".md");
+
+	const paths = {};
+	for (const [kind, extension] of Object.entries(CAPTURE_EXTENSIONS)) {
+		if (captures[kind]) {
+			paths[kind] = join(outputDir, `${base}.${extension}`);
+			await writeToFile(paths[kind], captures[kind]);
+		}
+	}
+	return paths;
+}
+
 /**
  * Writes multiple markdown files in batch
  * Efficiently processes multiple write operations
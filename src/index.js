@@ -4,11 +4,17 @@
  * Single Responsibility: Orchestrate the scraping workflow
  */
 
-import { join } from "node:path";
 import { createLogger, initLogFile } from "./core/logger.js";
-import { getConfig } from "./services/config.js";
+import {
+	configFromArgs,
+	getConfig,
+	loadConfigFile,
+	mergeConfig,
+} from "./services/config.js";
+import { writeManifest } from "./services/manifest.js";
 import { determineRunName, prepareOutputDir } from "./services/path.js";
 import { processAllUrls } from "./services/pipeline.js";
+import { reconvertRun } from "./services/reconvert.js";
 import { loadAndValidateUrls } from "./services/urls.js";
 import { displayBanner, parseArgs, showHelp } from "./utils/cli.js";
 import { handleResults } from "./utils/stats.js";
@@ -28,6 +34,11 @@ async function main() {
 		process.exit(0);
 	}
 
+	if (args.command === "reconvert") {
+		await reconvert(args);
+		return;
+	}
+
 	console.log("\nScrappe-Tout - Ultra-Fast Web Scraper");
 	console.log("=".repeat(60));
 
@@ -40,23 +51,48 @@ async function main() {
 	// Prepare output directory
 	const { outputDir } = prepareOutputDir(args, runName);
 
-	// Load configuration
-	const userConfig = args.outputDir
-		? { outputDir: join(process.cwd(), args.outputDir) }
-		: {};
-	const config = getConfig(userConfig);
+	// Load configuration: defaults < config file < CLI flags
+	const fileConfig = await loadConfigFile(args.configFile);
+	const config = getConfig(mergeConfig(fileConfig, configFromArgs(args)));
 
 	// Display banner with output directory
 	displayBanner(outputDir);
 
 	// Load and validate URLs
-	const urls = await loadAndValidateUrls();
+	const urls = await loadAndValidateUrls(config);
 
 	// Process all URLs through the pipeline
-	const results = await processAllUrls(urls, config);
+	const { results, run } = await processAllUrls(urls, config);
+
+	// Record files, screenshots and PDFs of every URL next to the captures
+	await writeManifest(results, run, outputDir);
 
 	// Handle results (stats display, error handling, exit)
-	handleResults(results);
+	handleResults(results, run);
+}
+
+/**
+ * Reconvert command - rebuilds a run's Markdown from its archived HTML
+ * Nothing is scraped again; conversion settings come from the config file and flags
+ *
+ * @param {object} args - CLI arguments
+ */
+async function reconvert(args) {
+	if (!args.reconvertDir) {
+		console.error("Usage: npm run reconvert -- <capture-folder>");
+		process.exit(1);
+	}
+
+	const fileConfig = await loadConfigFile(args.configFile);
+	const config = getConfig(mergeConfig(fileConfig, configFromArgs(args)));
+
+	const counts = await reconvertRun(args.reconvertDir, config);
+	console.log(
+		`Reconverted ${counts.reconverted} pages in ${args.reconvertDir}${counts.failed > 0 ? ` (${counts.failed} failed)` : ""}`,
+	);
+	if (counts.failed > 0) {
+		process.exit(1);
+	}
 }
 
 // Run the application
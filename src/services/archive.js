@@ -0,0 +1,71 @@
+/**
+ * Archive Service
+ * Single Responsibility: Store the rendered HTML of each URL and read it back for reconversion
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { promisify } from "node:util";
+import { gunzip, gzip } from "node:zlib";
+import { createLogger } from "../core/logger.js";
+import { generateFilename, getOutputDirectory } from "../core/writer.js";
+import { ErrorType, wrapError } from "./error.js";
+
+const logger = createLogger("archive");
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Folder of the run directory holding archived HTML
+ */
+export const ARCHIVE_DIR_NAME = "html";
+
+/**
+ * Saves the whole rendered HTML of a page, before content selection
+ * Files are named after the Markdown file (html/page.html or html/page.html.gz);
+ * the following pages of paginated content get a part suffix (html/page-2.html)
+ *
+ * @param {string} url - Source URL (for filename generation)
+ * @param {string} html - Scraped HTML
+ * @param {object} options - Archive options
+ * @param {string} options.outputDir - Output directory of the run
+ * @param {boolean} options.gzip - Compress the file (default: false)
+ * @param {number} options.part - Page number within paginated content (default: 1)
+ * @returns {Promise<string>} Path of the archived file
+ * @throws {ScrapingError} If the file cannot be written
+ */
+export async function writeHtmlArchive(url, html, options = {}) {
+	const {
+		outputDir = getOutputDirectory(),
+		gzip: compress = false,
+		part = 1,
+	} = options;
+
+	const dir = join(outputDir, ARCHIVE_DIR_NAME);
+	const suffix = part > 1 ? `-${part}` : "";
+	const name = `${basename(generateFilename(url), ".md")}${suffix}.html`;
+	const filepath = join(dir, compress ? `${name}.gz` : name);
+
+	try {
+		await mkdir(dir, { recursive: true });
+		await writeFile(filepath, compress ? await gzipAsync(html) : html);
+	} catch (error) {
+		throw wrapError(error, ErrorType.VALIDATION, { filepath });
+	}
+
+	logger.debug(`Archived ${html.length} bytes of HTML to ${filepath}`);
+	return filepath;
+}
+
+/**
+ * Reads an archived HTML file, gzipped or not
+ *
+ * @param {string} filepath - Archived file (.html or .html.gz)
+ * @returns {Promise<string>} HTML
+ */
+export async function readHtmlArchive(filepath) {
+	const data = await readFile(filepath);
+	const html = filepath.endsWith(".gz") ? await gunzipAsync(data) : data;
+	return html.toString("utf8");
+}
@@ -0,0 +1,301 @@
+/**
+ * Auth Service
+ * Single Responsibility: Provide session state (storage state, cookies, scripted login) to browser contexts
+ */
+
+import { existsSync } from "node:fs";
+import { mkdir, readFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { createLogger } from "../core/logger.js";
+import { getContextOptions, resolveUrlConfig } from "./config.js";
+import { ErrorType, ScrapingError } from "./error.js";
+
+const logger = createLogger("auth");
+
+/**
+ * Cookie sameSite values used by browser cookie exports, mapped to Playwright's
+ */
+const SAME_SITE_VALUES = {
+	strict: "Strict",
+	lax: "Lax",
+	none: "None",
+	no_restriction: "None",
+};
+
+/**
+ * Converts an exported cookie to the Playwright cookie format
+ * Accepts Playwright cookies as well as browser extension exports
+ * (expirationDate, lowercase sameSite)
+ *
+ * @param {object} cookie - Exported cookie
+ * @returns {object} Playwright cookie
+ */
+export function normalizeCookie(cookie) {
+	return {
+		name: cookie.name,
+		value: cookie.value,
+		domain: cookie.domain,
+		path: cookie.path || "/",
+		expires: cookie.expires ?? cookie.expirationDate ?? -1,
+		httpOnly: Boolean(cookie.httpOnly),
+		secure: Boolean(cookie.secure),
+		sameSite:
+			SAME_SITE_VALUES[String(cookie.sameSite ?? "lax").toLowerCase()] || "Lax",
+	};
+}
+
+/**
+ * Reads a cookies JSON file into a Playwright storage state
+ *
+ * @param {string} path - Cookies file (array of cookies or { cookies: [...] })
+ * @returns {Promise<object>} Storage state { cookies, origins }
+ * @throws {ScrapingError} AUTH_ERROR if the file cannot be read or parsed
+ */
+export async function loadCookiesFile(path) {
+	try {
+		const data = JSON.parse(await readFile(path, "utf8"));
+		const cookies = Array.isArray(data) ? data : data.cookies;
+		if (!Array.isArray(cookies)) {
+			throw new Error("expected an array of cookies");
+		}
+		return { cookies: cookies.map(normalizeCookie), origins: [] };
+	} catch (error) {
+		throw new ScrapingError(
+			`Cannot load cookies from ${path}: ${error.message}`,
+			ErrorType.AUTH,
+			{ path, nonRetryable: true },
+			error,
+		);
+	}
+}
+
+/**
+ * Checks whether a navigation ended on the login page
+ * Used to detect expired sessions that silently redirect to the login form
+ *
+ * @param {string} finalUrl - URL after redirects
+ * @param {object} auth - Auth section of the configuration
+ * @returns {boolean} True if the final URL is under the login URL
+ */
+export function isLoginRedirect(finalUrl, auth) {
+	const loginUrl = auth?.loginUrl || auth?.login?.url;
+	if (!loginUrl || !finalUrl) {
+		return false;
+	}
+
+	try {
+		const login = new URL(loginUrl);
+		const final = new URL(finalUrl);
+		return (
+			final.origin === login.origin && final.pathname.startsWith(login.pathname)
+		);
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Creates the session error reported when a page redirects to the login URL
+ *
+ * @param {string} url - Requested URL
+ * @param {string} finalUrl - Login URL the page ended on
+ * @returns {ScrapingError} SESSION_EXPIRED error (not retried)
+ */
+export function createSessionExpiredError(url, finalUrl) {
+	return new ScrapingError(
+		`Session expired: ${url} redirected to the login page`,
+		ErrorType.SESSION_EXPIRED,
+		{ url, finalUrl, nonRetryable: true },
+	);
+}
+
+/**
+ * Runs the scripted login flow and saves the resulting storage state
+ * Field values come from environment variables so secrets stay out of config
+ *
+ * @param {BrowserPool} pool - Browser pool (its browser is reused)
+ * @param {object} login - Login options
+ * @param {string} login.url - Login page URL
+ * @param {object} login.fields - Map of input selector to environment variable name
+ * @param {string} login.submit - Selector of the submit button (optional, Enter is pressed otherwise)
+ * @param {string} login.waitFor - Selector shown once logged in (optional)
+ * @param {string} login.saveTo - Path the storage state is written to (optional)
+ * @param {number} login.timeout - Login timeout in ms (default: 30000)
+ * @param {object} contextOptions - Options of the login context (default: the pool's)
+ * @returns {Promise<object>} Storage state { cookies, origins }
+ * @throws {ScrapingError} AUTH_ERROR if a variable is missing or the login does not complete
+ */
+export async function performLogin(
+	pool,
+	login,
+	contextOptions = pool.contextOptions,
+) {
+	const { url, fields = {}, submit, waitFor, saveTo, timeout = 30000 } = login;
+
+	const values = Object.entries(fields).map(([selector, variable]) => {
+		if (process.env[variable] === undefined) {
+			throw new ScrapingError(
+				`Login field ${selector} needs the ${variable} environment variable`,
+				ErrorType.AUTH,
+				{ url, variable, nonRetryable: true },
+			);
+		}
+		return [selector, process.env[variable]];
+	});
+
+	logger.info(`Logging in at ${url}`);
+	const context = await pool.newContext(contextOptions);
+
+	try {
+		const page = await context.newPage();
+		await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+
+		for (const [selector, value] of values) {
+			await page.fill(selector, value, { timeout });
+		}
+
+		if (submit) {
+			await page.click(submit, { timeout });
+		} else if (values.length > 0) {
+			await page.press(values[values.length - 1][0], "Enter", { timeout });
+		}
+
+		if (waitFor) {
+			await page.waitForSelector(waitFor, { timeout });
+		} else {
+			await page.waitForURL(
+				(current) => !isLoginRedirect(current.href, login),
+				{
+					timeout,
+				},
+			);
+		}
+
+		if (saveTo) {
+			await mkdir(dirname(resolve(saveTo)), { recursive: true });
+		}
+		const state = await context.storageState(
+			saveTo ? { path: resolve(saveTo) } : {},
+		);
+		logger.success(
+			`Logged in, ${state.cookies.length} cookies${saveTo ? ` saved to ${saveTo}` : ""}`,
+		);
+		return state;
+	} catch (error) {
+		if (error instanceof ScrapingError) {
+			throw error;
+		}
+		throw new ScrapingError(
+			`Login failed at ${url}: ${error.message}`,
+			ErrorType.AUTH,
+			{ url, nonRetryable: true },
+			error,
+		);
+	} finally {
+		await context.close().catch(() => {});
+	}
+}
+
+/**
+ * Lists the scripted logins of a configuration
+ * The global login comes first, then those of domains and rules; logins
+ * sharing a URL run once
+ *
+ * @param {object} config - Application configuration
+ * @returns {object[]} Login options, unique by URL
+ */
+export function collectLogins(config) {
+	const sections = [
+		config.auth,
+		...Object.values(config.domains ?? {}).map((domain) => domain.auth),
+		...(config.rules ?? []).map((rule) => rule.auth),
+	];
+
+	const logins = new Map();
+	for (const login of sections.map((auth) => auth?.login)) {
+		if (login?.url && !logins.has(login.url)) {
+			logins.set(login.url, login);
+		}
+	}
+	return [...logins.values()];
+}
+
+/**
+ * Creates the session provider for a run
+ * Resolves which storage state each URL's browser context starts with
+ *
+ * @param {object} config - Application configuration
+ * @returns {object} Session provider { prepare(pool), contextOptions(urlConfig) }
+ * @throws {ScrapingError} AUTH_ERROR from contextOptions if a session file is missing or invalid
+ */
+export function createAuthManager(config) {
+	const cookieStates = new Map();
+	const loginStates = new Map();
+
+	return {
+		/**
+		 * Runs the scripted logins configured globally, per domain and per rule
+		 * A state saved by a previous run is reused unless auth.forceLogin is set
+		 *
+		 * @param {BrowserPool} pool - Browser pool of the run
+		 * @returns {Promise} Resolves once every session is ready
+		 */
+		async prepare(pool) {
+			for (const login of collectLogins(config)) {
+				if (
+					login.saveTo &&
+					existsSync(login.saveTo) &&
+					!config.auth?.forceLogin
+				) {
+					logger.info(`Reusing saved session from ${login.saveTo}`);
+					continue;
+				}
+				// The login page gets the emulation and proxy of its own host
+				const contextOptions = getContextOptions(
+					resolveUrlConfig(config, login.url),
+				);
+				loginStates.set(
+					login.url,
+					await performLogin(pool, login, contextOptions),
+				);
+			}
+		},
+
+		/**
+		 * Gets the browser context options carrying the session for a URL
+		 * @param {object} urlConfig - Configuration resolved for the URL
+		 * @returns {Promise<object>} Context options ({ storageState } or empty)
+		 */
+		async contextOptions(urlConfig) {
+			const auth = urlConfig.auth || {};
+
+			if (auth.storageState) {
+				const path = resolve(auth.storageState);
+				if (!existsSync(path)) {
+					throw new ScrapingError(
+						`Storage state file not found: ${path}`,
+						ErrorType.AUTH,
+						{ path, nonRetryable: true },
+					);
+				}
+				return { storageState: path };
+			}
+			if (auth.cookies) {
+				const path = resolve(auth.cookies);
+				if (!cookieStates.has(path)) {
+					cookieStates.set(path, loadCookiesFile(path));
+				}
+				return { storageState: await cookieStates.get(path) };
+			}
+			if (auth.login?.url) {
+				if (auth.login.saveTo) {
+					return { storageState: resolve(auth.login.saveTo) };
+				}
+				if (loginStates.has(auth.login.url)) {
+					return { storageState: loginStates.get(auth.login.url) };
+				}
+			}
+			return {};
+		},
+	};
+}
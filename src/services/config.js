@@ -3,7 +3,18 @@
  * Single Responsibility: Centralize and validate application configuration
  */
 
-import { DEFAULT_CONFIG } from "../utils/constants.js";
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import {
+	CONFIG_FILE_NAME,
+	DEFAULT_CONFIG,
+	RESOURCE_TYPES,
+	SCRAPING_ENGINES,
+	WAIT_STEP_TYPES,
+} from "../utils/constants.js";
+import { matchesAny } from "../utils/patterns.js";
+import { normalizeProxy } from "./proxy.js";
 
 /**
  * Validates a number is within acceptable range
@@ -14,7 +25,7 @@ import { DEFAULT_CONFIG } from "../utils/constants.js";
  * @throws {Error} If validation fails
  */
 function validateRange(value, min, max, name) {
-	if (typeof value !== "number" || value < min || value > max) {
+	if (!Number.isFinite(value) || value < min || value > max) {
 		throw new Error(`${name} must be between ${min} and ${max}, got ${value}`);
 	}
 }
@@ -41,6 +52,496 @@ function validateBlockedPatterns(patterns) {
 	}
 }
 
+/**
+ * Validates the scraping engine
+ * @param {string} engine - Engine name
+ * @param {string} scope - Where the setting comes from, for error messages
+ * @throws {Error} If the engine is unknown
+ */
+function validateEngine(engine, scope) {
+	if (engine !== undefined && !SCRAPING_ENGINES.includes(engine)) {
+		throw new Error(
+			`${scope} engine must be one of ${SCRAPING_ENGINES.join(", ")}, got ${engine}`,
+		);
+	}
+}
+
+/**
+ * Validates the duplicate page handling
+ * @param {string} duplicates - "skip" or "keep" (undefined when not overridden)
+ * @param {string} scope - Where the value comes from, for error messages
+ * @throws {Error} If the value is unknown
+ */
+function validateDuplicates(duplicates, scope) {
+	if (duplicates !== undefined && !["skip", "keep"].includes(duplicates)) {
+		throw new Error(`${scope} duplicates must be "skip" or "keep"`);
+	}
+}
+
+/**
+ * Validates crawl options
+ * @param {object} crawl - Crawl section of the configuration
+ * @throws {Error} If a limit is out of range or patterns are not arrays
+ */
+function validateCrawl(crawl) {
+	validateRange(crawl.maxDepth, 0, 20, "Crawl max depth");
+	validateRange(crawl.maxPages, 1, 100000, "Crawl max pages");
+
+	if (!Array.isArray(crawl.include) || !Array.isArray(crawl.exclude)) {
+		throw new Error("Crawl include/exclude must be arrays of patterns");
+	}
+}
+
+/**
+ * Validates sitemap options
+ * @param {object} sitemap - Sitemap section of the configuration
+ * @throws {Error} If the since date cannot be parsed
+ */
+function validateSitemap(sitemap) {
+	if (sitemap.since && Number.isNaN(new Date(sitemap.since).getTime())) {
+		throw new Error(`Sitemap since must be a valid date, got ${sitemap.since}`);
+	}
+}
+
+/**
+ * Validates per-host politeness limits
+ * @param {object} politeness - Politeness section (global or per domain)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If a limit is out of range
+ */
+function validatePoliteness(politeness, scope) {
+	const limits = {
+		minDelay: [0, 600000],
+		requestsPerSecond: [0, 1000],
+		burst: [1, 1000],
+		maxConcurrent: [0, 32],
+	};
+
+	for (const [key, [min, max]] of Object.entries(limits)) {
+		if (politeness[key] !== undefined) {
+			validateRange(politeness[key], min, max, `${scope} politeness.${key}`);
+		}
+	}
+}
+
+/**
+ * Validates wait steps
+ * @param {object[]} steps - Wait steps [{ type, value, timeout }]
+ * @param {string} scope - Where the steps come from, for error messages
+ * @throws {Error} If a step has an unknown type, a missing value or a bad timeout
+ */
+function validateWait(steps, scope) {
+	if (!Array.isArray(steps)) {
+		throw new Error(`${scope} wait must be an array of steps`);
+	}
+
+	for (const step of steps) {
+		if (!isPlainObject(step) || !WAIT_STEP_TYPES.includes(step.type)) {
+			throw new Error(
+				`${scope} wait step type must be one of ${WAIT_STEP_TYPES.join(", ")}, got ${step?.type}`,
+			);
+		}
+		if (step.type === "delay") {
+			validateRange(step.value, 0, 120000, `${scope} wait delay`);
+		} else if (step.type !== "networkIdle" && !step.value) {
+			throw new Error(`${scope} wait ${step.type} step needs a value`);
+		}
+		if (step.timeout !== undefined) {
+			validateRange(step.timeout, 100, 300000, `${scope} wait timeout`);
+		}
+	}
+}
+
+/**
+ * Validates auto-scroll options
+ * @param {object} scroll - Scroll section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If a limit is out of range
+ */
+function validateScroll(scroll, scope) {
+	const limits = {
+		maxSteps: [1, 500],
+		maxDuration: [100, 300000],
+		stepDelay: [0, 10000],
+	};
+
+	for (const [key, [min, max]] of Object.entries(limits)) {
+		if (scroll[key] !== undefined) {
+			validateRange(scroll[key], min, max, `${scope} scroll.${key}`);
+		}
+	}
+}
+
+/**
+ * Validates consent dialog options
+ * @param {object} consent - Consent section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If prefer is unknown, selectors are not arrays or the delay is out of range
+ */
+function validateConsent(consent, scope) {
+	if (
+		consent.prefer !== undefined &&
+		!["accept", "reject"].includes(consent.prefer)
+	) {
+		throw new Error(`${scope} consent.prefer must be "accept" or "reject"`);
+	}
+	for (const key of ["selectors", "remove"]) {
+		if (consent[key] !== undefined && !Array.isArray(consent[key])) {
+			throw new Error(`${scope} consent.${key} must be an array of selectors`);
+		}
+	}
+	if (consent.delay !== undefined) {
+		validateRange(consent.delay, 0, 10000, `${scope} consent.delay`);
+	}
+}
+
+/**
+ * Validates collapsed content expansion options
+ * @param {object} expand - Expand section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If selectors are not arrays or the tab delay is out of range
+ */
+function validateExpand(expand, scope) {
+	for (const key of ["tabLists", "accordions"]) {
+		if (expand[key] !== undefined && !Array.isArray(expand[key])) {
+			throw new Error(`${scope} expand.${key} must be an array of selectors`);
+		}
+	}
+	if (expand.tabDelay !== undefined) {
+		validateRange(expand.tabDelay, 0, 10000, `${scope} expand.tabDelay`);
+	}
+}
+
+/**
+ * Validates content selection options
+ * @param {object} overrides - Configuration holding contentSelector/excludeSelectors
+ * @param {string} scope - Where the settings come from, for error messages
+ * @throws {Error} If a selector is not a non-empty string
+ */
+function validateContentSelection(overrides, scope) {
+	const { contentSelector, excludeSelectors } = overrides;
+	const isSelector = (value) => typeof value === "string" && value.trim();
+
+	if (
+		contentSelector != null &&
+		!(
+			isSelector(contentSelector) ||
+			(Array.isArray(contentSelector) && contentSelector.every(isSelector))
+		)
+	) {
+		throw new Error(
+			`${scope} contentSelector must be a selector or an array of selectors`,
+		);
+	}
+	if (
+		excludeSelectors !== undefined &&
+		!(Array.isArray(excludeSelectors) && excludeSelectors.every(isSelector))
+	) {
+		throw new Error(`${scope} excludeSelectors must be an array of selectors`);
+	}
+}
+
+/**
+ * Validates main content detection options
+ * @param {object} mainContent - mainContent section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If minConfidence is outside 0-1
+ */
+function validateMainContent(mainContent, scope) {
+	if (mainContent.minConfidence !== undefined) {
+		validateRange(
+			mainContent.minConfidence,
+			0,
+			1,
+			`${scope} mainContent.minConfidence`,
+		);
+	}
+}
+
+/**
+ * Validates screenshot/PDF capture options
+ * @param {object} capture - Capture section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If an option is not a boolean
+ */
+function validateCapture(capture, scope) {
+	for (const key of ["screenshot", "pdf"]) {
+		if (capture[key] !== undefined && typeof capture[key] !== "boolean") {
+			throw new Error(`${scope} capture.${key} must be true or false`);
+		}
+	}
+}
+
+/**
+ * Validates pagination options
+ * @param {object} pagination - Pagination section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If selectors are not an array or the page limit is out of range
+ */
+function validatePagination(pagination, scope) {
+	if (
+		pagination.selectors !== undefined &&
+		!Array.isArray(pagination.selectors)
+	) {
+		throw new Error(
+			`${scope} pagination.selectors must be an array of selectors`,
+		);
+	}
+	if (pagination.maxPages !== undefined) {
+		validateRange(pagination.maxPages, 1, 500, `${scope} pagination.maxPages`);
+	}
+}
+
+/**
+ * Validates resource blocking options
+ * @param {object} blocking - Blocking section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If a list is not an array or a resource type is unknown
+ */
+function validateBlocking(blocking, scope) {
+	for (const key of ["patterns", "resourceTypes", "allow"]) {
+		if (blocking[key] !== undefined && !Array.isArray(blocking[key])) {
+			throw new Error(`${scope} blocking.${key} must be an array`);
+		}
+	}
+	for (const type of blocking.resourceTypes ?? []) {
+		if (!RESOURCE_TYPES.includes(type)) {
+			throw new Error(
+				`${scope} blocking.resourceTypes must be among ${RESOURCE_TYPES.join(", ")}, got ${type}`,
+			);
+		}
+	}
+}
+
+/**
+ * Validates HTML archive options
+ * @param {object} archive - Archive section (global, domain or rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If an option is not a boolean
+ */
+function validateArchive(archive, scope) {
+	for (const key of ["enabled", "gzip"]) {
+		if (archive[key] !== undefined && typeof archive[key] !== "boolean") {
+			throw new Error(`${scope} archive.${key} must be true or false`);
+		}
+	}
+}
+
+/**
+ * Validates authentication options
+ * @param {object} auth - Auth section (global or per domain)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If a path is not a string or the login flow is incomplete
+ */
+function validateAuth(auth, scope) {
+	for (const key of ["storageState", "cookies", "loginUrl"]) {
+		if (auth[key] && typeof auth[key] !== "string") {
+			throw new Error(`${scope} auth.${key} must be a string`);
+		}
+	}
+
+	const { login } = auth;
+	if (login) {
+		if (!isPlainObject(login) || typeof login.url !== "string") {
+			throw new Error(`${scope} auth.login needs a url`);
+		}
+		if (login.fields !== undefined && !isPlainObject(login.fields)) {
+			throw new Error(
+				`${scope} auth.login.fields must map selectors to environment variables`,
+			);
+		}
+	}
+}
+
+/**
+ * Validates browser identity and emulation options
+ * @param {object} section - Configuration (global) or overrides (domain, rule)
+ * @param {string} scope - Where the section comes from, for error messages
+ * @throws {Error} If a value has the wrong type, or the timezone is unknown
+ */
+function validateBrowserOptions(section, scope) {
+	if (
+		section.userAgent !== undefined &&
+		typeof section.userAgent !== "string"
+	) {
+		throw new Error(`${scope} userAgent must be a string`);
+	}
+	if (section.headers !== undefined) {
+		if (
+			!isPlainObject(section.headers) ||
+			Object.values(section.headers).some((value) => typeof value !== "string")
+		) {
+			throw new Error(`${scope} headers must map header names to strings`);
+		}
+	}
+	if (section.locale && typeof section.locale !== "string") {
+		throw new Error(`${scope} locale must be a string (e.g. "en-US")`);
+	}
+	if (section.timezone) {
+		try {
+			new Intl.DateTimeFormat("en-US", { timeZone: section.timezone });
+		} catch {
+			throw new Error(`${scope} timezone is unknown: ${section.timezone}`);
+		}
+	}
+	if (section.viewport) {
+		validateRange(
+			section.viewport.width,
+			100,
+			10000,
+			`${scope} viewport width`,
+		);
+		validateRange(
+			section.viewport.height,
+			100,
+			10000,
+			`${scope} viewport height`,
+		);
+	}
+	for (const key of ["javaScript", "headless"]) {
+		if (section[key] !== undefined && typeof section[key] !== "boolean") {
+			throw new Error(`${scope} ${key} must be true or false`);
+		}
+	}
+}
+
+/**
+ * Validates a proxy setting
+ * @param {string|object|null} proxy - Proxy URL or { server, username, password, bypass }
+ * @param {string} scope - Where the setting comes from, for error messages
+ * @throws {Error} If the server is missing or uses an unsupported scheme
+ */
+function validateProxy(proxy, scope) {
+	if (!proxy) return;
+
+	const server = typeof proxy === "string" ? proxy : proxy.server;
+	let protocol;
+	try {
+		protocol = new URL(server).protocol;
+	} catch {
+		throw new Error(
+			`${scope} proxy must be a URL like http://proxy:3128, got ${server}`,
+		);
+	}
+	if (!["http:", "https:", "socks4:", "socks5:"].includes(protocol)) {
+		throw new Error(`${scope} proxy scheme ${protocol} is not supported`);
+	}
+}
+
+/**
+ * Validates the overrides of a domain or rule entry
+ * @param {object} overrides - Configuration overrides
+ * @param {string} scope - Domain or rule name, for error messages
+ * @throws {Error} If a section holds invalid values
+ */
+function validateOverrides(overrides, scope) {
+	validateEngine(overrides.engine, scope);
+	validateDuplicates(overrides.duplicates, scope);
+	validateBrowserOptions(overrides, scope);
+	validateContentSelection(overrides, scope);
+	if (overrides.mainContent) {
+		validateMainContent(overrides.mainContent, scope);
+	}
+	if (overrides.capture) {
+		validateCapture(overrides.capture, scope);
+	}
+	if (overrides.archive) {
+		validateArchive(overrides.archive, scope);
+	}
+	if (overrides.pagination) {
+		validatePagination(overrides.pagination, scope);
+	}
+	if (overrides.blocking) {
+		validateBlocking(overrides.blocking, scope);
+	}
+	validateProxy(overrides.proxy, scope);
+	if (overrides.politeness) {
+		validatePoliteness(overrides.politeness, scope);
+	}
+	if (overrides.wait) {
+		validateWait(overrides.wait, scope);
+	}
+	if (overrides.consent) {
+		validateConsent(overrides.consent, scope);
+	}
+	if (overrides.scroll) {
+		validateScroll(overrides.scroll, scope);
+	}
+	if (overrides.expand) {
+		validateExpand(overrides.expand, scope);
+	}
+	if (overrides.auth) {
+		validateAuth(overrides.auth, scope);
+	}
+}
+
+/**
+ * Validates per-domain overrides
+ * @param {object} domains - Map of hostname to configuration overrides
+ * @throws {Error} If an entry is not an object or holds invalid values
+ */
+function validateDomains(domains) {
+	if (!isPlainObject(domains)) {
+		throw new Error("Domains must be an object keyed by hostname");
+	}
+
+	for (const [host, overrides] of Object.entries(domains)) {
+		if (!isPlainObject(overrides)) {
+			throw new Error(`Domain overrides for ${host} must be an object`);
+		}
+		validateOverrides(overrides, host);
+	}
+}
+
+/**
+ * Validates per-URL rules
+ * @param {object[]} rules - Rules [{ match, ...overrides }]
+ * @throws {Error} If a rule has no match pattern or holds invalid values
+ */
+function validateRules(rules) {
+	if (!Array.isArray(rules)) {
+		throw new Error("Rules must be an array");
+	}
+
+	for (const [index, rule] of rules.entries()) {
+		if (!isPlainObject(rule) || !rule.match) {
+			throw new Error(`Rule ${index} must be an object with a match pattern`);
+		}
+		validateOverrides(rule, `Rule ${index}`);
+	}
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merges configuration layers
+ * Object sections (crawl, politeness, ...) are merged one level deep so an
+ * override only replaces the keys it sets; other values are replaced
+ *
+ * @param {object} base - Base configuration
+ * @param {object} override - Overrides to apply on top
+ * @returns {object} New merged configuration
+ */
+export function mergeConfig(base = {}, override = {}) {
+	const merged = { ...base };
+
+	for (const [key, value] of Object.entries(override)) {
+		merged[key] =
+			isPlainObject(value) && isPlainObject(base[key])
+				? { ...base[key], ...value }
+				: value;
+	}
+
+	return merged;
+}
+
 /**
  * Creates a validated configuration object
  * Merges user config with defaults and validates all values
@@ -50,7 +551,16 @@ function validateBlockedPatterns(patterns) {
  * @throws {Error} If any configuration value is invalid
  */
 export function createConfig(userConfig = {}) {
-	const config = { ...DEFAULT_CONFIG, ...userConfig };
+	const config = mergeConfig(DEFAULT_CONFIG, userConfig);
+
+	// blockedResources predates the blocking section and sets its patterns
+	if (userConfig.blockedResources) {
+		validateBlockedPatterns(userConfig.blockedResources);
+		config.blocking = {
+			...config.blocking,
+			patterns: userConfig.blockedResources,
+		};
+	}
 
 	// Validate timeout (1s to 60s)
 	validateRange(config.timeout, 1000, 60000, "Timeout");
@@ -60,18 +570,255 @@ export function createConfig(userConfig = {}) {
 	validateRange(config.baseDelay, 100, 60000, "Base delay");
 	validateRange(config.maxDelay, 1000, 300000, "Max delay");
 
+	// Validate parallel workers
+	validateRange(config.concurrency, 1, 32, "Concurrency");
+
+	// Validate scraping engine
+	validateEngine(config.engine, "Global");
+	validateDuplicates(config.duplicates, "Global");
+
+	// Validate browser pool recycling
+	validateRange(config.maxPagesPerContext, 1, 1000, "Max pages per context");
+
+	// Validate crawl limits
+	validateCrawl(config.crawl);
+	validateSitemap(config.sitemap);
+
+	// Validate per-host politeness and per-domain overrides
+	validatePoliteness(config.politeness, "Global");
+	validateDomains(config.domains);
+
+	// Validate wait steps and per-URL rules
+	validateWait(config.wait, "Global");
+	validateConsent(config.consent, "Global");
+	validateScroll(config.scroll, "Global");
+	validateExpand(config.expand, "Global");
+	validateContentSelection(config, "Global");
+	validateMainContent(config.mainContent, "Global");
+	validateCapture(config.capture, "Global");
+	validateArchive(config.archive, "Global");
+	validatePagination(config.pagination, "Global");
+	validateBlocking(config.blocking, "Global");
+	validateAuth(config.auth, "Global");
+	validateBrowserOptions(config, "Global");
+	validateProxy(config.proxy, "Global");
+	validateRules(config.rules);
+
 	// Validate paths
 	validateOutputPath(config.outputDir);
 
-	// Validate blocked resources if provided
-	if (userConfig.blockedResources) {
-		validateBlockedPatterns(config.blockedResources);
-	}
-
 	// Return validated config (freeze to prevent mutations)
 	return Object.freeze(config);
 }
 
+/**
+ * Builds user configuration overrides from parsed CLI arguments
+ * Only options that were actually passed are set, so defaults still apply
+ *
+ * @param {object} args - Parsed CLI arguments (see parseArgs)
+ * @param {string} cwd - Directory relative paths are resolved from
+ * @returns {object} User configuration overrides for createConfig
+ */
+export function configFromArgs(args, cwd = process.cwd()) {
+	const userConfig = {};
+
+	if (args.outputDir) {
+		userConfig.outputDir = join(cwd, args.outputDir);
+	}
+	if (args.concurrency !== null) {
+		userConfig.concurrency = args.concurrency;
+	}
+	if (args.engine) {
+		userConfig.engine = args.engine;
+	}
+	if (args.ignoreRobots) {
+		userConfig.respectRobots = false;
+	}
+	if (args.keepDuplicates) {
+		userConfig.duplicates = "keep";
+	}
+	if (args.renderLocal) {
+		userConfig.renderLocalFiles = true;
+	}
+
+	const politeness = {};
+	if (args.minDelay !== null) politeness.minDelay = args.minDelay;
+	if (args.maxPerHost !== null) politeness.maxConcurrent = args.maxPerHost;
+	if (Object.keys(politeness).length > 0) {
+		userConfig.politeness = politeness;
+	}
+
+	const wait = [];
+	if (args.waitFor) wait.push({ type: "selector", value: args.waitFor });
+	if (args.waitIdle) wait.push({ type: "networkIdle" });
+	if (args.waitJs) wait.push({ type: "function", value: args.waitJs });
+	if (args.waitDelay !== null)
+		wait.push({ type: "delay", value: args.waitDelay });
+	if (args.noConsent) {
+		userConfig.consent = { enabled: false };
+	}
+	if (args.scroll) {
+		userConfig.scroll = { enabled: true };
+	}
+	if (args.noExpand) {
+		userConfig.expand = { enabled: false };
+	}
+	if (args.noFlatten) {
+		userConfig.flatten = false;
+	}
+	if (args.contentSelector) {
+		userConfig.contentSelector = args.contentSelector;
+	}
+	if (args.excludeSelectors.length > 0) {
+		userConfig.excludeSelectors = args.excludeSelectors;
+	}
+	if (args.noMainContent) {
+		userConfig.mainContent = { enabled: false };
+	}
+	if (args.noFragmentSections) {
+		userConfig.fragmentSections = false;
+	}
+	if (args.noBlocking) {
+		userConfig.blocking = { patterns: [], resourceTypes: [] };
+	} else if (args.blockTypes.length > 0 || args.allowResources.length > 0) {
+		userConfig.blocking = {};
+		if (args.blockTypes.length > 0) {
+			userConfig.blocking.resourceTypes = args.blockTypes;
+		}
+		if (args.allowResources.length > 0) {
+			userConfig.blocking.allow = args.allowResources;
+		}
+	}
+	if (args.paginate || args.paginationLimit !== null) {
+		userConfig.pagination = { enabled: true };
+		if (args.nextSelectors.length > 0) {
+			userConfig.pagination.selectors = args.nextSelectors;
+		}
+		if (args.paginationLimit !== null) {
+			userConfig.pagination.maxPages = args.paginationLimit;
+		}
+	}
+	if (args.archiveHtml) {
+		userConfig.archive = { enabled: true, gzip: args.archiveGzip };
+	}
+	if (args.screenshot || args.pdf) {
+		userConfig.capture = {};
+		if (args.screenshot) userConfig.capture.screenshot = true;
+		if (args.pdf) userConfig.capture.pdf = true;
+	}
+
+	if (args.userAgent) userConfig.userAgent = args.userAgent;
+	if (Object.keys(args.headers).length > 0) userConfig.headers = args.headers;
+	if (args.locale) userConfig.locale = args.locale;
+	if (args.timezone) userConfig.timezone = args.timezone;
+	if (args.viewport) userConfig.viewport = args.viewport;
+	if (args.noJs) userConfig.javaScript = false;
+	if (args.headed) userConfig.headless = false;
+	if (args.proxy) {
+		userConfig.proxy = args.proxyBypass
+			? { server: args.proxy, bypass: args.proxyBypass }
+			: args.proxy;
+	}
+
+	const auth = {};
+	if (args.storageState) auth.storageState = args.storageState;
+	if (args.cookies) auth.cookies = args.cookies;
+	if (args.forceLogin) auth.forceLogin = true;
+	if (Object.keys(auth).length > 0) {
+		userConfig.auth = auth;
+	}
+	if (wait.length > 0) {
+		userConfig.wait =
+			args.waitTimeout !== null
+				? wait.map((step) => ({ ...step, timeout: args.waitTimeout }))
+				: wait;
+	}
+
+	if (args.crawl) {
+		const crawl = { enabled: true };
+		if (args.maxDepth !== null) crawl.maxDepth = args.maxDepth;
+		if (args.maxPages !== null) crawl.maxPages = args.maxPages;
+		if (args.pathPrefix) crawl.pathPrefix = args.pathPrefix;
+		if (args.include.length > 0) crawl.include = args.include;
+		if (args.exclude.length > 0) crawl.exclude = args.exclude;
+		if (args.crossOrigin) crawl.sameOrigin = false;
+		userConfig.crawl = crawl;
+	}
+
+	if (args.sitemap) {
+		const sitemap = { source: args.sitemap };
+		if (args.include.length > 0) sitemap.include = args.include;
+		if (args.exclude.length > 0) sitemap.exclude = args.exclude;
+		if (args.since) sitemap.since = args.since;
+		userConfig.sitemap = sitemap;
+	}
+
+	return userConfig;
+}
+
+/**
+ * Loads configuration overrides from a JSON file
+ * Without an explicit path, scrappe-tout.config.json in the working directory
+ * is used when present; a missing explicit file is an error
+ *
+ * @param {string|null} filepath - Path to the config file (optional)
+ * @param {string} cwd - Directory relative paths are resolved from
+ * @returns {Promise<object>} User configuration overrides
+ * @throws {Error} If the file is missing (explicit path) or not valid JSON
+ */
+export async function loadConfigFile(filepath = null, cwd = process.cwd()) {
+	const path = resolve(cwd, filepath || CONFIG_FILE_NAME);
+
+	if (!filepath && !existsSync(path)) {
+		return {};
+	}
+
+	let content;
+	try {
+		content = await readFile(path, "utf8");
+	} catch (error) {
+		throw new Error(`Cannot read config file ${path}: ${error.message}`);
+	}
+
+	try {
+		return JSON.parse(content);
+	} catch (error) {
+		throw new Error(`Invalid JSON in config file ${path}: ${error.message}`);
+	}
+}
+
+/**
+ * Resolves the effective configuration for one URL
+ * Applies `domains` entries whose key is the URL's hostname or one of its
+ * parent domains ("example.com" also covers "docs.example.com"); more
+ * specific hostnames are applied last. Matching `rules` are applied after
+ * the domains, in the order they are listed
+ *
+ * @param {object} config - Full configuration object
+ * @param {string} url - URL being processed
+ * @returns {object} Configuration with matching domain overrides applied
+ */
+export function resolveUrlConfig(config, url) {
+	const domains = config.domains || {};
+	let hostname;
+	try {
+		hostname = new URL(url).hostname;
+	} catch {
+		return config;
+	}
+
+	const byDomain = Object.keys(domains)
+		.filter((key) => hostname === key || hostname.endsWith(`.${key}`))
+		.sort((a, b) => a.length - b.length)
+		.reduce((resolved, key) => mergeConfig(resolved, domains[key]), config);
+
+	return (config.rules || [])
+		.filter((rule) => matchesAny(url, [rule.match].flat()))
+		.reduce((resolved, { match, ...overrides }) => {
+			return mergeConfig(resolved, overrides);
+		}, byDomain);
+}
+
 /**
  * Gets the current configuration
  * Use this to access config throughout the application
@@ -96,6 +843,63 @@ export function getBrowserOptions(config) {
 	};
 }
 
+/**
+ * Extracts browser context options from config
+ * Covers the identity and emulation settings (user agent, extra headers,
+ * locale, timezone, viewport, JavaScript) and the proxy (null to connect directly)
+ *
+ * @param {object} config - Full (or URL-resolved) configuration object
+ * @returns {object} Options for browser.newContext()
+ */
+export function getContextOptions(config) {
+	const options = {
+		userAgent: config.userAgent,
+		javaScriptEnabled: config.javaScript !== false,
+	};
+
+	if (config.headers && Object.keys(config.headers).length > 0) {
+		options.extraHTTPHeaders = config.headers;
+	}
+	if (config.locale) {
+		options.locale = config.locale;
+	}
+	if (config.timezone) {
+		options.timezoneId = config.timezone;
+	}
+	if (config.viewport) {
+		options.viewport = config.viewport;
+	}
+	// Always set, so a domain without proxy (null) overrides the pool's global one
+	options.proxy = normalizeProxy(config.proxy);
+
+	return options;
+}
+
+/**
+ * Creates a resolver returning the proxy of each URL
+ * Applies per-domain and per-rule proxy overrides
+ *
+ * @param {object} config - Full configuration object
+ * @returns {Function} (url) => normalized proxy options or null
+ */
+export function getProxyResolver(config) {
+	return (url) => normalizeProxy(resolveUrlConfig(config, url).proxy);
+}
+
+/**
+ * Extracts the launch options a URL needs on top of the run's browser
+ * Only headless can differ per domain; other launch options are global
+ *
+ * @param {object} config - Full configuration object
+ * @param {object} urlConfig - Configuration resolved for the URL
+ * @returns {object} Launch overrides ({} when the shared browser fits)
+ */
+export function getLaunchOverrides(config, urlConfig) {
+	return urlConfig.headless !== config.headless
+		? { headless: urlConfig.headless }
+		: {};
+}
+
 /**
  * Extracts navigation options from config
  *
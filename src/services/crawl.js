@@ -0,0 +1,171 @@
+/**
+ * Crawl Service
+ * Single Responsibility: Discover URLs from scraped pages and schedule them within crawl limits
+ */
+
+import { createLogger } from "../core/logger.js";
+import { matchesAny } from "../utils/patterns.js";
+
+const logger = createLogger("crawl");
+
+/**
+ * Normalizes a URL for deduplication
+ * Drops the fragment since it never changes the fetched document
+ *
+ * @param {string} url - URL to normalize
+ * @returns {string|null} Normalized URL, or null if the URL is invalid
+ */
+export function normalizeUrl(url) {
+	try {
+		const urlObj = new URL(url);
+		urlObj.hash = "";
+		return urlObj.href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Creates a scope predicate deciding which discovered URLs may be crawled
+ *
+ * @param {string[]} seeds - Seed URLs the crawl started from
+ * @param {object} options - Crawl limits
+ * @param {boolean} options.sameOrigin - Only follow links on a seed origin
+ * @param {string} options.pathPrefix - Only follow links whose path starts with this prefix
+ * @param {string[]} options.include - Patterns a URL must match (when non-empty)
+ * @param {string[]} options.exclude - Patterns a URL must not match
+ * @returns {Function} Predicate (url) => boolean
+ */
+export function createCrawlScope(seeds, options = {}) {
+	const {
+		sameOrigin = true,
+		pathPrefix = null,
+		include = [],
+		exclude = [],
+	} = options;
+
+	const origins = new Set(
+		seeds.filter(normalizeUrl).map((seed) => new URL(seed).origin),
+	);
+
+	return (url) => {
+		let urlObj;
+		try {
+			urlObj = new URL(url);
+		} catch {
+			return false;
+		}
+
+		// Local seeds (offline mirrors) crawl their file:// links
+		if (!["http:", "https:", "file:"].includes(urlObj.protocol)) {
+			return false;
+		}
+		if (sameOrigin && !origins.has(urlObj.origin)) {
+			return false;
+		}
+		if (pathPrefix && !urlObj.pathname.startsWith(pathPrefix)) {
+			return false;
+		}
+		if (include.length > 0 && !matchesAny(url, include)) {
+			return false;
+		}
+		if (matchesAny(url, exclude)) {
+			return false;
+		}
+		return true;
+	};
+}
+
+/**
+ * Crawls from seed URLs, visiting each discovered page once
+ * Seeds are always visited, even past maxPages, with their #fragment (one
+ * section per seed); discovered links are queued without their fragment
+ * while they are in scope, within maxDepth and while fewer than maxPages URLs
+ * have been queued
+ *
+ * @param {string[]} seeds - Seed URLs (depth 0)
+ * @param {object} options - Crawl options
+ * @param {number} options.maxDepth - Maximum link depth from a seed
+ * @param {number} options.maxPages - Maximum number of URLs to visit
+ * @param {number} options.concurrency - Pages visited in parallel
+ * @param {Function} options.scope - Predicate from createCrawlScope
+ * @param {Function} visit - Async (entry, queuedCount) => { result, links }
+ * @returns {Promise<object[]>} Visit results in discovery order
+ */
+export async function crawl(seeds, options, visit) {
+	const { maxDepth = 2, maxPages = 100, concurrency = 1, scope } = options;
+
+	const queue = [];
+	const seen = new Set();
+	const results = [];
+
+	const enqueue = (url, depth, seed = false) => {
+		const key = seed ? url : normalizeUrl(url);
+		if (!key || seen.has(key) || (!seed && queue.length >= maxPages)) {
+			return;
+		}
+		seen.add(key);
+		queue.push({ url: key, depth, index: queue.length });
+	};
+
+	for (const seed of seeds) {
+		enqueue(seed, 0, true);
+	}
+
+	let nextIndex = 0;
+	let inFlight = 0;
+	let wakeUp = null;
+
+	// Wakes idle workers when new links are queued or the crawl is over
+	const notify = () => {
+		if (wakeUp) {
+			wakeUp();
+			wakeUp = null;
+		}
+	};
+
+	const runWorker = async () => {
+		while (true) {
+			if (nextIndex >= queue.length) {
+				if (inFlight === 0) {
+					notify();
+					return;
+				}
+				await new Promise((resolve) => {
+					const previous = wakeUp;
+					wakeUp = () => {
+						previous?.();
+						resolve();
+					};
+				});
+				continue;
+			}
+
+			const entry = queue[nextIndex++];
+			inFlight++;
+			try {
+				const { result, links = [] } = await visit(entry, queue.length);
+				results[entry.index] = result;
+
+				if (entry.depth < maxDepth) {
+					for (const link of links) {
+						if (scope(link)) {
+							enqueue(link, entry.depth + 1);
+						}
+					}
+				}
+			} finally {
+				inFlight--;
+				notify();
+			}
+		}
+	};
+
+	await Promise.all(
+		Array.from({ length: Math.max(1, concurrency) }, runWorker),
+	);
+
+	logger.info(`Crawl finished: ${queue.length} URLs visited`);
+
+	return results;
+}
@@ -0,0 +1,92 @@
+/**
+ * Duplicates Service
+ * Single Responsibility: Recognize pages already captured in a run through their aliases
+ */
+
+import { createLogger } from "../core/logger.js";
+import { getSectionFragment } from "../core/section-extractor.js";
+import { normalizeUrl } from "./crawl.js";
+
+const logger = createLogger("duplicates");
+
+/**
+ * Reduces a URL to the page it identifies
+ * Drops the fragment, a trailing index.html and trailing slashes, so
+ * /docs/, /docs and /docs/index.html share a key (see claim for the
+ * fragments that name a section)
+ *
+ * @param {string} url - URL to reduce
+ * @returns {string|null} Page key, or null if the URL is invalid
+ */
+export function getPageKey(url) {
+	const normalized = url ? normalizeUrl(url) : null;
+	if (!normalized) {
+		return null;
+	}
+
+	const urlObj = new URL(normalized);
+	urlObj.pathname = urlObj.pathname
+		.replace(/\/index\.html?$/i, "/")
+		.replace(/(.)\/+$/, "$1");
+	return urlObj.href;
+}
+
+/**
+ * Creates the registry of pages captured during a run
+ * A page is known by its canonical URL, the URL it ended on after redirects
+ * and the requested URL; any of them already claimed by another URL makes
+ * it a duplicate. With fragment sections on, a #fragment URL only captures
+ * its section, so page#install and page#config are distinct pages
+ *
+ * @returns {object} Registry { claim }
+ */
+export function createDuplicateTracker() {
+	const captured = new Map();
+
+	/**
+	 * Claims a scraped page for a URL
+	 * @param {string} url - Requested URL
+	 * @param {object} scraped - Scraped data { finalUrl, canonical }
+	 * @param {object} options - URL configuration { fragmentSections }
+	 * @returns {object} { duplicateOf, release }: duplicateOf is the URL that
+	 * captured the page first (null if this one is first); release() gives the
+	 * page back, e.g. when its processing fails
+	 */
+	function claim(url, scraped = {}, options = {}) {
+		const { fragmentSections = true } = options;
+		const fragment = fragmentSections ? getSectionFragment(url) : null;
+		const section = fragment ? `#${fragment}` : "";
+
+		const keys = [
+			...new Set(
+				[scraped.canonical, scraped.finalUrl, url]
+					.map(getPageKey)
+					.filter(Boolean)
+					.map((key) => `${key}${section}`),
+			),
+		];
+
+		const duplicateOf =
+			keys
+				.map((key) => captured.get(key))
+				.find((owner) => owner && owner !== url) ?? null;
+		if (duplicateOf) {
+			logger.debug(`${url} is the same page as ${duplicateOf}`);
+			return { duplicateOf, release: () => {} };
+		}
+
+		for (const key of keys) {
+			captured.set(key, url);
+		}
+		return {
+			duplicateOf: null,
+			release: () => {
+				for (const key of keys) {
+					if (captured.get(key) === url) captured.delete(key);
+				}
+			},
+		};
+	}
+
+	return { claim };
+}
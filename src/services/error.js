@@ -3,7 +3,11 @@
  * Single Responsibility: Centralize error classification and custom error types
  */
 
-import { ErrorType } from "../utils/constants.js";
+import {
+	BROWSER_CRASH_MESSAGES,
+	ErrorType,
+	RETRYABLE_STATUS_CODES,
+} from "../utils/constants.js";
 
 // Re-export ErrorType for convenience
 export { ErrorType };
@@ -27,6 +31,11 @@ export class ScrapingError extends Error {
 		this.context = context;
 		this.originalError = originalError;
 		this.timestamp = new Date().toISOString();
+
+		// Expose HTTP status at top level so classification helpers can read it
+		if (context.status) {
+			this.status = context.status;
+		}
 	}
 
 	/**
@@ -38,6 +47,7 @@ export class ScrapingError extends Error {
 			name: this.name,
 			message: this.message,
 			code: this.code,
+			status: this.status ?? null,
 			context: this.context,
 			timestamp: this.timestamp,
 			stack: this.stack,
@@ -45,6 +55,35 @@ export class ScrapingError extends Error {
 	}
 }
 
+/**
+ * Chromium network errors and messages caused by the proxy, not the target site
+ */
+const PROXY_ERROR_INDICATORS = [
+	"err_proxy",
+	"err_tunnel_connection_failed",
+	"err_socks",
+	"err_no_supported_proxies",
+	"err_mandatory_proxy_configuration_failed",
+	"proxy authentication required",
+	"proxy connection",
+];
+
+/**
+ * Checks whether an error comes from the proxy rather than the target site
+ *
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for proxy connection, tunnel and authentication failures
+ */
+export function isProxyError(error) {
+	if (error?.status === 407) {
+		return true;
+	}
+	const message = (error?.message || "").toLowerCase();
+	return PROXY_ERROR_INDICATORS.some((indicator) =>
+		message.includes(indicator),
+	);
+}
+
 /**
  * Classifies an error into an ErrorType
  * Examines error properties to determine the appropriate classification
@@ -53,6 +92,11 @@ export class ScrapingError extends Error {
  * @returns {string} ErrorType code
  */
 export function classifyError(error) {
+	// Proxy outages must not look like site outages
+	if (isProxyError(error)) {
+		return ErrorType.PROXY;
+	}
+
 	// Check for timeout errors
 	if (error.name === "TimeoutError") {
 		return ErrorType.TIMEOUT;
@@ -76,6 +120,9 @@ export function classifyError(error) {
 		if (error.status >= 500) {
 			return ErrorType.NETWORK;
 		}
+		if (error.status >= 400) {
+			return ErrorType.HTTP;
+		}
 	}
 
 	// Check error message for rate limit indicators
@@ -90,6 +137,67 @@ export function classifyError(error) {
 	return ErrorType.PARSE;
 }
 
+/**
+ * Determines if an HTTP status is worth retrying
+ * Covers the known transient codes plus any other 5xx
+ *
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableStatus(status) {
+	return RETRYABLE_STATUS_CODES.includes(status) || status >= 500;
+}
+
+/**
+ * Creates a ScrapingError from an HTTP error response
+ * 429 and 5xx stay retryable; other 4xx (404, 410, ...) fail immediately
+ *
+ * @param {object} response - Response details
+ * @param {string} response.url - Requested URL
+ * @param {string} response.finalUrl - URL after redirects
+ * @param {number} response.status - HTTP status code
+ * @param {string} response.statusText - HTTP status text
+ * @param {object} response.headers - Response headers
+ * @returns {ScrapingError} Error carrying status, final URL and headers
+ */
+export function createHttpError({
+	url,
+	finalUrl,
+	status,
+	statusText,
+	headers,
+}) {
+	const context = {
+		url,
+		finalUrl: finalUrl || url,
+		status,
+		headers: headers || {},
+		nonRetryable: !isRetryableStatus(status),
+	};
+	const message = `HTTP ${status}${statusText ? ` ${statusText}` : ""} for ${url}`;
+
+	return new ScrapingError(message, classifyError({ status }), context);
+}
+
+/**
+ * Creates a ScrapingError for a request that failed at the proxy
+ * Proxy outages are retried; the proxy is reported without its credentials
+ *
+ * @param {Error} error - Original error
+ * @param {object} context - Error context
+ * @param {string} context.url - Requested URL
+ * @param {string} context.proxy - Proxy server URL
+ * @returns {ScrapingError} PROXY_ERROR
+ */
+export function createProxyError(error, { url, proxy }) {
+	return new ScrapingError(
+		`Proxy ${proxy} failed for ${url}: ${error.message}`,
+		ErrorType.PROXY,
+		{ url, proxy },
+		error,
+	);
+}
+
 /**
  * Determines if an error is retryable
  * Some errors should not be retried (e.g., 404, CORS)
@@ -103,6 +211,11 @@ export function isRetryableError(error) {
 		return false;
 	}
 
+	// Proxy outages are usually transient
+	if (error.code === ErrorType.PROXY) {
+		return true;
+	}
+
 	// Check retryable error codes
 	if (error.code) {
 		const retryableCodes = [
@@ -118,8 +231,7 @@ export function isRetryableError(error) {
 
 	// Check retryable HTTP status codes
 	if (error.status) {
-		const retryableStatus = [408, 429, 500, 502, 503, 504];
-		return retryableStatus.includes(error.status);
+		return isRetryableStatus(error.status);
 	}
 
 	// Check error type
@@ -127,6 +239,12 @@ export function isRetryableError(error) {
 		return true;
 	}
 
+	// A crashed page or browser is replaced on the next attempt
+	const message = (error.message || "").toLowerCase();
+	if (BROWSER_CRASH_MESSAGES.some((crash) => message.includes(crash))) {
+		return true;
+	}
+
 	// Non-retryable by default
 	return false;
 }
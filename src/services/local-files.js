@@ -0,0 +1,166 @@
+/**
+ * Local Files Service
+ * Single Responsibility: Turn local paths, directories and globs into file:// URLs of HTML files
+ */
+
+import { existsSync } from "node:fs";
+import { readdir, stat } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join, relative, resolve, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createLogger } from "../core/logger.js";
+import { globToRegExp } from "../utils/patterns.js";
+
+const logger = createLogger("local-files");
+
+/**
+ * Extensions of the files picked from directories and globs
+ */
+const HTML_FILE = /\.x?html?$/i;
+
+/**
+ * Characters that make a path a glob
+ */
+const GLOB_CHARS = /[*{]/;
+
+/**
+ * First segment of an entry that looks like a host name (e.g. "example.com/docs")
+ */
+const HOST_NAME = /^[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}(?::\d+)?$/i;
+
+/**
+ * Checks whether a URL points to a local file
+ * @param {string} url - URL to check
+ * @returns {boolean} True for file:// URLs
+ */
+export function isFileUrl(url) {
+	return /^file:/i.test(url);
+}
+
+/**
+ * Checks whether a urls.txt entry is local: a file:// URL or a path
+ * (anything without a "scheme://" prefix). Entries starting with a host name
+ * that is not a local file or folder (e.g. "example.com/docs") are URLs
+ * missing their scheme, and are left to URL validation
+ *
+ * @param {string} entry - Entry of urls.txt
+ * @param {string} cwd - Directory relative paths resolve against
+ * @returns {boolean} True if the entry names local files
+ */
+export function isLocalEntry(entry, cwd = process.cwd()) {
+	if (isFileUrl(entry)) {
+		return true;
+	}
+	if (/^[a-z][a-z\d+.-]*:\/\//i.test(entry)) {
+		return false;
+	}
+
+	const [first] = entry.split(/[/\\]/);
+	return (
+		!HOST_NAME.test(first) ||
+		HTML_FILE.test(first) ||
+		existsSync(resolve(cwd, first))
+	);
+}
+
+/**
+ * Lists the HTML files of a directory and its subdirectories
+ * @param {string} dir - Directory path
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function listHtmlFiles(dir) {
+	const entries = await readdir(dir, { recursive: true });
+	return entries
+		.filter((entry) => HTML_FILE.test(entry))
+		.sort()
+		.map((entry) => join(dir, entry));
+}
+
+/**
+ * Lists the HTML files matching a path glob
+ * The glob is matched below its last directory without wildcards; `**\/`
+ * also matches no directory at all, so "docs/**\/*.html" includes docs/a.html
+ *
+ * @param {string} pattern - Absolute path glob
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function matchGlob(pattern) {
+	const segments = pattern.split(sep);
+	const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+	const base = segments.slice(0, firstGlob).join(sep) || sep;
+	const matcher = globToRegExp(
+		segments
+			.slice(firstGlob)
+			.join("/")
+			.replace(/\*\*\//g, "{**/,}"),
+	);
+
+	const files = await listHtmlFiles(base).catch(() => []);
+	return files.filter((file) =>
+		matcher.test(relative(base, file).split(sep).join("/")),
+	);
+}
+
+/**
+ * Expands one local entry of urls.txt into file:// URLs
+ * Relative paths resolve against the working directory and "~" against the
+ * home directory; a directory stands for every HTML file below it. The
+ * fragment of a file:// URL pointing to a single file is kept
+ *
+ * @param {string} entry - Path, directory, glob or file:// URL
+ * @param {string} cwd - Directory relative paths resolve against
+ * @returns {Promise<string[]>} file:// URLs (empty when nothing matches)
+ */
+export async function expandLocalEntry(entry, cwd = process.cwd()) {
+	let path = entry;
+	let hash = "";
+	if (isFileUrl(entry)) {
+		const urlObj = new URL(entry);
+		hash = urlObj.hash;
+		urlObj.hash = "";
+		path = fileURLToPath(urlObj);
+	}
+	path = resolve(cwd, path.replace(/^~(?=$|[/\\])/, homedir()));
+
+	if (GLOB_CHARS.test(path)) {
+		return (await matchGlob(path)).map((file) => pathToFileURL(file).href);
+	}
+
+	const stats = await stat(path).catch(() => null);
+	if (!stats) {
+		return [];
+	}
+	if (stats.isDirectory()) {
+		return (await listHtmlFiles(path)).map((file) => pathToFileURL(file).href);
+	}
+	return [`${pathToFileURL(path).href}${hash}`];
+}
+
+/**
+ * Replaces the local entries of a URL list with the file:// URLs they stand for
+ * Remote URLs are kept as they are, in place
+ *
+ * @param {string[]} entries - Entries of urls.txt
+ * @param {string} cwd - Directory relative paths resolve against
+ * @returns {Promise<string[]>} URLs to process
+ */
+export async function expandLocalEntries(entries, cwd = process.cwd()) {
+	const urls = [];
+	for (const entry of entries) {
+		if (!isLocalEntry(entry, cwd)) {
+			urls.push(entry);
+			continue;
+		}
+
+		const files = await expandLocalEntry(entry, cwd);
+		if (files.length === 0) {
+			logger.warn(
+				`No HTML file found for ${entry} (local path), skipped; prefix URLs with https://`,
+			);
+		} else if (files.length > 1) {
+			logger.info(`${entry}: ${files.length} HTML files`);
+		}
+		urls.push(...files);
+	}
+	return urls;
+}
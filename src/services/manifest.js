@@ -0,0 +1,167 @@
+/**
+ * Manifest Service
+ * Single Responsibility: Record what each run captured in a manifest.json next to the files
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { join, relative } from "node:path";
+import { createLogger } from "../core/logger.js";
+import { getOutputDirectory } from "../core/writer.js";
+
+const logger = createLogger("manifest");
+
+/**
+ * Name of the manifest file in the output directory
+ */
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+/**
+ * Entry fields pointing to capture and archive files
+ */
+const CAPTURE_FIELDS = ["screenshot", "pdf", "html"];
+
+/**
+ * Describes one processed URL for the manifest
+ * File paths are relative to the output directory; paginated content lists
+ * its page URLs in sources and one archived HTML file per page
+ *
+ * @param {object} result - Processing result from processUrl
+ * @param {string} outputDir - Output directory of the run
+ * @returns {object} Manifest entry
+ */
+export function createManifestEntry(result, outputDir) {
+	const toRelative = (path) => (path ? relative(outputDir, path) : null);
+
+	if (result.skipReason === "duplicate") {
+		return {
+			url: result.url,
+			status: "skipped",
+			reason: "duplicate",
+			duplicateOf: result.duplicateOf,
+			finalUrl: result.finalUrl,
+			redirects: result.redirects,
+			canonical: result.canonical,
+		};
+	}
+	if (result.skipReason) {
+		return { url: result.url, status: "skipped", reason: result.skipReason };
+	}
+	if (!result.success) {
+		return {
+			url: result.url,
+			status: "failed",
+			httpStatus: result.status ?? null,
+			error: result.error?.code ?? null,
+			message: result.error?.message ?? "",
+		};
+	}
+
+	return {
+		url: result.url,
+		status: result.written.skipped ? "exists" : "written",
+		title: result.scraped.title ?? null,
+		finalUrl: result.finalUrl ?? result.url,
+		redirects: result.redirects ?? [],
+		canonical: result.canonical ?? null,
+		file: toRelative(result.written.filepath),
+		screenshot: toRelative(result.captures?.screenshot),
+		pdf: toRelative(result.captures?.pdf),
+		html: Array.isArray(result.captures?.html)
+			? result.captures.html.map(toRelative)
+			: toRelative(result.captures?.html),
+		engine: result.scraped.engine ?? null,
+		blocked: result.scraped.blocked ?? null,
+		mainContent: result.converted.mainContent ?? null,
+		...(result.converted.section ? { section: result.converted.section } : {}),
+		...(result.sources ? { sources: result.sources } : {}),
+		...(result.depth !== undefined ? { depth: result.depth } : {}),
+	};
+}
+
+/**
+ * Fills the capture and archive paths of pages that already existed
+ * Continue mode does not capture those pages again, so their files are the
+ * ones recorded by the run that wrote them
+ *
+ * @param {object[]} pages - Manifest entries of this run, updated in place
+ * @param {object|null} previous - Manifest of the previous run in the directory
+ */
+function keepPreviousCaptures(pages, previous) {
+	const previousPages = new Map(
+		(previous?.pages ?? []).map((page) => [page.url, page]),
+	);
+
+	for (const page of pages.filter((entry) => entry.status === "exists")) {
+		const before = previousPages.get(page.url);
+		if (before?.file !== page.file) continue;
+
+		for (const field of CAPTURE_FIELDS) {
+			page[field] ??= before[field] ?? null;
+		}
+	}
+}
+
+/**
+ * Writes the run manifest
+ * Pages skipped as duplicates are also listed in their original's aliases;
+ * pages whose Markdown already existed keep their previous captures
+ *
+ * @param {object[]} results - Processing results
+ * @param {object} run - Run-level timings from processAllUrls
+ * @param {string} outputDir - Output directory (default: the run's directory)
+ * @returns {Promise<string>} Path of the written manifest
+ */
+export async function writeManifest(
+	results,
+	run = {},
+	outputDir = getOutputDirectory(),
+) {
+	const pages = results.map((result) => createManifestEntry(result, outputDir));
+	keepPreviousCaptures(pages, await readManifest(outputDir).catch(() => null));
+
+	// Each captured page lists the URLs skipped as its duplicates
+	for (const duplicate of pages.filter((page) => page.duplicateOf)) {
+		const original = pages.find((page) => page.url === duplicate.duplicateOf);
+		if (original) {
+			original.aliases = [...(original.aliases ?? []), duplicate.url];
+		}
+	}
+
+	const manifest = {
+		generatedAt: new Date().toISOString(),
+		wallDuration: run.wallDuration ?? null,
+		pages,
+	};
+
+	return saveManifest(manifest, outputDir);
+}
+
+/**
+ * Reads the manifest of a run directory
+ *
+ * @param {string} outputDir - Run directory
+ * @returns {Promise<object>} Manifest { generatedAt, wallDuration, pages }
+ * @throws {Error} If the directory has no readable manifest
+ */
+export async function readManifest(outputDir) {
+	const filepath = join(outputDir, MANIFEST_FILE_NAME);
+	try {
+		return JSON.parse(await readFile(filepath, "utf8"));
+	} catch (error) {
+		throw new Error(`Cannot read ${filepath}: ${error.message}`);
+	}
+}
+
+/**
+ * Saves a manifest to a run directory
+ *
+ * @param {object} manifest - Manifest object
+ * @param {string} outputDir - Run directory
+ * @returns {Promise<string>} Path of the written manifest
+ */
+export async function saveManifest(manifest, outputDir) {
+	const filepath = join(outputDir, MANIFEST_FILE_NAME);
+	await writeFile(filepath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+	logger.debug(`Manifest written to ${filepath}`);
+	return filepath;
+}
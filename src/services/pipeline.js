@@ -3,83 +3,421 @@
  * Single Responsibility: Orchestrate URL processing through scrape/convert/write stages
  */
 
-import { convertToMarkdown } from "../core/converter.js";
+import { createBrowserPool } from "../core/browser-pool.js";
+import { convertToMarkdown, getConversionOptions } from "../core/converter.js";
 import { createLogger } from "../core/logger.js";
+import { mergePageMarkdown } from "../core/pagination.js";
 import { scrapeUrl } from "../core/scraper.js";
-import { writeMarkdown } from "../core/writer.js";
+import { writeCaptures, writeMarkdown } from "../core/writer.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
 import { showProgress } from "../utils/display.js";
+import { writeHtmlArchive } from "./archive.js";
+import { createAuthManager } from "./auth.js";
+import {
+	getContextOptions,
+	getLaunchOverrides,
+	getProxyResolver,
+	resolveUrlConfig,
+} from "./config.js";
+import { crawl, createCrawlScope } from "./crawl.js";
+import { createDuplicateTracker } from "./duplicates.js";
 import { formatError } from "./error.js";
+import { isFileUrl } from "./local-files.js";
+import { createHostLimiter } from "./politeness.js";
+import { createProxiedFetch } from "./proxy.js";
+import { createRobotsChecker } from "./robots.js";
 
 const logger = createLogger("pipeline");
 
+/**
+ * Scrapes the pages that follow a paginated URL
+ * Next links are followed on the same origin until there is none, a page
+ * comes back, a page fails or pagination.maxPages pages are scraped
+ *
+ * @param {string} url - First page URL
+ * @param {object} scraped - Scraped data of the first page (with nextUrl)
+ * @param {object} scrapeOptions - Options the first page was scraped with
+ * @param {object} pagination - Pagination options { maxPages }
+ * @returns {Promise<object[]>} Pages in reading order [{ url, scraped }]
+ */
+async function followPagination(url, scraped, scrapeOptions, pagination) {
+	const { maxPages = 10 } = pagination;
+	const withoutHash = (pageUrl) => pageUrl.split("#")[0];
+	const { origin } = new URL(url);
+
+	const pages = [{ url, scraped }];
+	const seen = new Set([withoutHash(url)]);
+	let next = scraped.nextUrl;
+
+	while (next && pages.length < maxPages) {
+		if (seen.has(withoutHash(next)) || new URL(next).origin !== origin) {
+			logger.debug(`Not following ${next} (already scraped or other origin)`);
+			next = null;
+			break;
+		}
+		seen.add(withoutHash(next));
+
+		try {
+			const page = await scrapeUrl(next, scrapeOptions);
+			pages.push({ url: next, scraped: page });
+			next = page.nextUrl;
+		} catch (error) {
+			logger.warn(
+				`Stopped following pages of ${url}: ${next} failed (${error.message})`,
+			);
+			next = null;
+		}
+	}
+
+	if (next) {
+		logger.warn(`Stopped following pages of ${url} after ${maxPages} pages`);
+	}
+	return pages;
+}
+
+/**
+ * Collects the links found on every page of a URL (crawl mode)
+ * Pages merged by pagination are left out so they are not captured again
+ *
+ * @param {object[]} pages - Scraped pages [{ url, scraped }]
+ * @returns {string[]|undefined} Unique links, or undefined when links were not extracted
+ */
+function collectLinks(pages) {
+	if (pages.length === 1) {
+		return pages[0].scraped.links;
+	}
+
+	const sources = new Set(pages.map((page) => page.url));
+	const links = pages.flatMap((page) => page.scraped.links ?? []);
+	return [...new Set(links)].filter((link) => !sources.has(link));
+}
+
+/**
+ * Adds up the requests blocked on every page of a URL
+ *
+ * @param {object[]} pages - Scraped pages [{ url, scraped }]
+ * @returns {object|null} { total, byType }, or null when no page was loaded in the browser
+ */
+function sumBlocked(pages) {
+	const counts = pages.map((page) => page.scraped.blocked).filter(Boolean);
+	if (counts.length === 0) {
+		return null;
+	}
+
+	const blocked = { total: 0, byType: {} };
+	for (const count of counts) {
+		blocked.total += count.total;
+		for (const [type, number] of Object.entries(count.byType)) {
+			blocked.byType[type] = (blocked.byType[type] ?? 0) + number;
+		}
+	}
+	return blocked;
+}
+
 /**
  * Processes a single URL through the full pipeline
  * Scrape -> Convert -> Write
+ * With pagination enabled, the following pages are scraped and converted
+ * too and their Markdown is written in this URL's file
  *
  * @param {string} url - URL to process
  * @param {number} index - Current index (for progress display)
  * @param {number} total - Total URLs (for progress display)
  * @param {object} config - Application configuration
+ * @param {object} runtime - Shared run resources
+ * @param {BrowserPool} runtime.pool - Browser pool shared by all URLs
+ * @param {object} runtime.robots - robots.txt checker (null when disabled)
+ * @param {HostLimiter} runtime.limiter - Per-host politeness limiter
+ * @param {object} runtime.auth - Session provider from createAuthManager
+ * @param {Function} runtime.fetch - Proxy-aware fetch for the fetch engine
+ * @param {object} runtime.duplicates - Registry of captured pages from createDuplicateTracker
  * @returns {Promise<object>} Processing result
  */
-export async function processUrl(url, index, total, config) {
+export async function processUrl(url, index, total, config, runtime = {}) {
 	const urlStartTime = Date.now();
+
+	// With several workers in flight, in-place updates would overwrite each
+	// other on the same terminal line: only print the final line per URL
+	const liveProgress = (config.concurrency ?? 1) <= 1;
+	const progress = (percent, duration, done) => {
+		if (done || liveProgress) {
+			showProgress(index + 1, total, url, percent, duration, done);
+		}
+	};
+
+	let claim = null;
 	try {
 		// 0% - Début du traitement
-		showProgress(index + 1, total, url, 0, 0, false);
+		progress(0, 0, false);
 
 		// 33% - Scrape terminé
-		const scraped = await scrapeUrl(url, config);
-		showProgress(index + 1, total, url, 33, Date.now() - urlStartTime, false);
+		// Domain and rule overrides (wait steps, auth, emulation, ...) apply to this URL only
+		const urlConfig = resolveUrlConfig(config, url);
+		const session = runtime.auth
+			? await runtime.auth.contextOptions(urlConfig)
+			: {};
+		const scrapeOptions = {
+			...urlConfig,
+			contextOptions: { ...getContextOptions(urlConfig), ...session },
+			launchOverrides: getLaunchOverrides(config, urlConfig),
+			pool: runtime.pool,
+			fetch: runtime.fetch,
+			robots: runtime.robots,
+			limiter: runtime.limiter,
+			extractLinks: config.crawl?.enabled,
+		};
+		const scraped = await scrapeUrl(url, scrapeOptions);
+		const location = {
+			finalUrl: scraped.finalUrl ?? url,
+			redirects: scraped.redirects ?? [],
+			canonical: scraped.canonical ?? null,
+		};
+
+		// Aliases (redirects, canonical URL, index.html) of a captured page
+		if (runtime.duplicates && urlConfig.duplicates !== "keep") {
+			claim = runtime.duplicates.claim(url, scraped, urlConfig);
+			if (claim.duplicateOf) {
+				logger.info(`Skipped ${url}: same page as ${claim.duplicateOf}`);
+				progress(100, Date.now() - urlStartTime, true);
+				return {
+					success: false,
+					skipped: true,
+					skipReason: "duplicate",
+					duplicateOf: claim.duplicateOf,
+					url,
+					...location,
+				};
+			}
+		}
+
+		// Paginated content is merged into the first page's file
+		const paginated = Boolean(urlConfig.pagination?.enabled);
+		const pages = paginated
+			? await followPagination(
+					url,
+					scraped,
+					scrapeOptions,
+					urlConfig.pagination,
+				)
+			: [{ url, scraped }];
+		const scrapedAt = Date.now();
+		progress(33, scrapedAt - urlStartTime, false);
 
 		// 66% - Convert terminé
-		const converted = await convertToMarkdown(scraped.html);
-		showProgress(index + 1, total, url, 66, Date.now() - urlStartTime, false);
+		const conversions = [];
+		for (const page of pages) {
+			conversions.push(
+				await convertToMarkdown(
+					page.scraped.html,
+					getConversionOptions(urlConfig, page.url),
+				),
+			);
+		}
+		const [converted] = conversions;
+		const markdown =
+			pages.length > 1
+				? mergePageMarkdown(conversions.map((page) => page.markdown))
+				: converted.markdown;
+		const convertedAt = Date.now();
+		progress(66, convertedAt - urlStartTime, false);
 
 		// 100% - Write terminé
-		const written = await writeMarkdown(url, converted.markdown);
+		const written = await writeMarkdown(url, markdown);
+		const captures = written.skipped
+			? {}
+			: await writeCaptures(url, scraped.captures);
+
+		// The whole page (before content selection) lets `reconvert` rebuild
+		// the Markdown with other settings without scraping again
+		if (!written.skipped && urlConfig.archive?.enabled) {
+			const archived = [];
+			for (const [index, page] of pages.entries()) {
+				archived.push(
+					await writeHtmlArchive(
+						url,
+						page.scraped.pageHtml ?? page.scraped.html,
+						{
+							gzip: urlConfig.archive.gzip,
+							part: index + 1,
+						},
+					),
+				);
+			}
+			captures.html = pages.length > 1 ? archived : archived[0];
+		}
 		const totalDuration = Date.now() - urlStartTime;
-		showProgress(index + 1, total, url, 100, totalDuration, true);
+		progress(100, totalDuration, true);
 
 		return {
 			success: true,
 			url,
-			scraped: { duration: scraped.duration },
+			...location,
+			scraped: {
+				title: scraped.title,
+				duration: pages.reduce(
+					(total, page) => total + page.scraped.duration,
+					0,
+				),
+				acquireDuration: scraped.acquireDuration,
+				queueDuration: scraped.queueDuration,
+				engine: scraped.engine,
+				fallbackReason: scraped.fallbackReason ?? null,
+				blocked: sumBlocked(pages),
+			},
 			converted: {
-				duration: converted.duration,
+				duration: conversions.reduce((total, page) => total + page.duration, 0),
 				ratio: converted.compressionRatio,
+				mainContent: converted.mainContent,
+				section: converted.section,
 			},
 			written,
+			captures,
+			...(paginated ? { sources: pages.map((page) => page.url) } : {}),
+			timings: {
+				queue: scraped.queueDuration,
+				acquire: scraped.acquireDuration,
+				scrape: scrapedAt - urlStartTime,
+				convert: convertedAt - scrapedAt,
+				write: urlStartTime + totalDuration - convertedAt,
+			},
 			totalDuration,
+			links: collectLinks(pages),
 		};
 	} catch (error) {
 		const duration = Date.now() - urlStartTime;
-		showProgress(index + 1, total, url, 0, duration, true);
+		progress(0, duration, true);
+
+		// Another alias of the page may still capture it
+		claim?.release();
+
+		// Deliberately skipped URLs (e.g. robots.txt) are not failures
+		if (error.context?.skipReason) {
+			return {
+				success: false,
+				skipped: true,
+				skipReason: error.context.skipReason,
+				url,
+			};
+		}
 
 		return {
 			success: false,
 			url,
+			status: error.status ?? null,
 			error: formatError(error, { url, duration }),
 		};
 	}
 }
 
+/**
+ * Processes seed URLs in crawl mode
+ * Each scraped page feeds its in-scope links back into the queue
+ *
+ * @param {string[]} seeds - Seed URLs
+ * @param {object} config - Application configuration
+ * @param {object} runtime - Shared run resources
+ * @returns {Promise<object[]>} Processing results in discovery order
+ */
+async function crawlFromSeeds(seeds, config, runtime) {
+	const scope = createCrawlScope(seeds, config.crawl);
+
+	return crawl(
+		seeds,
+		{ ...config.crawl, concurrency: config.concurrency ?? 1, scope },
+		async (entry, queued) => {
+			const { links, ...result } = await processUrl(
+				entry.url,
+				entry.index,
+				queued,
+				config,
+				runtime,
+			);
+			return { result: { ...result, depth: entry.depth }, links };
+		},
+	);
+}
+
 /**
  * Processes all URLs through the pipeline
+ * Launches one browser for the whole run (on first use with the fetch engine)
+ * and closes it once every URL is done
+ * Up to `config.concurrency` URLs are processed at once; results keep input order
+ *
  * @param {string[]} urls - URLs to process
  * @param {object} config - Application configuration
- * @returns {Promise<object[]>} Processing results
+ * @returns {Promise<object>} Processing results and run-level timings { results, run }
  */
 export async function processAllUrls(urls, config) {
 	console.log(`Found ${urls.length} URLs to process`);
 	console.log("Target: 1-2s per URL with Playwright");
+	console.log(`Concurrency: ${config.concurrency ?? 1}`);
 	console.log("");
 
-	const results = [];
-	for (let i = 0; i < urls.length; i++) {
-		const result = await processUrl(urls[i], i, urls.length, config);
-		results.push(result);
+	const runStartTime = Date.now();
+	const pool = createBrowserPool(config);
+	const proxiedFetch = createProxiedFetch(getProxyResolver(config), {
+		timeout: config.timeout,
+	});
+	const robots = config.respectRobots
+		? createRobotsChecker({
+				userAgent: config.userAgent,
+				timeout: config.timeout,
+				fetch: proxiedFetch,
+			})
+		: null;
+	const limiter = createHostLimiter(
+		(url) => resolveUrlConfig(config, url).politeness,
+	);
+	const auth = createAuthManager(config);
+	const runtime = {
+		pool,
+		robots,
+		limiter,
+		auth,
+		fetch: proxiedFetch,
+		duplicates: createDuplicateTracker(),
+	};
+	let results;
+
+	try {
+		// The fetch engine (and local files read from disk) only launch the
+		// browser for pages that need it
+		const remote = urls.some(
+			(url) => config.renderLocalFiles || !isFileUrl(url),
+		);
+		if (config.engine !== "fetch" && remote) {
+			await pool.launch();
+		}
+		await auth.prepare(pool);
+
+		if (config.crawl?.enabled) {
+			results = await crawlFromSeeds(urls, config, runtime);
+		} else {
+			results = await mapWithConcurrency(
+				urls,
+				config.concurrency ?? 1,
+				async (url, index) => {
+					const { links, ...result } = await processUrl(
+						url,
+						index,
+						urls.length,
+						config,
+						runtime,
+					);
+					return result;
+				},
+			);
+		}
+	} finally {
+		await pool.close();
+		await proxiedFetch.dispose();
 	}
 
-	return results;
+	const run = {
+		wallDuration: Date.now() - runStartTime,
+		browser: pool.getStats(),
+	};
+	logger.debug("Run completed", run);
+
+	return { results, run };
 }
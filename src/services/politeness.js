@@ -0,0 +1,158 @@
+/**
+ * Politeness Service
+ * Single Responsibility: Throttle requests per host (minimum delay, rate limit, concurrency cap)
+ */
+
+import { createLogger } from "../core/logger.js";
+
+const logger = createLogger("politeness");
+
+/**
+ * Sleeps for a specified duration
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise} Resolves after sleep duration
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Per-host request limiter
+ * Combines three independent limits, each disabled when set to 0:
+ * - minDelay: minimum time between two request starts on the host
+ * - requestsPerSecond / burst: token bucket refilled continuously
+ * - maxConcurrent: requests in flight on the host at the same time
+ */
+export class HostLimiter {
+	/**
+	 * Creates a new host limiter
+	 * @param {Function} resolveOptions - (url) => { minDelay, requestsPerSecond, burst, maxConcurrent }
+	 */
+	constructor(resolveOptions) {
+		this.resolveOptions = resolveOptions;
+		this.hosts = new Map();
+	}
+
+	/**
+	 * Gets (or creates) the state for a host
+	 * @param {string} host - Hostname
+	 * @returns {object} Host state
+	 */
+	getState(host) {
+		if (!this.hosts.has(host)) {
+			this.hosts.set(host, {
+				active: 0,
+				waiters: [],
+				nextAllowedAt: 0,
+				tokens: null,
+				refilledAt: 0,
+			});
+		}
+		return this.hosts.get(host);
+	}
+
+	/**
+	 * Waits for a free concurrency slot on the host
+	 * @param {object} state - Host state
+	 * @param {number} maxConcurrent - Concurrency cap (0 = unlimited)
+	 * @returns {Promise} Resolves once the slot is taken
+	 */
+	async takeSlot(state, maxConcurrent) {
+		if (maxConcurrent > 0 && state.active >= maxConcurrent) {
+			// The finishing request hands its slot over directly (see release)
+			await new Promise((resolve) => state.waiters.push(resolve));
+			return;
+		}
+		state.active++;
+	}
+
+	/**
+	 * Reserves the next start time allowed by minDelay and the token bucket
+	 * The reservation is made synchronously so parallel callers queue up
+	 *
+	 * @param {object} state - Host state
+	 * @param {object} options - Resolved politeness options
+	 * @returns {number} Milliseconds to wait before starting
+	 */
+	reserveStart(state, { minDelay = 0, requestsPerSecond = 0, burst = 1 }) {
+		const now = Date.now();
+		let start = Math.max(now, state.nextAllowedAt);
+
+		if (requestsPerSecond > 0) {
+			const capacity = Math.max(1, burst);
+			if (state.tokens === null) {
+				state.tokens = capacity;
+				state.refilledAt = start;
+			}
+
+			const elapsed = Math.max(0, start - state.refilledAt) / 1000;
+			state.tokens = Math.min(
+				capacity,
+				state.tokens + elapsed * requestsPerSecond,
+			);
+			state.refilledAt = start;
+
+			if (state.tokens < 1) {
+				const refill = ((1 - state.tokens) / requestsPerSecond) * 1000;
+				start += refill;
+				state.tokens = 1;
+				state.refilledAt = start;
+			}
+			state.tokens -= 1;
+		}
+
+		state.nextAllowedAt = start + minDelay;
+		return Math.ceil(start - now);
+	}
+
+	/**
+	 * Waits until a request to the URL's host is allowed
+	 * The returned release function must be called when the request is done
+	 *
+	 * @param {string} url - URL about to be requested
+	 * @param {object} overrides - Extra limits for this request (e.g. robots.txt Crawl-delay)
+	 * @returns {Promise<object>} { waited, release }
+	 */
+	async acquire(url, overrides = {}) {
+		const startTime = Date.now();
+		const { host } = new URL(url);
+		const options = this.resolveOptions(url) || {};
+		const minDelay = Math.max(options.minDelay ?? 0, overrides.minDelay ?? 0);
+		const state = this.getState(host);
+
+		await this.takeSlot(state, options.maxConcurrent ?? 0);
+
+		const delay = this.reserveStart(state, { ...options, minDelay });
+		if (delay > 0) {
+			logger.debug(`Waiting ${delay}ms before requesting ${host}`);
+			await sleep(delay);
+		}
+
+		let released = false;
+		return {
+			waited: Date.now() - startTime,
+			release: () => {
+				if (released) return;
+				released = true;
+
+				const next = state.waiters.shift();
+				if (next) {
+					next();
+				} else {
+					state.active--;
+				}
+			},
+		};
+	}
+}
+
+/**
+ * Creates a host limiter reading limits from the politeness config
+ * Factory function mirroring the other create* helpers
+ *
+ * @param {Function} resolveOptions - (url) => politeness options for that URL
+ * @returns {HostLimiter} New host limiter
+ */
+export function createHostLimiter(resolveOptions) {
+	return new HostLimiter(resolveOptions);
+}
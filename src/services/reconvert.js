@@ -0,0 +1,168 @@
+/**
+ * Reconvert Service
+ * Single Responsibility: Rebuild the Markdown of a run from its archived HTML, without scraping
+ */
+
+import { join, relative } from "node:path";
+import { chromium } from "playwright";
+import {
+	hasContentSelection,
+	selectContent,
+} from "../core/content-selector.js";
+import { convertToMarkdown, getConversionOptions } from "../core/converter.js";
+import { createLogger } from "../core/logger.js";
+import { mergePageMarkdown } from "../core/pagination.js";
+import { writeMarkdown } from "../core/writer.js";
+import { readHtmlArchive } from "./archive.js";
+import { getBrowserOptions, resolveUrlConfig } from "./config.js";
+import { readManifest, saveManifest } from "./manifest.js";
+
+const logger = createLogger("reconvert");
+
+/**
+ * Creates the content selection of a reconversion
+ * Archives hold the whole rendered page, so content selectors are applied
+ * again in a headless browser, launched on first use
+ *
+ * @param {object} config - Application configuration (launch options)
+ * @param {object} launcher - Browser type (default: Playwright's chromium)
+ * @returns {object} { select(html, urlConfig, url), close() }
+ */
+function createContentSelection(config, launcher = chromium) {
+	let browser = null;
+	let page = null;
+
+	return {
+		/**
+		 * Narrows an archived page to the content region of its URL
+		 *
+		 * @param {string} html - Archived HTML
+		 * @param {object} urlConfig - Configuration resolved for the URL
+		 * @param {string} url - Page URL (for logs and errors)
+		 * @returns {Promise<string>} Selected HTML, or the archive without content selectors
+		 * @throws {ScrapingError} VALIDATION_ERROR if a selector is not valid CSS
+		 */
+		async select(html, urlConfig, url) {
+			if (!hasContentSelection(urlConfig)) {
+				return html;
+			}
+			if (!page) {
+				browser = await launcher.launch(getBrowserOptions(config));
+				page = await browser.newPage();
+			}
+			const { contentSelector, excludeSelectors } = urlConfig;
+			const selected = await selectContent(
+				page,
+				{ contentSelector, excludeSelectors, html },
+				url,
+			);
+			return selected.html;
+		},
+
+		/**
+		 * Closes the browser if one was launched
+		 * @returns {Promise<void>}
+		 */
+		async close() {
+			await browser?.close();
+		},
+	};
+}
+
+/**
+ * Converts every archived page of a run again and rewrites its Markdown
+ * Pages come from the run's manifest.json; pages without archived HTML
+ * (run without --archive-html) are left untouched. The manifest is updated
+ * with the new file names, main content and section results. Content
+ * selectors of the configuration are applied to the archived pages
+ *
+ * @param {string} outputDir - Run directory holding manifest.json
+ * @param {object} config - Application configuration (conversion settings)
+ * @param {object} launcher - Browser type running content selectors (default: Playwright's chromium)
+ * @returns {Promise<object>} Counts { reconverted, failed, notArchived }
+ * @throws {Error} If the run directory has no manifest
+ */
+export async function reconvertRun(outputDir, config, launcher = chromium) {
+	const manifest = await readManifest(outputDir);
+	const counts = { reconverted: 0, failed: 0, notArchived: 0 };
+	const selection = createContentSelection(config, launcher);
+
+	try {
+		await reconvertPages(manifest.pages, outputDir, config, selection, counts);
+	} finally {
+		await selection.close();
+	}
+
+	manifest.reconvertedAt = new Date().toISOString();
+	await saveManifest(manifest, outputDir);
+
+	if (counts.notArchived > 0) {
+		logger.warn(
+			`${counts.notArchived} pages have no archived HTML (run with --archive-html to keep it)`,
+		);
+	}
+	return counts;
+}
+
+/**
+ * Converts the archived pages of a manifest again
+ * Pages are updated in place with their new file, main content and section;
+ * counts are incremented per page
+ *
+ * @param {object[]} pages - Manifest pages
+ * @param {string} outputDir - Run directory
+ * @param {object} config - Application configuration
+ * @param {object} selection - Content selection from createContentSelection
+ * @param {object} counts - Counts { reconverted, failed, notArchived }, updated in place
+ * @returns {Promise<void>}
+ */
+async function reconvertPages(pages, outputDir, config, selection, counts) {
+	for (const page of pages) {
+		if (!page.html) {
+			if (page.status === "written") counts.notArchived++;
+			continue;
+		}
+
+		try {
+			// Paginated content has one archived file per source page
+			const files = [page.html].flat();
+			const sources = page.sources ?? [page.url];
+			const urlConfig = resolveUrlConfig(config, page.url);
+
+			const conversions = [];
+			for (const [index, file] of files.entries()) {
+				const pageUrl = sources[index] ?? page.url;
+				const html = await selection.select(
+					await readHtmlArchive(join(outputDir, file)),
+					urlConfig,
+					pageUrl,
+				);
+				conversions.push(
+					await convertToMarkdown(
+						html,
+						getConversionOptions(urlConfig, pageUrl),
+					),
+				);
+			}
+			const [converted] = conversions;
+			const markdown =
+				conversions.length > 1
+					? mergePageMarkdown(conversions.map((entry) => entry.markdown))
+					: converted.markdown;
+
+			const written = await writeMarkdown(page.url, markdown, {
+				outputDir,
+				skipExisting: false,
+			});
+
+			page.file = relative(outputDir, written.filepath);
+			page.mainContent = converted.mainContent;
+			if (converted.section) page.section = converted.section;
+			counts.reconverted++;
+			logger.debug(`Reconverted ${page.url}`, { file: page.file });
+		} catch (error) {
+			counts.failed++;
+			logger.error(`Failed to reconvert ${page.url}`, error);
+		}
+	}
+}
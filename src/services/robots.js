@@ -0,0 +1,206 @@
+/**
+ * Robots Service
+ * Single Responsibility: Fetch, cache and evaluate robots.txt rules per host
+ */
+
+import { createLogger } from "../core/logger.js";
+
+const logger = createLogger("robots");
+
+/**
+ * Parses robots.txt content into user-agent groups
+ * Consecutive User-agent lines share the rules that follow them
+ *
+ * @param {string} text - robots.txt content
+ * @returns {object[]} Groups [{ agents, rules: [{ allow, path }], crawlDelay }]
+ */
+export function parseRobots(text) {
+	const groups = [];
+	let current = null;
+	let lastWasAgent = false;
+
+	for (const rawLine of text.split(/\r?\n/)) {
+		const line = rawLine.replace(/#.*$/, "").trim();
+		const separator = line.indexOf(":");
+		if (separator === -1) continue;
+
+		const field = line.slice(0, separator).trim().toLowerCase();
+		const value = line.slice(separator + 1).trim();
+
+		if (field === "user-agent") {
+			if (!current || !lastWasAgent) {
+				current = { agents: [], rules: [], crawlDelay: null };
+				groups.push(current);
+			}
+			current.agents.push(value.toLowerCase());
+			lastWasAgent = true;
+			continue;
+		}
+
+		lastWasAgent = false;
+		if (!current) continue;
+
+		if (field === "allow" || field === "disallow") {
+			// An empty Disallow means "allow everything" and adds no rule
+			if (value) {
+				current.rules.push({ allow: field === "allow", path: value });
+			}
+		} else if (field === "crawl-delay") {
+			const delay = Number.parseFloat(value);
+			if (!Number.isNaN(delay) && delay >= 0) {
+				current.crawlDelay = delay;
+			}
+		}
+	}
+
+	return groups;
+}
+
+/**
+ * Selects the rules that apply to a user agent
+ * Groups naming our product token (compared whole and case-insensitively,
+ * RFC 9309) win over the "*" group; matching groups are merged
+ *
+ * @param {object[]} groups - Parsed robots.txt groups
+ * @param {string} userAgent - Full user agent string (e.g. "Scrappe-Tout/1.0 (...)")
+ * @returns {object} Applicable policy { rules, crawlDelay }
+ */
+export function selectPolicy(groups, userAgent) {
+	const token = userAgent.split("/")[0].trim().toLowerCase();
+
+	let matching = groups.filter((group) =>
+		group.agents.some((agent) => agent === token),
+	);
+	if (matching.length === 0) {
+		matching = groups.filter((group) => group.agents.includes("*"));
+	}
+
+	const delays = matching
+		.map((group) => group.crawlDelay)
+		.filter((delay) => delay !== null);
+
+	return {
+		rules: matching.flatMap((group) => group.rules),
+		crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+	};
+}
+
+/**
+ * Converts a robots.txt path rule to a regular expression
+ * Supports the "*" wildcard and the "$" end anchor
+ *
+ * @param {string} path - Rule path
+ * @returns {RegExp} Regular expression matching from the start of the path
+ */
+function ruleToRegExp(path) {
+	const anchored = path.endsWith("$");
+	const body = (anchored ? path.slice(0, -1) : path)
+		.split("*")
+		.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+		.join(".*");
+	return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Checks a path against robots rules
+ * The most specific (longest) matching rule wins; Allow wins ties
+ *
+ * @param {object[]} rules - Rules from selectPolicy
+ * @param {string} path - URL path including the query string
+ * @returns {boolean} True if the path may be fetched
+ */
+export function isPathAllowed(rules, path) {
+	let best = null;
+
+	for (const rule of rules) {
+		if (!ruleToRegExp(rule.path).test(path)) continue;
+
+		if (
+			!best ||
+			rule.path.length > best.path.length ||
+			(rule.path.length === best.path.length && rule.allow)
+		) {
+			best = rule;
+		}
+	}
+
+	return best ? best.allow : true;
+}
+
+/**
+ * Creates a robots.txt checker with a per-origin cache
+ *
+ * @param {object} options - Checker options
+ * @param {string} options.userAgent - User agent matched against robots groups
+ * @param {number} options.timeout - robots.txt fetch timeout in ms
+ * @param {Function} options.fetch - fetch implementation (e.g. proxy-aware, default: global fetch)
+ * @returns {object} Checker { check(url) }
+ */
+export function createRobotsChecker(options = {}) {
+	const { userAgent, timeout = 8000, fetch: fetchRobots = fetch } = options;
+	const policies = new Map();
+
+	/**
+	 * Fetches and parses robots.txt for an origin
+	 * Missing files (4xx) allow everything; unreachable hosts (5xx, network
+	 * errors) disallow everything, as recommended by RFC 9309
+	 */
+	const loadPolicy = async (origin) => {
+		const robotsUrl = `${origin}/robots.txt`;
+		try {
+			const response = await fetchRobots(robotsUrl, {
+				headers: { "User-Agent": userAgent },
+				signal: AbortSignal.timeout(timeout),
+			});
+
+			if (response.status >= 500) {
+				logger.warn(
+					`robots.txt unavailable (HTTP ${response.status}), skipping every URL of ${origin} for this run`,
+					{ robotsUrl },
+				);
+				return { rules: [{ allow: false, path: "/" }], crawlDelay: null };
+			}
+			if (!response.ok) {
+				return { rules: [], crawlDelay: null };
+			}
+
+			return selectPolicy(parseRobots(await response.text()), userAgent);
+		} catch (error) {
+			logger.warn(
+				`robots.txt unreachable (${error.message}), skipping every URL of ${origin} for this run`,
+				{ robotsUrl },
+			);
+			return { rules: [{ allow: false, path: "/" }], crawlDelay: null };
+		}
+	};
+
+	const getPolicy = (origin) => {
+		if (!policies.has(origin)) {
+			policies.set(origin, loadPolicy(origin));
+		}
+		return policies.get(origin);
+	};
+
+	return {
+		/**
+		 * Checks whether a URL may be scraped
+		 * @param {string} url - URL to check
+		 * @returns {Promise<object>} { allowed, crawlDelay }
+		 */
+		async check(url) {
+			const urlObj = new URL(url);
+			if (urlObj.protocol !== "http:" && urlObj.protocol !== "https:") {
+				return { allowed: true, crawlDelay: null };
+			}
+
+			const policy = await getPolicy(urlObj.origin);
+			return {
+				allowed: isPathAllowed(
+					policy.rules,
+					`${urlObj.pathname}${urlObj.search}`,
+				),
+				crawlDelay: policy.crawlDelay,
+			};
+		},
+	};
+}
@@ -0,0 +1,229 @@
+/**
+ * Sitemap Service
+ * Single Responsibility: Read sitemap.xml files and sitemap indexes into URL lists
+ */
+
+import { readFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { gunzipSync } from "node:zlib";
+import { createLogger } from "../core/logger.js";
+import { matchesAny } from "../utils/patterns.js";
+import { createHttpError } from "./error.js";
+
+const logger = createLogger("sitemap");
+
+/**
+ * XML entities that may appear inside <loc> values
+ */
+const XML_ENTITIES = {
+	"&amp;": "&",
+	"&lt;": "<",
+	"&gt;": ">",
+	"&quot;": '"',
+	"&apos;": "'",
+};
+
+/**
+ * Checks whether a sitemap source is a remote URL
+ * @param {string} source - URL or local path
+ * @returns {boolean} True for http(s) URLs
+ */
+function isRemote(source) {
+	return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Decodes the text content of a sitemap tag
+ * @param {string} value - Raw tag content
+ * @returns {string} Trimmed value without CDATA wrapper and entities
+ */
+function decodeValue(value) {
+	return value
+		.replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1")
+		.replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+		.trim();
+}
+
+/**
+ * Extracts the content of the first <tag> inside an XML fragment
+ * Namespace prefixes (e.g. <sm:loc>) are accepted
+ *
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name without prefix
+ * @returns {string|null} Decoded tag content or null if absent
+ */
+function readTag(xml, tag) {
+	const match = new RegExp(
+		`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+		"i",
+	).exec(xml);
+	return match ? decodeValue(match[1]) : null;
+}
+
+/**
+ * Parses a sitemap or sitemap index document
+ *
+ * @param {string} xml - Sitemap XML content
+ * @returns {object} { type: "index"|"urlset", entries: [{ loc, lastmod }] }
+ */
+export function parseSitemap(xml) {
+	const isIndex = /<(?:\w+:)?sitemapindex\b/i.test(xml);
+	const blockTag = isIndex ? "sitemap" : "url";
+	const blockRegex = new RegExp(
+		`<(?:\\w+:)?${blockTag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${blockTag}>`,
+		"gi",
+	);
+
+	const entries = [];
+	for (const [, block] of xml.matchAll(blockRegex)) {
+		const loc = readTag(block, "loc");
+		if (loc) {
+			entries.push({ loc, lastmod: readTag(block, "lastmod") });
+		}
+	}
+
+	return { type: isIndex ? "index" : "urlset", entries };
+}
+
+/**
+ * Reads a sitemap from a URL or local file
+ * Gzipped content is detected from its magic bytes, not from the extension
+ *
+ * @param {string} source - Sitemap URL or local file path
+ * @param {Function} fetchSitemap - fetch implementation (default: global fetch)
+ * @param {object} headers - Request headers of remote sitemaps (e.g. User-Agent)
+ * @returns {Promise<string>} Sitemap XML content
+ * @throws {ScrapingError} If a remote sitemap answers with an HTTP error
+ */
+export async function readSitemapSource(
+	source,
+	fetchSitemap = fetch,
+	headers = {},
+) {
+	let buffer;
+
+	if (isRemote(source)) {
+		const response = await fetchSitemap(source, { headers });
+		if (!response.ok) {
+			throw createHttpError({
+				url: source,
+				finalUrl: response.url,
+				status: response.status,
+				statusText: response.statusText,
+				headers: Object.fromEntries(response.headers),
+			});
+		}
+		buffer = Buffer.from(await response.arrayBuffer());
+	} else {
+		buffer = await readFile(source);
+	}
+
+	if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+		buffer = gunzipSync(buffer);
+	}
+
+	return buffer.toString("utf8");
+}
+
+/**
+ * Resolves a nested sitemap location relative to its parent
+ * @param {string} loc - Location found in a sitemap index
+ * @param {string} parent - Source of the sitemap index
+ * @returns {string} Absolute URL or path
+ */
+function resolveLocation(loc, parent) {
+	if (isRemote(loc) || !parent) {
+		return loc;
+	}
+	if (isRemote(parent)) {
+		return new URL(loc, parent).href;
+	}
+	return resolve(dirname(parent), loc);
+}
+
+/**
+ * Checks whether a sitemap entry passes the configured filters
+ *
+ * @param {object} entry - Sitemap entry { loc, lastmod }
+ * @param {object} filters - Filters { include, exclude, since }
+ * @returns {boolean} True if the entry should be kept
+ */
+function keepEntry(entry, { include = [], exclude = [], since = null }) {
+	if (include.length > 0 && !matchesAny(entry.loc, include)) {
+		return false;
+	}
+	if (matchesAny(entry.loc, exclude)) {
+		return false;
+	}
+	// Entries without lastmod are kept: there is nothing to compare
+	if (since && entry.lastmod) {
+		const modified = new Date(entry.lastmod);
+		if (!Number.isNaN(modified.getTime()) && modified < new Date(since)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Loads page URLs from a sitemap, following nested sitemap indexes
+ * A nested sitemap that cannot be read or parsed is skipped with a warning;
+ * only the top-level sitemap is required
+ *
+ * @param {string} source - Sitemap URL or local file path
+ * @param {object} options - Filter options
+ * @param {string[]} options.include - Patterns a page URL must match
+ * @param {string[]} options.exclude - Patterns a page URL must not match
+ * @param {string} options.since - Drop entries whose lastmod is older than this date
+ * @param {number} options.maxDepth - Maximum sitemap index nesting (default: 5)
+ * @param {Function} options.fetch - fetch implementation (e.g. proxy-aware, default: global fetch)
+ * @param {string} options.userAgent - User agent sent with remote sitemap requests
+ * @returns {Promise<string[]>} Unique page URLs in sitemap order
+ * @throws {Error} If the top-level sitemap cannot be read
+ */
+export async function loadSitemapUrls(source, options = {}) {
+	const { maxDepth = 5, fetch: fetchSitemap = fetch, userAgent } = options;
+	const headers = userAgent ? { "User-Agent": userAgent } : {};
+	const visited = new Set();
+	const urls = new Set();
+
+	const visit = async (location, depth) => {
+		if (visited.has(location)) return;
+		visited.add(location);
+
+		logger.debug(`Reading sitemap ${location}`);
+		let sitemap;
+		try {
+			sitemap = parseSitemap(
+				await readSitemapSource(location, fetchSitemap, headers),
+			);
+		} catch (error) {
+			if (depth === 0) throw error;
+			logger.warn(`Skipped nested sitemap ${location}: ${error.message}`);
+			return;
+		}
+		const { type, entries } = sitemap;
+
+		if (type === "index") {
+			if (depth >= maxDepth) {
+				logger.warn(`Sitemap index nesting too deep, skipped ${location}`);
+				return;
+			}
+			for (const entry of entries) {
+				await visit(resolveLocation(entry.loc, location), depth + 1);
+			}
+			return;
+		}
+
+		for (const entry of entries) {
+			if (keepEntry(entry, options)) {
+				urls.add(entry.loc);
+			}
+		}
+	};
+
+	await visit(source, 0);
+	logger.info(`Sitemap ${source}: ${urls.size} URLs after filtering`);
+
+	return [...urls];
+}
@@ -1,11 +1,15 @@
 /**
  * URLs Service
- * Single Responsibility: Read and validate URLs from files
+ * Single Responsibility: Read and validate URLs from files and sitemaps
  */
 
 import { readFile } from "node:fs/promises";
-import { join } from "node:path";
+import { join, resolve } from "node:path";
 import { createLogger } from "../core/logger.js";
+import { getProxyResolver } from "./config.js";
+import { expandLocalEntries } from "./local-files.js";
+import { createProxiedFetch } from "./proxy.js";
+import { loadSitemapUrls } from "./sitemap.js";
 
 const logger = createLogger("urls");
 
@@ -28,21 +32,68 @@ export async function readUrls(filepath) {
 }
 
 /**
- * Loads and validates URLs from file
+ * Loads URLs from a sitemap instead of urls.txt
+ * Remote sitemaps are fetched through the proxy configured for their host
+ *
+ * @param {object} config - Application configuration
+ * @returns {Promise<string[]>} Array of URLs
+ */
+async function loadFromSitemap(config) {
+	const { sitemap } = config;
+	const source = /^https?:\/\//i.test(sitemap.source)
+		? sitemap.source
+		: resolve(process.cwd(), sitemap.source);
+	logger.info(`Reading URLs from sitemap ${source}`);
+
+	const fetchSitemap = createProxiedFetch(getProxyResolver(config), {
+		timeout: config.timeout,
+	});
+	try {
+		return await loadSitemapUrls(source, {
+			...sitemap,
+			fetch: fetchSitemap,
+			userAgent: config.userAgent,
+		});
+	} catch (error) {
+		logger.error(`Failed to read sitemap ${source}: ${error.message}`, error);
+		process.exit(1);
+	} finally {
+		await fetchSitemap.dispose();
+	}
+}
+
+/**
+ * Loads and validates URLs from urls.txt, or from a sitemap when configured
+ * Local paths, directories, globs and file:// URLs in urls.txt become the
+ * file:// URLs of the HTML files they name
+ *
+ * @param {object} config - Application configuration
+ * @param {object} config.sitemap - Sitemap source and filters (optional)
  * @returns {Promise<string[]>} Array of validated URLs
  */
-export async function loadAndValidateUrls() {
+export async function loadAndValidateUrls(config = {}) {
+	if (config.sitemap?.source) {
+		const urls = await loadFromSitemap(config);
+		if (urls.length === 0) {
+			logger.error("No URLs found in sitemap (after filtering)");
+			process.exit(1);
+		}
+		return urls;
+	}
+
 	const urlsFile = join(process.cwd(), "urls.txt");
 	logger.info(`Reading URLs from ${urlsFile}`);
 
-	let urls;
+	let entries;
 	try {
-		urls = await readUrls(urlsFile);
+		entries = await readUrls(urlsFile);
 	} catch {
 		logger.error("urls.txt not found. Please create it with one URL per line.");
 		process.exit(1);
 	}
 
+	const urls = await expandLocalEntries(entries);
+
 	if (urls.length === 0) {
 		logger.error("No URLs found in urls.txt");
 		process.exit(1);
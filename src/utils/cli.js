@@ -5,12 +5,36 @@
 
 import { HELP_TEXT } from "./constants.js";
 
+/**
+ * Parses the whole-number value of a CLI flag
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {number} Parsed integer
+ * @throws {Error} If the value is not a whole number
+ */
+function parseInteger(value, flag) {
+	if (!/^-?\d+$/.test(value.trim())) {
+		throw new Error(`${flag} expects a whole number, got "${value}"`);
+	}
+	return Number.parseInt(value, 10);
+}
+
 /**
  * Parses CLI arguments from argv
- * Supports: --name, --output-dir, --overwrite, --continue, --help
+ * A leading "reconvert <folder>" selects the reconvert command
+ * Supports: --name, --output-dir, --overwrite, --continue, --concurrency, --engine,
+ * --ignore-robots, --keep-duplicates, --render-local, --config, --min-delay, --max-per-host, --help,
+ * the wait options: --wait-for, --wait-idle, --wait-js, --wait-delay, --wait-timeout,
+ * --no-consent, --scroll, --no-expand, --no-flatten, --content-selector, --exclude-selector,
+ * --no-main-content, --no-fragment-sections, --block-type, --allow-resource, --no-blocking, --paginate, --next-selector, --pagination-limit, --screenshot, --pdf, --archive-html, --archive-gzip, the auth options: --storage-state, --cookies, --login,
+ * the emulation options: --user-agent, --header, --locale, --timezone,
+ * --viewport, --no-js, --headed, --proxy, --proxy-bypass
+ * and the crawl options: --crawl, --max-depth, --max-pages, --path-prefix,
+ * --include, --exclude, --cross-origin, and the sitemap options: --sitemap, --since
  *
  * @param {string[]} argv - Process argv (usually process.argv.slice(2))
  * @returns {object} Parsed arguments object
+ * @throws {Error} If a numeric flag is given a value that is not a whole number
  */
 export function parseArgs(argv) {
 	const args = {
@@ -18,7 +42,61 @@ export function parseArgs(argv) {
 		outputDir: null,
 		overwrite: false,
 		continue: true, // Default: skip existing files
+		concurrency: null,
+		engine: null,
+		ignoreRobots: false,
+		keepDuplicates: false,
+		renderLocal: false,
+		configFile: null,
+		minDelay: null,
+		maxPerHost: null,
+		waitFor: null,
+		waitIdle: false,
+		waitJs: null,
+		waitDelay: null,
+		waitTimeout: null,
+		noConsent: false,
+		scroll: false,
+		noExpand: false,
+		noFlatten: false,
+		contentSelector: null,
+		excludeSelectors: [],
+		noMainContent: false,
+		noFragmentSections: false,
+		blockTypes: [],
+		allowResources: [],
+		noBlocking: false,
+		paginate: false,
+		nextSelectors: [],
+		paginationLimit: null,
+		screenshot: false,
+		pdf: false,
+		storageState: null,
+		cookies: null,
+		forceLogin: false,
+		userAgent: null,
+		headers: {},
+		locale: null,
+		timezone: null,
+		viewport: null,
+		noJs: false,
+		headed: false,
+		proxy: null,
+		proxyBypass: null,
+		crawl: false,
+		maxDepth: null,
+		maxPages: null,
+		pathPrefix: null,
+		include: [],
+		exclude: [],
+		crossOrigin: false,
+		sitemap: null,
+		since: null,
 		showHelp: false,
+		command: null,
+		reconvertDir: null,
+		archiveHtml: false,
+		archiveGzip: false,
 	};
 
 	for (let i = 0; i < argv.length; i++) {
@@ -26,6 +104,16 @@ export function parseArgs(argv) {
 
 		if (arg === "--help" || arg === "-h") {
 			args.showHelp = true;
+		} else if (arg === "reconvert" && i === 0) {
+			args.command = "reconvert";
+			if (i + 1 < argv.length && !argv[i + 1].startsWith("-")) {
+				args.reconvertDir = argv[++i];
+			}
+		} else if (arg === "--archive-html") {
+			args.archiveHtml = true;
+		} else if (arg === "--archive-gzip") {
+			args.archiveHtml = true;
+			args.archiveGzip = true;
 		} else if (arg === "--overwrite" || arg === "-o") {
 			args.overwrite = true;
 			args.continue = false; // Overwrite implies don't skip
@@ -42,6 +130,182 @@ export function parseArgs(argv) {
 			if (i + 1 < argv.length) {
 				args.outputDir = argv[++i];
 			}
+		} else if (arg === "--concurrency" || arg === "-j") {
+			// Next argument is the number of parallel workers
+			if (i + 1 < argv.length) {
+				args.concurrency = parseInteger(argv[++i], "--concurrency");
+			}
+		} else if (arg === "--engine") {
+			if (i + 1 < argv.length) {
+				args.engine = argv[++i];
+			}
+		} else if (arg === "--keep-duplicates") {
+			args.keepDuplicates = true;
+		} else if (arg === "--render-local") {
+			args.renderLocal = true;
+		} else if (arg === "--ignore-robots") {
+			args.ignoreRobots = true;
+		} else if (arg === "--config") {
+			if (i + 1 < argv.length) {
+				args.configFile = argv[++i];
+			}
+		} else if (arg === "--min-delay") {
+			if (i + 1 < argv.length) {
+				args.minDelay = parseInteger(argv[++i], "--min-delay");
+			}
+		} else if (arg === "--max-per-host") {
+			if (i + 1 < argv.length) {
+				args.maxPerHost = parseInteger(argv[++i], "--max-per-host");
+			}
+		} else if (arg === "--wait-for") {
+			if (i + 1 < argv.length) {
+				args.waitFor = argv[++i];
+			}
+		} else if (arg === "--wait-idle") {
+			args.waitIdle = true;
+		} else if (arg === "--wait-js") {
+			if (i + 1 < argv.length) {
+				args.waitJs = argv[++i];
+			}
+		} else if (arg === "--wait-delay") {
+			if (i + 1 < argv.length) {
+				args.waitDelay = parseInteger(argv[++i], "--wait-delay");
+			}
+		} else if (arg === "--wait-timeout") {
+			if (i + 1 < argv.length) {
+				args.waitTimeout = parseInteger(argv[++i], "--wait-timeout");
+			}
+		} else if (arg === "--no-consent") {
+			args.noConsent = true;
+		} else if (arg === "--scroll") {
+			args.scroll = true;
+		} else if (arg === "--no-expand") {
+			args.noExpand = true;
+		} else if (arg === "--no-flatten") {
+			args.noFlatten = true;
+		} else if (arg === "--content-selector") {
+			if (i + 1 < argv.length) {
+				args.contentSelector = argv[++i];
+			}
+		} else if (arg === "--screenshot") {
+			args.screenshot = true;
+		} else if (arg === "--pdf") {
+			args.pdf = true;
+		} else if (arg === "--no-main-content") {
+			args.noMainContent = true;
+		} else if (arg === "--no-fragment-sections") {
+			args.noFragmentSections = true;
+		} else if (arg === "--paginate") {
+			args.paginate = true;
+		} else if (arg === "--next-selector") {
+			if (i + 1 < argv.length) {
+				args.nextSelectors.push(argv[++i]);
+				args.paginate = true;
+			}
+		} else if (arg === "--pagination-limit") {
+			if (i + 1 < argv.length) {
+				args.paginationLimit = parseInteger(argv[++i], "--pagination-limit");
+			}
+		} else if (arg === "--exclude-selector") {
+			if (i + 1 < argv.length) {
+				args.excludeSelectors.push(argv[++i]);
+			}
+		} else if (arg === "--block-type") {
+			if (i + 1 < argv.length) {
+				args.blockTypes.push(argv[++i]);
+			}
+		} else if (arg === "--allow-resource") {
+			if (i + 1 < argv.length) {
+				args.allowResources.push(argv[++i]);
+			}
+		} else if (arg === "--no-blocking") {
+			args.noBlocking = true;
+		} else if (arg === "--storage-state") {
+			if (i + 1 < argv.length) {
+				args.storageState = argv[++i];
+			}
+		} else if (arg === "--cookies") {
+			if (i + 1 < argv.length) {
+				args.cookies = argv[++i];
+			}
+		} else if (arg === "--login") {
+			args.forceLogin = true;
+		} else if (arg === "--user-agent") {
+			if (i + 1 < argv.length) {
+				args.userAgent = argv[++i];
+			}
+		} else if (arg === "--header") {
+			// Repeatable: "Name: value"
+			if (i + 1 < argv.length) {
+				const header = argv[++i];
+				const separator = header.indexOf(":");
+				if (separator > 0) {
+					args.headers[header.slice(0, separator).trim()] = header
+						.slice(separator + 1)
+						.trim();
+				}
+			}
+		} else if (arg === "--locale") {
+			if (i + 1 < argv.length) {
+				args.locale = argv[++i];
+			}
+		} else if (arg === "--timezone") {
+			if (i + 1 < argv.length) {
+				args.timezone = argv[++i];
+			}
+		} else if (arg === "--viewport") {
+			// Format: WIDTHxHEIGHT
+			if (i + 1 < argv.length) {
+				const [width, height] = argv[++i]
+					.split("x")
+					.map((value) => parseInteger(value, "--viewport"));
+				args.viewport = { width, height };
+			}
+		} else if (arg === "--no-js") {
+			args.noJs = true;
+		} else if (arg === "--headed") {
+			args.headed = true;
+		} else if (arg === "--proxy") {
+			if (i + 1 < argv.length) {
+				args.proxy = argv[++i];
+			}
+		} else if (arg === "--proxy-bypass") {
+			if (i + 1 < argv.length) {
+				args.proxyBypass = argv[++i];
+			}
+		} else if (arg === "--crawl") {
+			args.crawl = true;
+		} else if (arg === "--cross-origin") {
+			args.crossOrigin = true;
+		} else if (arg === "--max-depth") {
+			if (i + 1 < argv.length) {
+				args.maxDepth = parseInteger(argv[++i], "--max-depth");
+			}
+		} else if (arg === "--max-pages") {
+			if (i + 1 < argv.length) {
+				args.maxPages = parseInteger(argv[++i], "--max-pages");
+			}
+		} else if (arg === "--path-prefix") {
+			if (i + 1 < argv.length) {
+				args.pathPrefix = argv[++i];
+			}
+		} else if (arg === "--sitemap") {
+			if (i + 1 < argv.length) {
+				args.sitemap = argv[++i];
+			}
+		} else if (arg === "--since") {
+			if (i + 1 < argv.length) {
+				args.since = argv[++i];
+			}
+		} else if (arg === "--include") {
+			// Repeatable: each occurrence adds a pattern
+			if (i + 1 < argv.length) {
+				args.include.push(argv[++i]);
+			}
+		} else if (arg === "--exclude") {
+			if (i + 1 < argv.length) {
+				args.exclude.push(argv[++i]);
+			}
 		}
 
 		// Skip unknown arguments (could warn here)
@@ -0,0 +1,30 @@
+/**
+ * Concurrency Utility
+ * Single Responsibility: Run async work over a list with a bounded number of workers
+ */
+
+/**
+ * Maps items through an async worker with at most `concurrency` in flight
+ * Results are returned in input order regardless of completion order
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results, in the same order as items
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+	const results = new Array(items.length);
+	const workerCount = Math.max(1, Math.min(concurrency, items.length));
+	let nextIndex = 0;
+
+	const runWorker = async () => {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			results[index] = await worker(items[index], index);
+		}
+	};
+
+	await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+	return results;
+}
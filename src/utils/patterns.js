@@ -0,0 +1,92 @@
+/**
+ * Patterns Utility
+ * Single Responsibility: Compile and match URL patterns (globs or regular expressions)
+ */
+
+/**
+ * Compiled patterns cache, keyed by pattern string
+ */
+const compiledCache = new Map();
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.+^${}()|[\]\\?]/g, "\\$&");
+}
+
+/**
+ * Converts a URL glob to a regular expression
+ * Same syntax as the resource patterns passed to Playwright:
+ * `**` matches anything, `*` matches anything but "/", `{a,b}` matches either
+ *
+ * @param {string} glob - Glob pattern (e.g. "**\/docs/**")
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob) {
+	let source = "";
+	let inGroup = false;
+
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+
+		if (char === "*") {
+			if (glob[i + 1] === "*") {
+				source += ".*";
+				i++;
+			} else {
+				source += "[^/]*";
+			}
+		} else if (char === "{") {
+			inGroup = true;
+			source += "(?:";
+		} else if (char === "}" && inGroup) {
+			inGroup = false;
+			source += ")";
+		} else if (char === "," && inGroup) {
+			source += "|";
+		} else {
+			source += escapeRegExp(char);
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles a pattern string into a RegExp
+ * Strings wrapped in slashes ("/^https:\/\/docs\./") are regular expressions,
+ * everything else is a glob; RegExp instances are returned unchanged
+ *
+ * @param {string|RegExp} pattern - Pattern to compile
+ * @returns {RegExp} Compiled pattern
+ */
+export function compilePattern(pattern) {
+	if (pattern instanceof RegExp) {
+		return pattern;
+	}
+	if (compiledCache.has(pattern)) {
+		return compiledCache.get(pattern);
+	}
+
+	const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+	const compiled = regexMatch
+		? new RegExp(regexMatch[1], regexMatch[2].replace("g", ""))
+		: globToRegExp(pattern);
+
+	compiledCache.set(pattern, compiled);
+	return compiled;
+}
+
+/**
+ * Checks whether a value matches at least one pattern
+ *
+ * @param {string} value - Value to test (usually a URL)
+ * @param {Array<string|RegExp>} patterns - Patterns to test against
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesAny(value, patterns = []) {
+	return patterns.some((pattern) => compilePattern(pattern).test(value));
+}
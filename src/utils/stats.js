@@ -12,26 +12,61 @@ const logger = createLogger("stats");
 /**
  * Generates final statistics report
  * @param {object[]} results - Processing results
+ * @param {object} run - Run-level timings from processAllUrls
+ * @param {number} run.wallDuration - Elapsed time for the whole run in ms
+ * @param {object} run.browser - Browser pool statistics
  * @returns {object} Statistics object
  */
-export function generateStats(results) {
+export function generateStats(results, run = {}) {
 	const stats = {
 		total: results.length,
 		successful: 0,
 		failed: 0,
 		skipped: 0,
 		totalDuration: 0,
+		wallDuration: run.wallDuration ?? 0,
 		avgScrapeDuration: 0,
 		avgConvertDuration: 0,
+		avgAcquireDuration: 0,
+		avgQueueDuration: 0,
+		browserLaunches: run.browser?.launches ?? 0,
+		browserLaunchDuration: run.browser?.launchDuration ?? 0,
+		skippedByReason: {},
+		engines: {},
+		fallbacks: 0,
+		mainContent: { applied: 0, fullPage: 0, confidence: 0 },
+		blockedRequests: 0,
 		errors: [],
+		failures: [],
 	};
 
 	for (const result of results) {
-		if (result.success) {
+		if (result.skipReason) {
+			stats.skippedByReason[result.skipReason] =
+				(stats.skippedByReason[result.skipReason] ?? 0) + 1;
+		} else if (result.success) {
 			stats.successful++;
 			stats.totalDuration += result.totalDuration;
 			stats.avgScrapeDuration += result.scraped.duration;
 			stats.avgConvertDuration += result.converted.duration;
+			stats.avgAcquireDuration += result.scraped.acquireDuration ?? 0;
+			stats.avgQueueDuration += result.scraped.queueDuration ?? 0;
+
+			const engine = result.scraped.engine ?? "browser";
+			stats.engines[engine] = (stats.engines[engine] ?? 0) + 1;
+			if (result.scraped.fallbackReason) {
+				stats.fallbacks++;
+			}
+			stats.blockedRequests += result.scraped.blocked?.total ?? 0;
+
+			// Pages kept whole had no region reaching minConfidence
+			const mainContent = result.converted.mainContent;
+			if (mainContent?.applied) {
+				stats.mainContent.applied++;
+				stats.mainContent.confidence += mainContent.confidence;
+			} else if (mainContent) {
+				stats.mainContent.fullPage++;
+			}
 
 			if (result.written.skipped) {
 				stats.skipped++;
@@ -39,6 +74,12 @@ export function generateStats(results) {
 		} else {
 			stats.failed++;
 			stats.errors.push(result.error);
+			stats.failures.push({
+				url: result.url,
+				status: result.status ?? result.error?.status ?? null,
+				code: result.error?.code ?? null,
+				message: result.error?.message ?? "",
+			});
 		}
 	}
 
@@ -49,6 +90,18 @@ export function generateStats(results) {
 		stats.avgConvertDuration = Math.round(
 			stats.avgConvertDuration / stats.successful,
 		);
+		stats.avgAcquireDuration = Math.round(
+			stats.avgAcquireDuration / stats.successful,
+		);
+		stats.avgQueueDuration = Math.round(
+			stats.avgQueueDuration / stats.successful,
+		);
+	}
+	if (stats.mainContent.applied > 0) {
+		stats.mainContent.confidence =
+			Math.round(
+				(stats.mainContent.confidence / stats.mainContent.applied) * 100,
+			) / 100;
 	}
 
 	return stats;
@@ -64,27 +117,67 @@ export function printStats(stats) {
 	console.log("=".repeat(60));
 	console.log(`Successful:  ${stats.successful}`);
 	console.log(`Skipped:     ${stats.skipped}`);
+	for (const [reason, count] of Object.entries(stats.skippedByReason)) {
+		console.log(`Skipped (${reason}): ${count}`);
+	}
 	console.log(`Failed:      ${stats.failed}`);
 	console.log(`Total files: ${stats.successful - stats.skipped}`);
 	console.log("");
 	console.log(`Total time:  ${formatDuration(stats.totalDuration)}`);
+	if (stats.wallDuration > 0) {
+		console.log(`Wall time:   ${formatDuration(stats.wallDuration)}`);
+	}
 	console.log(`Avg scrape: ${stats.avgScrapeDuration}ms`);
 	console.log(`Avg convert: ${stats.avgConvertDuration}ms`);
+	console.log(`Avg page acquire: ${stats.avgAcquireDuration}ms`);
+	if (stats.avgQueueDuration > 0) {
+		console.log(`Avg host queue wait: ${stats.avgQueueDuration}ms`);
+	}
+	if (Object.keys(stats.engines).some((engine) => engine !== "browser")) {
+		const engines = Object.entries(stats.engines)
+			.map(([engine, count]) => `${engine} ${count}`)
+			.join(", ");
+		console.log(`Engines: ${engines} (${stats.fallbacks} browser fallbacks)`);
+	}
+	const { mainContent } = stats;
+	if (mainContent.applied + mainContent.fullPage > 0) {
+		console.log(
+			`Main content: ${mainContent.applied} detected (avg confidence ${mainContent.confidence}), ${mainContent.fullPage} kept whole`,
+		);
+	}
+	if (stats.blockedRequests > 0) {
+		console.log(`Blocked requests: ${stats.blockedRequests}`);
+	}
+	if (stats.browserLaunches > 0) {
+		console.log(
+			`Browser launches: ${stats.browserLaunches} (${formatDuration(stats.browserLaunchDuration)})`,
+		);
+	}
 
 	if (stats.successful > 0) {
 		const avgTotal = Math.round(stats.totalDuration / stats.total);
 		console.log(`Avg per URL: ${formatDuration(avgTotal)}`);
 	}
 
+	if (stats.failures.length > 0) {
+		console.log("");
+		console.log("Failed URLs:");
+		for (const failure of stats.failures) {
+			const label = failure.status ? `HTTP ${failure.status}` : failure.code;
+			console.log(`  [${label}] ${failure.url}`);
+		}
+	}
+
 	console.log("=".repeat(60));
 }
 
 /**
  * Handles processing results and exits appropriately
  * @param {object[]} results - Processing results
+ * @param {object} run - Run-level timings from processAllUrls
  */
-export function handleResults(results) {
-	const stats = generateStats(results);
+export function handleResults(results, run = {}) {
+	const stats = generateStats(results, run);
 	printStats(stats);
 
 	if (stats.errors.length > 0) {
@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Archive and Reconvert Services
+ * Tests HTML archives and rebuilding a run's Markdown from them
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join, relative } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+	readHtmlArchive,
+	writeHtmlArchive,
+} from "../../src/services/archive.js";
+import { createConfig } from "../../src/services/config.js";
+import { readManifest, saveManifest } from "../../src/services/manifest.js";
+import { reconvertRun } from "../../src/services/reconvert.js";
+
+const URL = "https://docs.example.com/guide/install";
+const HTML =
+	"<html><body><h1>Install</h1><p>Run the installer.</p></body></html>";
+
+describe("Archive Service", () => {
+	let dir;
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), "scrappe-archive-"));
+	});
+
+	after(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it("should round-trip gzipped HTML", async () => {
+		const filepath = await writeHtmlArchive(URL, HTML, {
+			outputDir: dir,
+			gzip: true,
+		});
+
+		strict.match(filepath, /html\/.+\.html\.gz$/);
+		strict.notEqual(await readFile(filepath, "utf8"), HTML);
+		strict.equal(await readHtmlArchive(filepath), HTML);
+	});
+
+	describe("reconvertRun", () => {
+		it("should rewrite the Markdown of archived pages", async () => {
+			const archived = await writeHtmlArchive(URL, HTML, { outputDir: dir });
+			await writeFile(join(dir, "stale.md"), "stale", "utf8");
+			await saveManifest(
+				{
+					pages: [
+						{
+							url: URL,
+							status: "written",
+							file: "stale.md",
+							html: relative(dir, archived),
+						},
+						{ url: "https://docs.example.com/other", status: "written" },
+					],
+				},
+				dir,
+			);
+
+			const counts = await reconvertRun(dir, createConfig());
+			const manifest = await readManifest(dir);
+			const markdown = await readFile(
+				join(dir, manifest.pages[0].file),
+				"utf8",
+			);
+
+			strict.deepEqual(counts, { reconverted: 1, failed: 0, notArchived: 1 });
+			strict.match(markdown, /# Install/);
+			strict.ok(manifest.reconvertedAt);
+		});
+
+		it("should apply the content selectors to the archived page", async () => {
+			const url = "https://docs.example.com/reference";
+			const archived = await writeHtmlArchive(
+				url,
+				"<html><body><nav>Menu</nav><main><h1>Reference</h1></main></body></html>",
+				{ outputDir: dir },
+			);
+			await saveManifest(
+				{
+					pages: [{ url, status: "written", html: relative(dir, archived) }],
+				},
+				dir,
+			);
+			const calls = [];
+			let closed = false;
+			const launcher = {
+				launch: async () => ({
+					newPage: async () => ({
+						// Stands in for selectInPage, which needs a DOM
+						evaluate: async (_select, options) => {
+							calls.push(options);
+							return {
+								html: options.html.replace("<nav>Menu</nav>", ""),
+								matched: 1,
+								excluded: 0,
+							};
+						},
+					}),
+					close: async () => {
+						closed = true;
+					},
+				}),
+			};
+
+			await reconvertRun(
+				dir,
+				createConfig({ contentSelector: "main" }),
+				launcher,
+			);
+			const manifest = await readManifest(dir);
+			const markdown = await readFile(
+				join(dir, manifest.pages[0].file),
+				"utf8",
+			);
+
+			strict.equal(calls.length, 1);
+			strict.equal(calls[0].contentSelector, "main");
+			strict.match(calls[0].html, /<nav>Menu<\/nav>/);
+			strict.match(markdown, /# Reference/);
+			strict.doesNotMatch(markdown, /Menu/);
+			strict.ok(closed);
+		});
+
+		it("should merge the archived pages of paginated content", async () => {
+			const url = "https://docs.example.com/changelog";
+			const files = [];
+			for (const [index, release] of ["2.0", "1.0"].entries()) {
+				files.push(
+					relative(
+						dir,
+						await writeHtmlArchive(
+							url,
+							`<html><body><h2>Release ${release}</h2><p>Notes.</p></body></html>`,
+							{ outputDir: dir, part: index + 1 },
+						),
+					),
+				);
+			}
+			await saveManifest(
+				{
+					pages: [
+						{
+							url,
+							status: "written",
+							html: files,
+							sources: [url, `${url}?page=2`],
+						},
+					],
+				},
+				dir,
+			);
+
+			await reconvertRun(dir, createConfig());
+			const manifest = await readManifest(dir);
+			const markdown = await readFile(
+				join(dir, manifest.pages[0].file),
+				"utf8",
+			);
+
+			strict.match(files[1], /-2\.html$/);
+			strict.match(markdown, /Release 2\.0[\s\S]*---[\s\S]*Release 1\.0/);
+		});
+	});
+});
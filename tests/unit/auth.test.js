@@ -0,0 +1,198 @@
+/**
+ * Unit Tests for Auth Service
+ * Tests cookie import, login redirect detection and session resolution
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+	createAuthManager,
+	isLoginRedirect,
+	loadCookiesFile,
+	normalizeCookie,
+	performLogin,
+} from "../../src/services/auth.js";
+import { createConfig, resolveUrlConfig } from "../../src/services/config.js";
+import { ErrorType } from "../../src/services/error.js";
+
+describe("Auth Service", () => {
+	let dir;
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), "scrappe-auth-"));
+	});
+
+	after(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	describe("normalizeCookie", () => {
+		it("should convert browser extension exports", () => {
+			const cookie = normalizeCookie({
+				name: "sid",
+				value: "abc",
+				domain: ".example.com",
+				expirationDate: 1800000000,
+				sameSite: "no_restriction",
+				secure: true,
+			});
+
+			strict.deepEqual(cookie, {
+				name: "sid",
+				value: "abc",
+				domain: ".example.com",
+				path: "/",
+				expires: 1800000000,
+				httpOnly: false,
+				secure: true,
+				sameSite: "None",
+			});
+		});
+	});
+
+	describe("loadCookiesFile", () => {
+		it("should accept { cookies: [...] } files", async () => {
+			const path = join(dir, "cookies.json");
+			await writeFile(
+				path,
+				JSON.stringify({
+					cookies: [{ name: "a", value: "1", domain: "x.com" }],
+				}),
+			);
+
+			const state = await loadCookiesFile(path);
+
+			strict.equal(state.cookies.length, 1);
+			strict.deepEqual(state.origins, []);
+		});
+
+		it("should fail with AUTH_ERROR on invalid files", async () => {
+			const path = join(dir, "broken.json");
+			await writeFile(path, "{ not json");
+
+			await strict.rejects(loadCookiesFile(path), (error) => {
+				strict.equal(error.code, ErrorType.AUTH);
+				return true;
+			});
+		});
+	});
+
+	describe("isLoginRedirect", () => {
+		const auth = { login: { url: "https://sso.example.com/login" } };
+
+		it("should detect pages that ended on the login URL", () => {
+			strict.equal(
+				isLoginRedirect("https://sso.example.com/login?next=%2Fdocs", auth),
+				true,
+			);
+		});
+
+		it("should ignore other pages", () => {
+			strict.equal(isLoginRedirect("https://docs.example.com/", auth), false);
+			strict.equal(isLoginRedirect("https://sso.example.com/", auth), false);
+		});
+
+		it("should prefer an explicit loginUrl", () => {
+			strict.equal(
+				isLoginRedirect("https://example.com/signin", {
+					...auth,
+					loginUrl: "https://example.com/signin",
+				}),
+				true,
+			);
+		});
+	});
+
+	describe("createAuthManager", () => {
+		it("should pass the storage state path to the context", async () => {
+			const path = join(dir, "state.json");
+			await writeFile(path, JSON.stringify({ cookies: [], origins: [] }));
+			const manager = createAuthManager({});
+
+			const options = await manager.contextOptions({
+				auth: { storageState: path },
+			});
+
+			strict.deepEqual(options, { storageState: path });
+		});
+
+		it("should fail with AUTH_ERROR when the storage state is missing", async () => {
+			const manager = createAuthManager({});
+
+			await strict.rejects(
+				manager.contextOptions({
+					auth: { storageState: join(dir, "missing.json") },
+				}),
+				/Storage state file not found/,
+			);
+		});
+
+		it("should run the logins of domains and pass each its session", async () => {
+			const logins = [];
+			const pool = {
+				contextOptions: {},
+				newContext: async (options) => ({
+					newPage: async () => ({
+						goto: async (url) => logins.push({ url, options }),
+						waitForURL: async () => {},
+					}),
+					storageState: async () => ({
+						cookies: [{ name: `session-${logins.length}` }],
+						origins: [],
+					}),
+					close: async () => {},
+				}),
+			};
+			const wikiLogin = { url: "https://sso.wiki.example.com/login" };
+			const config = createConfig({
+				domains: {
+					"wiki.example.com": { auth: { login: wikiLogin } },
+					"sso.wiki.example.com": { locale: "fr-FR" },
+				},
+			});
+			const manager = createAuthManager(config);
+
+			await manager.prepare(pool);
+			const options = await manager.contextOptions(
+				resolveUrlConfig(config, "https://wiki.example.com/page"),
+			);
+
+			strict.equal(logins.length, 1);
+			strict.equal(logins[0].url, wikiLogin.url);
+			strict.equal(logins[0].options.locale, "fr-FR");
+			strict.deepEqual(options.storageState.cookies, [{ name: "session-1" }]);
+			strict.deepEqual(await manager.contextOptions(config), {});
+		});
+
+		it("should return no options without auth", async () => {
+			const manager = createAuthManager({});
+
+			strict.deepEqual(await manager.contextOptions({}), {});
+		});
+	});
+
+	describe("performLogin", () => {
+		it("should require the environment variables of every field", async () => {
+			const pool = {
+				newContext: async () => {
+					throw new Error("should not open a context");
+				},
+			};
+
+			await strict.rejects(
+				performLogin(pool, {
+					url: "https://sso.example.com/login",
+					fields: { "#user": "SCRAPPE_TEST_UNSET_VARIABLE" },
+				}),
+				(error) => {
+					strict.equal(error.code, ErrorType.AUTH);
+					strict.match(error.message, /SCRAPPE_TEST_UNSET_VARIABLE/);
+					return true;
+				},
+			);
+		});
+	});
+});
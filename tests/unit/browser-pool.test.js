@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for Browser Pool Module
+ * Tests context reuse, recycling and shutdown with a fake launcher
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { BrowserPool, createBrowserPool } from "../../src/core/browser-pool.js";
+import {
+	createConfig,
+	getContextOptions,
+	resolveUrlConfig,
+} from "../../src/services/config.js";
+
+/**
+ * Creates a fake Playwright browser type recording what it opens
+ * Pages emit "crash" through their crash() method
+ *
+ * @returns {object} Fake launcher { launch, browsers, contexts }
+ */
+function createFakeLauncher() {
+	const launcher = { browsers: [], contexts: [] };
+
+	launcher.launch = async (options) => {
+		const browser = {
+			options,
+			closed: false,
+			isConnected: () => !browser.closed,
+			on() {},
+			async newContext(contextOptions) {
+				const context = {
+					options: contextOptions,
+					pages: 0,
+					closed: false,
+					async newPage() {
+						context.pages++;
+						const handlers = {};
+						return {
+							on: (event, handler) => {
+								handlers[event] = handler;
+							},
+							crash: () => handlers.crash?.(),
+							close: async () => {},
+						};
+					},
+					close: async () => {
+						context.closed = true;
+					},
+				};
+				launcher.contexts.push(context);
+				return context;
+			},
+			close: async () => {
+				browser.closed = true;
+			},
+		};
+		launcher.browsers.push(browser);
+		return browser;
+	};
+	return launcher;
+}
+
+describe("Browser Pool Module", () => {
+	describe("acquire", () => {
+		it("should serve pages from one context until it is recycled", async () => {
+			const launcher = createFakeLauncher();
+			const pool = new BrowserPool({ launcher, maxPagesPerContext: 2 });
+
+			for (let i = 0; i < 3; i++) {
+				const lease = await pool.acquire();
+				await lease.release();
+			}
+
+			strict.equal(launcher.browsers.length, 1);
+			strict.deepEqual(
+				launcher.contexts.map((context) => context.pages),
+				[2, 1],
+			);
+			strict.equal(launcher.contexts[0].closed, true);
+			strict.equal(launcher.contexts[1].closed, false);
+			await pool.close();
+		});
+
+		it("should retire a context once its crashed page is released", async () => {
+			const launcher = createFakeLauncher();
+			const pool = new BrowserPool({ launcher });
+
+			const crashed = await pool.acquire();
+			const sibling = await pool.acquire();
+			crashed.page.crash();
+			await crashed.release();
+
+			// The sibling page keeps its context until it is released
+			strict.equal(launcher.contexts[0].closed, false);
+			const next = await pool.acquire();
+			strict.notEqual(next.context, crashed.context);
+
+			await sibling.release();
+			strict.equal(launcher.contexts[0].closed, true);
+			strict.equal(pool.getStats().contextsRecycled, 1);
+			await next.release();
+			await pool.close();
+		});
+
+		it("should let a domain without proxy bypass the global proxy", async () => {
+			const config = createConfig({
+				proxy: "http://proxy.corp:3128",
+				domains: { "intranet.corp": { proxy: null } },
+			});
+			const launcher = createFakeLauncher();
+			const pool = createBrowserPool(config, launcher);
+
+			const direct = await pool.acquire(
+				getContextOptions(
+					resolveUrlConfig(config, "https://wiki.intranet.corp/"),
+				),
+			);
+			const proxied = await pool.acquire(
+				getContextOptions(resolveUrlConfig(config, "https://example.com/")),
+			);
+			await direct.release();
+			await proxied.release();
+
+			const [directContext, proxiedContext] = launcher.contexts;
+			strict.equal("proxy" in directContext.options, false);
+			strict.deepEqual(proxiedContext.options.proxy, {
+				server: "http://proxy.corp:3128",
+			});
+			await pool.close();
+		});
+
+		it("should keep the pool proxy when the page sets none", async () => {
+			const launcher = createFakeLauncher();
+			const pool = new BrowserPool({
+				launcher,
+				contextOptions: { proxy: { server: "http://proxy.corp:3128" } },
+			});
+
+			const lease = await pool.acquire({ locale: "en-US" });
+			await lease.release();
+
+			strict.deepEqual(launcher.contexts[0].options, {
+				proxy: { server: "http://proxy.corp:3128" },
+				locale: "en-US",
+			});
+			await pool.close();
+		});
+	});
+
+	describe("close", () => {
+		it("should close every context and browser, then refuse pages", async () => {
+			const launcher = createFakeLauncher();
+			const pool = new BrowserPool({ launcher });
+			await pool.acquire();
+			await pool.acquire({ locale: "fr-FR" }, { headless: false });
+
+			await pool.close();
+			await pool.close();
+
+			strict.equal(launcher.browsers.length, 2);
+			strict.equal(
+				launcher.browsers.every((browser) => browser.closed),
+				true,
+			);
+			strict.equal(
+				launcher.contexts.every((context) => context.closed),
+				true,
+			);
+			await strict.rejects(pool.acquire(), /Browser pool has been closed/);
+		});
+	});
+});
@@ -15,6 +15,7 @@ describe("CLI Parser", () => {
 			strict.strictEqual(args.outputDir, null);
 			strict.strictEqual(args.overwrite, false);
 			strict.strictEqual(args.continue, true);
+			strict.strictEqual(args.concurrency, null);
 			strict.strictEqual(args.showHelp, false);
 		});
 
@@ -108,6 +109,221 @@ describe("CLI Parser", () => {
 			strict.strictEqual(args.continue, false);
 		});
 
+		it("should parse --concurrency with value", () => {
+			const args = parseArgs(["--concurrency", "6"]);
+
+			strict.strictEqual(args.concurrency, 6);
+		});
+
+		it("should parse -j with value", () => {
+			const args = parseArgs(["-j", "2"]);
+
+			strict.strictEqual(args.concurrency, 2);
+		});
+
+		it("should reject numeric flags without a whole number", () => {
+			for (const flag of [
+				"--concurrency",
+				"--min-delay",
+				"--max-per-host",
+				"--wait-delay",
+				"--wait-timeout",
+				"--max-depth",
+				"--max-pages",
+				"--pagination-limit",
+			]) {
+				strict.throws(
+					() => parseArgs([flag, "abc"]),
+					new RegExp(`${flag} expects a whole number, got "abc"`),
+				);
+			}
+			strict.throws(() => parseArgs(["-j", "2.5"]), /--concurrency/);
+			strict.throws(() => parseArgs(["--viewport", "390xabc"]), /--viewport/);
+		});
+
+		it("should parse --engine with value", () => {
+			const args = parseArgs(["--engine", "fetch"]);
+
+			strict.strictEqual(args.engine, "fetch");
+		});
+
+		it("should parse content selection flags", () => {
+			const args = parseArgs([
+				"--content-selector",
+				"main article",
+				"--exclude-selector",
+				".sidebar",
+				"--exclude-selector",
+				".feedback-widget",
+			]);
+
+			strict.strictEqual(args.contentSelector, "main article");
+			strict.deepEqual(args.excludeSelectors, [".sidebar", ".feedback-widget"]);
+		});
+
+		it("should parse capture flags", () => {
+			const args = parseArgs(["--screenshot", "--pdf"]);
+
+			strict.strictEqual(args.screenshot, true);
+			strict.strictEqual(args.pdf, true);
+		});
+
+		it("should parse the reconvert command and its folder", () => {
+			const args = parseArgs([
+				"reconvert",
+				"captures/api-docs",
+				"--config",
+				"c.json",
+			]);
+
+			strict.strictEqual(args.command, "reconvert");
+			strict.strictEqual(args.reconvertDir, "captures/api-docs");
+			strict.strictEqual(args.configFile, "c.json");
+		});
+
+		it("should enable gzipped archives with --archive-gzip", () => {
+			const args = parseArgs(["--archive-gzip"]);
+
+			strict.strictEqual(args.archiveHtml, true);
+			strict.strictEqual(args.archiveGzip, true);
+		});
+
+		it("should parse --no-flatten flag", () => {
+			strict.strictEqual(parseArgs([]).noFlatten, false);
+			strict.strictEqual(parseArgs(["--no-flatten"]).noFlatten, true);
+		});
+
+		it("should parse --no-fragment-sections flag", () => {
+			strict.strictEqual(parseArgs([]).noFragmentSections, false);
+			strict.strictEqual(
+				parseArgs(["--no-fragment-sections"]).noFragmentSections,
+				true,
+			);
+		});
+
+		it("should parse --no-consent flag", () => {
+			strict.strictEqual(parseArgs([]).noConsent, false);
+			strict.strictEqual(parseArgs(["--no-consent"]).noConsent, true);
+		});
+
+		it("should parse --ignore-robots flag", () => {
+			const args = parseArgs(["--ignore-robots"]);
+
+			strict.strictEqual(args.ignoreRobots, true);
+		});
+
+		it("should parse crawl options", () => {
+			const args = parseArgs([
+				"--crawl",
+				"--max-depth",
+				"3",
+				"--max-pages",
+				"200",
+				"--path-prefix",
+				"/docs/",
+				"--include",
+				"**/docs/**",
+				"--exclude",
+				"**/v1/**",
+				"--exclude",
+				"**/v2/**",
+			]);
+
+			strict.strictEqual(args.crawl, true);
+			strict.strictEqual(args.maxDepth, 3);
+			strict.strictEqual(args.maxPages, 200);
+			strict.strictEqual(args.pathPrefix, "/docs/");
+			strict.deepEqual(args.include, ["**/docs/**"]);
+			strict.deepEqual(args.exclude, ["**/v1/**", "**/v2/**"]);
+			strict.strictEqual(args.crossOrigin, false);
+		});
+
+		it("should parse sitemap options", () => {
+			const args = parseArgs([
+				"--sitemap",
+				"https://example.com/sitemap.xml",
+				"--since",
+				"2026-01-01",
+			]);
+
+			strict.strictEqual(args.sitemap, "https://example.com/sitemap.xml");
+			strict.strictEqual(args.since, "2026-01-01");
+		});
+
+		it("should parse wait options", () => {
+			const args = parseArgs([
+				"--wait-for",
+				"main article",
+				"--wait-idle",
+				"--wait-js",
+				"window.ready",
+				"--wait-delay",
+				"250",
+				"--wait-timeout",
+				"15000",
+				"--scroll",
+				"--no-expand",
+			]);
+
+			strict.strictEqual(args.waitFor, "main article");
+			strict.strictEqual(args.waitIdle, true);
+			strict.strictEqual(args.waitJs, "window.ready");
+			strict.strictEqual(args.waitDelay, 250);
+			strict.strictEqual(args.waitTimeout, 15000);
+			strict.strictEqual(args.scroll, true);
+			strict.strictEqual(args.noExpand, true);
+		});
+
+		it("should parse auth options", () => {
+			const args = parseArgs([
+				"--storage-state",
+				".auth/state.json",
+				"--cookies",
+				"cookies.json",
+				"--login",
+			]);
+
+			strict.strictEqual(args.storageState, ".auth/state.json");
+			strict.strictEqual(args.cookies, "cookies.json");
+			strict.strictEqual(args.forceLogin, true);
+		});
+
+		it("should parse browser emulation options", () => {
+			const args = parseArgs([
+				"--user-agent",
+				"Mozilla/5.0 (iPhone)",
+				"--header",
+				"Accept-Language: en",
+				"--header",
+				"X-Token: a:b",
+				"--locale",
+				"en-US",
+				"--timezone",
+				"Europe/Paris",
+				"--viewport",
+				"390x844",
+				"--no-js",
+				"--headed",
+				"--proxy",
+				"http://proxy.corp:3128",
+				"--proxy-bypass",
+				"localhost,.corp.local",
+			]);
+
+			strict.strictEqual(args.userAgent, "Mozilla/5.0 (iPhone)");
+			strict.deepEqual(args.headers, {
+				"Accept-Language": "en",
+				"X-Token": "a:b",
+			});
+			strict.strictEqual(args.locale, "en-US");
+			strict.strictEqual(args.timezone, "Europe/Paris");
+			strict.deepEqual(args.viewport, { width: 390, height: 844 });
+			strict.strictEqual(args.noJs, true);
+			strict.strictEqual(args.headed, true);
+			strict.strictEqual(args.proxy, "http://proxy.corp:3128");
+			strict.strictEqual(args.proxyBypass, "localhost,.corp.local");
+		});
+
 		it("should handle unknown arguments gracefully", () => {
 			const args = parseArgs(["--unknown", "another-unknown"]);
 
@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for Concurrency Utility
+ * Tests bounded parallel mapping and result ordering
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { mapWithConcurrency } from "../../src/utils/concurrency.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Concurrency Utility", () => {
+	describe("mapWithConcurrency", () => {
+		it("should return results in input order", async () => {
+			const delays = [30, 5, 20, 1];
+
+			const results = await mapWithConcurrency(delays, 4, async (ms, i) => {
+				await sleep(ms);
+				return i;
+			});
+
+			strict.deepEqual(results, [0, 1, 2, 3]);
+		});
+
+		it("should never exceed the concurrency limit", async () => {
+			let active = 0;
+			let peak = 0;
+
+			await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+				active++;
+				peak = Math.max(peak, active);
+				await sleep(5);
+				active--;
+			});
+
+			strict.equal(peak, 2);
+		});
+
+		it("should handle an empty list", async () => {
+			const results = await mapWithConcurrency([], 3, async () => 1);
+
+			strict.deepEqual(results, []);
+		});
+	});
+});
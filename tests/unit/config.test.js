@@ -0,0 +1,446 @@
+/**
+ * Unit Tests for Configuration Service
+ * Tests config layering, validation and per-domain overrides
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	configFromArgs,
+	createConfig,
+	getContextOptions,
+	getLaunchOverrides,
+	getProxyResolver,
+	mergeConfig,
+	resolveUrlConfig,
+} from "../../src/services/config.js";
+import { parseArgs } from "../../src/utils/cli.js";
+
+describe("Configuration Service", () => {
+	describe("mergeConfig", () => {
+		it("should merge object sections one level deep", () => {
+			const merged = mergeConfig(
+				{ timeout: 8000, crawl: { maxDepth: 2, maxPages: 100 } },
+				{ crawl: { maxPages: 10 } },
+			);
+
+			strict.deepEqual(merged, {
+				timeout: 8000,
+				crawl: { maxDepth: 2, maxPages: 10 },
+			});
+		});
+
+		it("should replace arrays instead of merging them", () => {
+			const merged = mergeConfig({ list: [1, 2] }, { list: [3] });
+
+			strict.deepEqual(merged.list, [3]);
+		});
+	});
+
+	describe("createConfig", () => {
+		it("should keep defaults for unset politeness keys", () => {
+			const config = createConfig({ politeness: { minDelay: 500 } });
+
+			strict.equal(config.politeness.minDelay, 500);
+			strict.equal(config.politeness.maxConcurrent, 0);
+		});
+
+		it("should reject invalid per-domain politeness", () => {
+			strict.throws(
+				() =>
+					createConfig({
+						domains: { "example.com": { politeness: { minDelay: -1 } } },
+					}),
+				/example\.com politeness\.minDelay/,
+			);
+		});
+
+		it("should reject numbers that are not finite", () => {
+			strict.throws(
+				() => createConfig({ concurrency: Number.NaN }),
+				/Concurrency must be between 1 and 32, got NaN/,
+			);
+			strict.throws(
+				() => createConfig({ crawl: { maxPages: Number.POSITIVE_INFINITY } }),
+				/Crawl max pages/,
+			);
+		});
+
+		it("should reject unknown wait step types", () => {
+			strict.throws(
+				() => createConfig({ wait: [{ type: "sleep", value: 100 }] }),
+				/wait step type/,
+			);
+		});
+
+		it("should reject selector steps without a selector", () => {
+			strict.throws(
+				() => createConfig({ wait: [{ type: "selector" }] }),
+				/needs a value/,
+			);
+		});
+
+		it("should reject unknown resource types to block per domain", () => {
+			strict.throws(
+				() =>
+					createConfig({
+						domains: {
+							"example.com": { blocking: { resourceTypes: ["images"] } },
+						},
+					}),
+				/example\.com blocking\.resourceTypes/,
+			);
+		});
+
+		it("should read blocked patterns from blockedResources", () => {
+			const config = createConfig({ blockedResources: ["**/*.mp4"] });
+
+			strict.deepEqual(config.blocking.patterns, ["**/*.mp4"]);
+			strict.deepEqual(config.blocking.allow, []);
+		});
+
+		it("should reject out of range scroll limits in rules", () => {
+			strict.throws(
+				() =>
+					createConfig({
+						rules: [{ match: "**/blog/**", scroll: { maxSteps: 0 } }],
+					}),
+				/Rule 0 scroll\.maxSteps/,
+			);
+		});
+
+		it("should reject unknown timezones", () => {
+			strict.throws(
+				() => createConfig({ timezone: "Mars/Olympus" }),
+				/timezone is unknown/,
+			);
+		});
+
+		it("should reject invalid per-domain viewports", () => {
+			strict.throws(
+				() =>
+					createConfig({
+						domains: { "m.example.com": { viewport: { width: 10 } } },
+					}),
+				/m\.example\.com viewport width/,
+			);
+		});
+
+		it("should reject proxies without a supported scheme", () => {
+			strict.throws(
+				() => createConfig({ proxy: "ftp://proxy.corp:21" }),
+				/proxy scheme ftp: is not supported/,
+			);
+			strict.throws(() => createConfig({ proxy: "proxy.corp:3128" }), /proxy/);
+		});
+
+		it("should reject unknown engines, globally and per domain", () => {
+			strict.throws(
+				() => createConfig({ engine: "curl" }),
+				/engine must be one of browser, fetch/,
+			);
+			strict.throws(
+				() => createConfig({ domains: { "app.example.com": { engine: "x" } } }),
+				/app\.example\.com engine/,
+			);
+		});
+
+		it("should reject content selectors that are not strings", () => {
+			strict.throws(
+				() => createConfig({ contentSelector: 42 }),
+				/contentSelector must be a selector/,
+			);
+			strict.throws(
+				() =>
+					createConfig({
+						domains: { "docs.example.com": { excludeSelectors: ".ad" } },
+					}),
+				/docs\.example\.com excludeSelectors/,
+			);
+		});
+
+		it("should reject a main content confidence outside 0-1", () => {
+			strict.throws(
+				() => createConfig({ mainContent: { minConfidence: 2 } }),
+				/mainContent\.minConfidence must be between 0 and 1/,
+			);
+		});
+
+		it("should reject invalid per-domain consent options", () => {
+			strict.throws(
+				() =>
+					createConfig({
+						domains: { "news.example.com": { consent: { prefer: "ignore" } } },
+					}),
+				/news\.example\.com consent\.prefer/,
+			);
+			strict.throws(
+				() => createConfig({ consent: { selectors: "#accept" } }),
+				/Global consent\.selectors must be an array/,
+			);
+		});
+
+		it("should reject unknown duplicate handling", () => {
+			strict.throws(
+				() => createConfig({ duplicates: "merge" }),
+				/Global duplicates must be "skip" or "keep"/,
+			);
+		});
+
+		it("should reject rules without a match pattern", () => {
+			strict.throws(
+				() => createConfig({ rules: [{ wait: [] }] }),
+				/match pattern/,
+			);
+		});
+	});
+
+	describe("configFromArgs", () => {
+		it("should build wait steps sharing the wait timeout", () => {
+			const userConfig = configFromArgs(
+				parseArgs([
+					"--wait-for",
+					"#app h1",
+					"--wait-idle",
+					"--wait-timeout",
+					"5000",
+				]),
+			);
+
+			strict.deepEqual(userConfig.wait, [
+				{ type: "selector", value: "#app h1", timeout: 5000 },
+				{ type: "networkIdle", timeout: 5000 },
+			]);
+		});
+
+		it("should select the engine from --engine", () => {
+			strict.equal(
+				configFromArgs(parseArgs(["--engine", "fetch"])).engine,
+				"fetch",
+			);
+		});
+
+		it("should render local files in the browser with --render-local", () => {
+			strict.equal(
+				configFromArgs(parseArgs(["--render-local"])).renderLocalFiles,
+				true,
+			);
+		});
+
+		it("should add blocked types and allowed patterns to the defaults", () => {
+			const config = createConfig(
+				configFromArgs(
+					parseArgs([
+						"--block-type",
+						"font",
+						"--block-type",
+						"media",
+						"--allow-resource",
+						"**/*.svg",
+					]),
+				),
+			);
+
+			strict.deepEqual(config.blocking.resourceTypes, ["font", "media"]);
+			strict.deepEqual(config.blocking.allow, ["**/*.svg"]);
+			strict.ok(config.blocking.patterns.length > 0);
+		});
+
+		it("should block nothing with --no-blocking", () => {
+			const config = createConfig(configFromArgs(parseArgs(["--no-blocking"])));
+
+			strict.deepEqual(config.blocking, {
+				patterns: [],
+				resourceTypes: [],
+				allow: [],
+			});
+		});
+
+		it("should turn main content detection off with --no-main-content", () => {
+			const config = createConfig(
+				configFromArgs(parseArgs(["--no-main-content"])),
+			);
+
+			strict.deepEqual(config.mainContent, {
+				enabled: false,
+				minConfidence: 0.4,
+			});
+		});
+
+		it("should enable pagination with --next-selector and its limit", () => {
+			const config = createConfig(
+				configFromArgs(
+					parseArgs([
+						"--next-selector",
+						".pager a.next",
+						"--pagination-limit",
+						"5",
+					]),
+				),
+			);
+
+			strict.deepEqual(config.pagination, {
+				enabled: true,
+				selectors: [".pager a.next"],
+				maxPages: 5,
+			});
+		});
+
+		it("should enable only the requested captures", () => {
+			const config = createConfig(configFromArgs(parseArgs(["--screenshot"])));
+
+			strict.deepEqual(config.capture, { screenshot: true, pdf: false });
+		});
+
+		it("should keep the default wait when no wait flag is given", () => {
+			const userConfig = configFromArgs(parseArgs([]));
+
+			strict.equal(userConfig.wait, undefined);
+		});
+	});
+
+	describe("resolveUrlConfig", () => {
+		const config = createConfig({
+			politeness: { minDelay: 100 },
+			domains: {
+				"example.com": { politeness: { minDelay: 1000, maxConcurrent: 2 } },
+				"docs.example.com": { politeness: { minDelay: 2000 } },
+			},
+		});
+
+		it("should apply parent and exact domain overrides in order", () => {
+			const resolved = resolveUrlConfig(config, "https://docs.example.com/a");
+
+			strict.equal(resolved.politeness.minDelay, 2000);
+			strict.equal(resolved.politeness.maxConcurrent, 2);
+		});
+
+		it("should fall back to global values for other hosts", () => {
+			const resolved = resolveUrlConfig(config, "https://other.org/");
+
+			strict.equal(resolved.politeness.minDelay, 100);
+		});
+
+		it("should not match unrelated hosts sharing a suffix", () => {
+			const resolved = resolveUrlConfig(config, "https://notexample.com/");
+
+			strict.equal(resolved.politeness.minDelay, 100);
+		});
+
+		it("should apply matching rules after domain overrides", () => {
+			const withRules = createConfig({
+				domains: {
+					"example.com": { wait: [{ type: "delay", value: 500 }] },
+				},
+				rules: [
+					{ match: "**/app/**", wait: [{ type: "networkIdle" }] },
+					{ match: ["/\\/other\\//"], wait: [] },
+				],
+			});
+
+			strict.deepEqual(
+				resolveUrlConfig(withRules, "https://example.com/app/page").wait,
+				[{ type: "networkIdle" }],
+			);
+			strict.deepEqual(
+				resolveUrlConfig(withRules, "https://example.com/docs/page").wait,
+				[{ type: "delay", value: 500 }],
+			);
+			strict.equal(
+				resolveUrlConfig(withRules, "https://example.com/app/page").match,
+				undefined,
+			);
+		});
+	});
+
+	describe("getContextOptions", () => {
+		it("should map emulation settings to Playwright context options", () => {
+			const config = createConfig({
+				headers: { "X-Docs": "1" },
+				locale: "en-US",
+				timezone: "Europe/Paris",
+				viewport: { width: 390, height: 844 },
+				javaScript: false,
+			});
+
+			strict.deepEqual(getContextOptions(config), {
+				userAgent: config.userAgent,
+				javaScriptEnabled: false,
+				extraHTTPHeaders: { "X-Docs": "1" },
+				locale: "en-US",
+				timezoneId: "Europe/Paris",
+				viewport: { width: 390, height: 844 },
+				proxy: null,
+			});
+		});
+
+		it("should apply per-domain emulation for the URL", () => {
+			const config = createConfig({
+				headers: { "X-Docs": "1" },
+				domains: {
+					"fr.example.com": { locale: "en-US", headers: { "X-Lang": "en" } },
+				},
+			});
+			const urlConfig = resolveUrlConfig(config, "https://fr.example.com/");
+
+			const options = getContextOptions(urlConfig);
+
+			strict.equal(options.locale, "en-US");
+			strict.deepEqual(options.extraHTTPHeaders, {
+				"X-Docs": "1",
+				"X-Lang": "en",
+			});
+		});
+	});
+
+	describe("getProxyResolver", () => {
+		it("should route hosts through their domain proxy", () => {
+			const config = createConfig({
+				proxy: "http://proxy.corp:3128",
+				domains: {
+					"intranet.corp": { proxy: null },
+					"partner.com": { proxy: "socks5://127.0.0.1:1080" },
+				},
+			});
+			const resolveProxy = getProxyResolver(config);
+
+			strict.deepEqual(resolveProxy("https://example.com/"), {
+				server: "http://proxy.corp:3128",
+			});
+			strict.equal(resolveProxy("https://wiki.intranet.corp/"), null);
+			strict.deepEqual(resolveProxy("https://docs.partner.com/"), {
+				server: "socks5://127.0.0.1:1080",
+			});
+		});
+
+		it("should add the proxy to the context options", () => {
+			const config = createConfig({ proxy: "http://u:p@proxy.corp:3128" });
+
+			strict.deepEqual(getContextOptions(config).proxy, {
+				server: "http://proxy.corp:3128",
+				username: "u",
+				password: "p",
+			});
+		});
+	});
+
+	describe("getLaunchOverrides", () => {
+		it("should only override headless when a domain changes it", () => {
+			const config = createConfig({
+				domains: { "sso.example.com": { headless: false } },
+			});
+
+			strict.deepEqual(
+				getLaunchOverrides(
+					config,
+					resolveUrlConfig(config, "https://sso.example.com/"),
+				),
+				{ headless: false },
+			);
+			strict.deepEqual(
+				getLaunchOverrides(config, resolveUrlConfig(config, "https://a.com/")),
+				{},
+			);
+		});
+	});
+});
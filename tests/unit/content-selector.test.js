@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for Content Selector
+ * Tests selection options and selector error handling
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	hasContentSelection,
+	selectContent,
+} from "../../src/core/content-selector.js";
+import { ErrorType } from "../../src/services/error.js";
+
+/**
+ * Creates a fake page returning a fixed in-page selection result
+ * @param {object} result - Value returned by page.evaluate
+ * @returns {object} Fake page recording the evaluate argument
+ */
+function createPage(result) {
+	const page = {
+		evaluate: async (fn, arg) => {
+			page.arg = arg;
+			return result;
+		},
+	};
+	return page;
+}
+
+describe("Content Selector", () => {
+	describe("hasContentSelection", () => {
+		it("should detect content and exclude selectors", () => {
+			strict.equal(hasContentSelection({}), false);
+			strict.equal(hasContentSelection({ contentSelector: "main" }), true);
+			strict.equal(hasContentSelection({ excludeSelectors: [".ad"] }), true);
+		});
+	});
+
+	describe("selectContent", () => {
+		it("should join several content selectors into one query", async () => {
+			const page = createPage({ html: "<main></main>", matched: 1 });
+
+			const result = await selectContent(page, {
+				contentSelector: [".markdown-body", "#content"],
+				excludeSelectors: [".sidebar"],
+			});
+
+			strict.equal(result.html, "<main></main>");
+			strict.deepEqual(page.arg, {
+				html: null,
+				contentSelector: ".markdown-body, #content",
+				excludeSelectors: [".sidebar"],
+			});
+		});
+
+		it("should reject invalid selectors without retrying", async () => {
+			const page = createPage({ invalid: "main >>" });
+
+			await strict.rejects(
+				selectContent(page, { contentSelector: "main >>" }),
+				(error) => {
+					strict.equal(error.code, ErrorType.VALIDATION);
+					strict.equal(error.context.nonRetryable, true);
+					return true;
+				},
+			);
+		});
+	});
+});
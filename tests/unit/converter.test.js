@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Converter Module
+ * Tests HTML to Markdown conversion of expanded content
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	convertToMarkdown,
+	labelTabSections,
+} from "../../src/core/converter.js";
+
+describe("Converter Module", () => {
+	describe("labelTabSections", () => {
+		it("should insert the tab label at the top of each section", () => {
+			const html = labelTabSections(
+				'<section data-scrappe-tab="npm"><pre>npm i</pre></section>',
+			);
+
+			strict.equal(
+				html,
+				'<section data-scrappe-tab="npm"><p><strong>npm</strong></p><pre>npm i</pre></section>',
+			);
+		});
+
+		it("should leave unlabeled sections unchanged", () => {
+			const html = '<section data-scrappe-tab=""><p>Text</p></section>';
+
+			strict.equal(labelTabSections(html), html);
+		});
+	});
+
+	describe("convertToMarkdown", () => {
+		it("should render every captured tab as a labeled section", async () => {
+			const html = `<main><h1>Install</h1><div data-scrappe-tabs="">
+				<section data-scrappe-tab="npm"><pre><code>npm i pkg</code></pre></section>
+				<section data-scrappe-tab="yarn"><pre><code>yarn add pkg</code></pre></section>
+			</div></main>`;
+
+			const { markdown } = await convertToMarkdown(html);
+
+			strict.match(markdown, /\*\*npm\*\*\s+```\s*npm i pkg/);
+			strict.match(markdown, /\*\*yarn\*\*\s+```\s*yarn add pkg/);
+		});
+
+		it("should convert only the detected main content when enabled", async () => {
+			const text = "Configure the client, then restart the server. ".repeat(6);
+			const html = `<body><nav><ul>${'<li><a href="/x">Menu entry</a></li>'.repeat(20)}</ul></nav>
+<article><h1>Setup</h1><p>${text}</p><p>${text}</p></article></body>`;
+
+			const result = await convertToMarkdown(html, {
+				mainContent: { enabled: true, minConfidence: 0.4 },
+			});
+
+			strict.doesNotMatch(result.markdown, /Menu entry/);
+			strict.match(result.markdown, /# Setup/);
+			strict.equal(result.mainContent.selector, "article");
+			strict.equal(result.mainContent.applied, true);
+		});
+
+		it("should keep query strings of links in the main content intact", async () => {
+			const text = "Results are split over several pages of search. ".repeat(6);
+			const html = `<body><nav><ul>${'<li><a href="/x">Menu entry</a></li>'.repeat(20)}</ul></nav>
+<article><h1>Search</h1><p>${text}</p><p>${text} <a href="/search?q=1&amp;page=2">Next page</a></p></article></body>`;
+
+			const result = await convertToMarkdown(html, {
+				mainContent: { enabled: true, minConfidence: 0.4 },
+			});
+
+			const fullPage = await convertToMarkdown(html, {
+				mainContent: { enabled: false },
+			});
+			const link = /\[Next page\]\([^)]*\)/;
+
+			strict.equal(result.mainContent.applied, true);
+			strict.equal(
+				result.markdown.match(link)[0],
+				fullPage.markdown.match(link)[0],
+			);
+			strict.doesNotMatch(result.markdown, /&amp;amp;/);
+		});
+	});
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Crawl Service
+ * Tests URL normalization, crawl scope and queue limits
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	crawl,
+	createCrawlScope,
+	normalizeUrl,
+} from "../../src/services/crawl.js";
+
+/**
+ * Fake site: each URL maps to the links found on that page
+ */
+const SITE = {
+	"https://docs.example.com/docs/": [
+		"https://docs.example.com/docs/a",
+		"https://docs.example.com/docs/b#section",
+		"https://other.example.com/docs/c",
+	],
+	"https://docs.example.com/docs/a": [
+		"https://docs.example.com/docs/",
+		"https://docs.example.com/docs/a/deep",
+	],
+	"https://docs.example.com/docs/b": [],
+	"https://docs.example.com/docs/a/deep": ["https://docs.example.com/docs/z"],
+};
+
+/**
+ * Visits the fake site and records the visit order
+ */
+function createVisitor(visited) {
+	return async (entry) => {
+		visited.push(entry.url);
+		return { result: { url: entry.url }, links: SITE[entry.url] || [] };
+	};
+}
+
+describe("Crawl Service", () => {
+	describe("normalizeUrl", () => {
+		it("should drop the fragment", () => {
+			strict.equal(
+				normalizeUrl("https://example.com/page#install"),
+				"https://example.com/page",
+			);
+		});
+
+		it("should return null for invalid URLs", () => {
+			strict.equal(normalizeUrl("not a url"), null);
+		});
+	});
+
+	describe("createCrawlScope", () => {
+		const seeds = ["https://docs.example.com/docs/"];
+
+		it("should stay on the seed origin by default", () => {
+			const scope = createCrawlScope(seeds);
+
+			strict.equal(scope("https://docs.example.com/blog"), true);
+			strict.equal(scope("https://other.example.com/docs"), false);
+			strict.equal(scope("mailto:team@example.com"), false);
+		});
+
+		it("should follow local links from local seeds", () => {
+			const scope = createCrawlScope(["file:///srv/mirror/index.html"]);
+
+			strict.equal(scope("file:///srv/mirror/guide/install.html"), true);
+			strict.equal(scope("https://docs.example.com/docs/"), false);
+		});
+
+		it("should apply path prefix, include and exclude", () => {
+			const scope = createCrawlScope(seeds, {
+				pathPrefix: "/docs/",
+				include: ["**/docs/**"],
+				exclude: ["**/changelog/**", "/\\.pdf$/"],
+			});
+
+			strict.equal(scope("https://docs.example.com/docs/intro"), true);
+			strict.equal(scope("https://docs.example.com/blog/post"), false);
+			strict.equal(scope("https://docs.example.com/docs/changelog/v1"), false);
+			strict.equal(scope("https://docs.example.com/docs/guide.pdf"), false);
+		});
+	});
+
+	describe("crawl", () => {
+		it("should visit each page once within depth", async () => {
+			const visited = [];
+			const seeds = ["https://docs.example.com/docs/"];
+
+			const results = await crawl(
+				seeds,
+				{ maxDepth: 2, maxPages: 50, scope: createCrawlScope(seeds) },
+				createVisitor(visited),
+			);
+
+			strict.deepEqual(visited, [
+				"https://docs.example.com/docs/",
+				"https://docs.example.com/docs/a",
+				"https://docs.example.com/docs/b",
+				"https://docs.example.com/docs/a/deep",
+			]);
+			strict.equal(results.length, 4);
+		});
+
+		it("should stop queueing at maxPages", async () => {
+			const visited = [];
+			const seeds = ["https://docs.example.com/docs/"];
+
+			await crawl(
+				seeds,
+				{
+					maxDepth: 5,
+					maxPages: 2,
+					concurrency: 3,
+					scope: createCrawlScope(seeds),
+				},
+				createVisitor(visited),
+			);
+
+			strict.equal(visited.length, 2);
+		});
+
+		it("should visit every seed, fragment included, past maxPages", async () => {
+			const visited = [];
+			const seeds = [
+				"https://docs.example.com/docs/",
+				"https://docs.example.com/docs/b#install",
+				"https://docs.example.com/docs/b#config",
+			];
+
+			await crawl(
+				seeds,
+				{ maxDepth: 1, maxPages: 2, scope: createCrawlScope(seeds) },
+				createVisitor(visited),
+			);
+
+			strict.deepEqual(visited, seeds);
+		});
+	});
+});
@@ -0,0 +1,28 @@
+/**
+ * Unit Tests for DOM Flattener
+ * Tests the fallback to page.content() when there is nothing to inline
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { flattenPage } from "../../src/core/dom-flattener.js";
+
+describe("DOM Flattener", () => {
+	describe("flattenPage", () => {
+		it("should return null for pages without shadow roots or iframes", async () => {
+			const page = { evaluate: async () => null };
+
+			strict.equal(await flattenPage(page), null);
+		});
+
+		it("should return the flattened document", async () => {
+			const html =
+				'<!DOCTYPE html>\n<html><body><api-explorer><h2>GET /users</h2></api-explorer><div data-scrappe-iframe="/sandbox"><pre>demo</pre></div></body></html>';
+			const page = {
+				evaluate: async () => ({ html, shadowRoots: 1, iframes: 1 }),
+			};
+
+			strict.equal(await flattenPage(page, "https://example.com/api"), html);
+		});
+	});
+});
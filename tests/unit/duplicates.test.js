@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Duplicates Service
+ * Tests page keys and the captured page registry
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	createDuplicateTracker,
+	getPageKey,
+} from "../../src/services/duplicates.js";
+
+describe("Duplicates Service", () => {
+	describe("getPageKey", () => {
+		it("should give trailing slash and index.html aliases one key", () => {
+			const key = getPageKey("https://example.com/docs");
+
+			strict.equal(getPageKey("https://example.com/docs/"), key);
+			strict.equal(getPageKey("https://example.com/docs/index.html"), key);
+			strict.notEqual(getPageKey("https://example.com/docs?page=2"), key);
+			strict.equal(getPageKey("https://example.com/"), "https://example.com/");
+		});
+	});
+
+	describe("createDuplicateTracker", () => {
+		it("should flag pages reached through a redirect or a canonical link", () => {
+			const tracker = createDuplicateTracker();
+			const url = "https://example.com/docs/";
+
+			strict.equal(tracker.claim(url, { finalUrl: url }).duplicateOf, null);
+			strict.equal(
+				tracker.claim("https://example.com/old-docs", { finalUrl: url })
+					.duplicateOf,
+				url,
+			);
+			strict.equal(
+				tracker.claim("https://example.com/docs?ref=nav", {
+					finalUrl: "https://example.com/docs?ref=nav",
+					canonical: "https://example.com/docs",
+				}).duplicateOf,
+				url,
+			);
+		});
+
+		it("should capture each section of a page under fragment sections", () => {
+			const tracker = createDuplicateTracker();
+
+			strict.equal(
+				tracker.claim("https://ex.com/page#install").duplicateOf,
+				null,
+			);
+			strict.equal(
+				tracker.claim("https://ex.com/page#config").duplicateOf,
+				null,
+			);
+			strict.equal(tracker.claim("https://ex.com/page").duplicateOf, null);
+			strict.equal(
+				tracker.claim("https://ex.com/page/#config").duplicateOf,
+				"https://ex.com/page#config",
+			);
+		});
+
+		it("should ignore fragments without fragment sections", () => {
+			const tracker = createDuplicateTracker();
+			const options = { fragmentSections: false };
+
+			tracker.claim("https://ex.com/page#install", {}, options);
+
+			strict.equal(
+				tracker.claim("https://ex.com/page#config", {}, options).duplicateOf,
+				"https://ex.com/page#install",
+			);
+		});
+
+		it("should let another alias capture a released page", () => {
+			const tracker = createDuplicateTracker();
+
+			tracker.claim("https://example.com/a").release();
+
+			strict.equal(tracker.claim("https://example.com/a/").duplicateOf, null);
+		});
+	});
+});
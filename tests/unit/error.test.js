@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for Error Service
+ * Tests HTTP error creation, classification and retry decisions
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	ErrorType,
+	ScrapingError,
+	classifyError,
+	createHttpError,
+	createProxyError,
+	isProxyError,
+	isRetryableError,
+} from "../../src/services/error.js";
+
+describe("Error Service", () => {
+	describe("createHttpError", () => {
+		it("should carry status, final URL and headers", () => {
+			const error = createHttpError({
+				url: "https://example.com/old",
+				finalUrl: "https://example.com/new",
+				status: 404,
+				statusText: "Not Found",
+				headers: { "content-type": "text/html" },
+			});
+
+			strict.ok(error instanceof ScrapingError);
+			strict.equal(error.status, 404);
+			strict.equal(error.code, ErrorType.HTTP);
+			strict.equal(error.context.finalUrl, "https://example.com/new");
+			strict.equal(error.context.headers["content-type"], "text/html");
+			strict.equal(error.toJSON().status, 404);
+		});
+
+		it("should not retry 404 and 410", () => {
+			for (const status of [404, 410]) {
+				const error = createHttpError({ url: "https://example.com", status });
+				strict.equal(isRetryableError(error), false);
+			}
+		});
+
+		it("should retry 429 and 5xx", () => {
+			for (const status of [429, 500, 501, 503]) {
+				const error = createHttpError({ url: "https://example.com", status });
+				strict.equal(isRetryableError(error), true);
+			}
+		});
+	});
+
+	describe("classifyError", () => {
+		it("should classify HTTP statuses", () => {
+			strict.equal(classifyError({ status: 429 }), ErrorType.RATE_LIMIT);
+			strict.equal(classifyError({ status: 503 }), ErrorType.NETWORK);
+			strict.equal(classifyError({ status: 404 }), ErrorType.HTTP);
+		});
+
+		it("should classify Playwright timeouts", () => {
+			const error = new Error("Timeout 8000ms exceeded");
+			error.name = "TimeoutError";
+
+			strict.equal(classifyError(error), ErrorType.TIMEOUT);
+		});
+	});
+
+	describe("isProxyError", () => {
+		it("should recognize Chromium proxy failures", () => {
+			for (const message of [
+				"page.goto: net::ERR_PROXY_CONNECTION_FAILED at https://example.com",
+				"page.goto: net::ERR_TUNNEL_CONNECTION_FAILED at https://example.com",
+				"page.goto: net::ERR_SOCKS_CONNECTION_FAILED at https://example.com",
+			]) {
+				strict.equal(isProxyError(new Error(message)), true);
+				strict.equal(classifyError(new Error(message)), ErrorType.PROXY);
+			}
+		});
+
+		it("should not flag site outages", () => {
+			const error = new Error(
+				"page.goto: net::ERR_CONNECTION_REFUSED at https://example.com",
+			);
+
+			strict.equal(isProxyError(error), false);
+		});
+
+		it("should classify 407 responses as proxy errors that are not retried", () => {
+			const error = createHttpError({
+				url: "https://example.com",
+				status: 407,
+			});
+
+			strict.equal(error.code, ErrorType.PROXY);
+			strict.equal(isRetryableError(error), false);
+		});
+
+		it("should retry proxy outages", () => {
+			const error = createProxyError(new Error("ERR_PROXY_CONNECTION_FAILED"), {
+				url: "https://example.com",
+				proxy: "http://proxy.corp:3128",
+			});
+
+			strict.equal(error.code, ErrorType.PROXY);
+			strict.equal(isRetryableError(error), true);
+		});
+	});
+
+	describe("isRetryableError", () => {
+		it("should retry pages and browsers that crashed", () => {
+			for (const message of [
+				"page.goto: Target closed",
+				"browserContext.newPage: Browser has been closed",
+				"page.content: Target page, context or browser has been closed",
+			]) {
+				strict.equal(isRetryableError(new Error(message)), true);
+			}
+			strict.equal(isRetryableError(new Error("Unexpected token")), false);
+		});
+	});
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for Fetcher Module
+ * Tests JS-rendered page detection, static link extraction, HTML fetching and local files
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { pathToFileURL } from "node:url";
+import {
+	detectFlattenable,
+	detectJsRendered,
+	extractCanonicalFromHtml,
+	extractLinksFromHtml,
+	extractNextLinkFromHtml,
+	extractTitle,
+	fetchHtml,
+	isHtmlContentType,
+	readHtmlFile,
+} from "../../src/core/fetcher.js";
+import { ErrorType } from "../../src/services/error.js";
+
+const ARTICLE = `<html><head><title>Docs &amp; Guides</title></head><body>
+<main><h1>Guide</h1><p>${"Static content rendered on the server. ".repeat(10)}</p></main>
+</body></html>`;
+
+const LATIN1_PAGE =
+	'<html><head><meta charset="windows-1252"></head><body><p>Déjà vu</p></body></html>';
+
+describe("Fetcher Module", () => {
+	describe("detectJsRendered", () => {
+		it("should accept server-rendered pages", () => {
+			strict.equal(detectJsRendered(ARTICLE), null);
+		});
+
+		it("should flag empty framework mount points", () => {
+			const html = `<body><div id="__next"></div><script src="/app.js"></script></body>`;
+			strict.equal(detectJsRendered(html), "app-root");
+		});
+
+		it("should flag bodies with almost no text", () => {
+			const html = `<body><noscript>${"Enable JavaScript. ".repeat(20)}</noscript><p>Loading</p></body>`;
+			strict.equal(detectJsRendered(html), "empty-body");
+		});
+	});
+
+	describe("detectFlattenable", () => {
+		const url = "https://docs.example.com/guide/";
+
+		it("should flag same-origin frames and declarative shadow roots", () => {
+			strict.equal(
+				detectFlattenable('<iframe src="/embed/api.html"></iframe>', url),
+				"frames",
+			);
+			strict.equal(
+				detectFlattenable('<iframe srcdoc="<p>Demo</p>"></iframe>', url),
+				"frames",
+			);
+			strict.equal(
+				detectFlattenable(
+					'<x-card><template shadowrootmode="open"><p>Card</p></template></x-card>',
+					url,
+				),
+				"shadow-root",
+			);
+		});
+
+		it("should ignore cross-origin frames", () => {
+			strict.equal(
+				detectFlattenable(
+					`${ARTICLE}<iframe src="https://www.youtube.com/embed/x"></iframe>`,
+					url,
+				),
+				null,
+			);
+		});
+	});
+
+	describe("extractTitle", () => {
+		it("should decode entities in the title", () => {
+			strict.equal(extractTitle(ARTICLE), "Docs & Guides");
+		});
+	});
+
+	describe("extractLinksFromHtml", () => {
+		it("should resolve links against <base href>", () => {
+			const html = `<base href="https://example.com/docs/">
+<a href="intro">Intro</a><a class="x" href='/api?a=1&amp;b=2'>API</a><a href="intro">Again</a>`;
+
+			strict.deepEqual(extractLinksFromHtml(html, "https://example.com/"), [
+				"https://example.com/docs/intro",
+				"https://example.com/api?a=1&b=2",
+			]);
+		});
+	});
+
+	describe("extractNextLinkFromHtml", () => {
+		it("should find rel=next links among other rel values", () => {
+			const html = `<link rel="canonical" href="/guide">
+<a href="/guide?page=1">1</a><a rel="nofollow next" href="?page=3&amp;sort=asc">Next</a>`;
+
+			strict.equal(
+				extractNextLinkFromHtml(html, "https://example.com/guide?page=2"),
+				"https://example.com/guide?page=3&sort=asc",
+			);
+			strict.equal(
+				extractNextLinkFromHtml("<p>End</p>", "https://example.com/"),
+				null,
+			);
+		});
+	});
+
+	describe("extractCanonicalFromHtml", () => {
+		it("should resolve the canonical link of the document", () => {
+			strict.equal(
+				extractCanonicalFromHtml(
+					'<link rel="stylesheet" href="/a.css"><link href="/guide/" rel="canonical">',
+					"https://example.com/guide/index.html",
+				),
+				"https://example.com/guide/",
+			);
+		});
+	});
+
+	describe("isHtmlContentType", () => {
+		it("should accept HTML and reject other documents", () => {
+			strict.equal(isHtmlContentType("text/html; charset=utf-8"), true);
+			strict.equal(isHtmlContentType("application/pdf"), false);
+		});
+	});
+
+	describe("fetchHtml", () => {
+		let server;
+		let baseUrl;
+		let lastHeaders;
+
+		before(async () => {
+			server = createServer((req, res) => {
+				lastHeaders = req.headers;
+				if (req.url === "/moved") {
+					res.writeHead(301, { location: "/article" });
+					res.end();
+				} else if (req.url === "/article") {
+					res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+					res.end(ARTICLE);
+				} else if (req.url === "/latin1") {
+					res.writeHead(200, {
+						"content-type": "text/html; charset=ISO-8859-1",
+					});
+					res.end(Buffer.from("<p>Café crème</p>", "latin1"));
+				} else if (req.url === "/meta-charset") {
+					res.writeHead(200, { "content-type": "text/html" });
+					res.end(Buffer.from(LATIN1_PAGE, "latin1"));
+				} else {
+					res.writeHead(404);
+					res.end();
+				}
+			});
+			await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		after(() => server.close());
+
+		it("should follow redirects and send the emulated headers", async () => {
+			const fetched = await fetchHtml(`${baseUrl}/moved`, {
+				userAgent: "TestAgent/1.0",
+				locale: "fr-FR",
+				headers: { "x-token": "abc" },
+			});
+
+			strict.equal(fetched.finalUrl, `${baseUrl}/article`);
+			strict.deepEqual(fetched.redirects, [`${baseUrl}/moved`]);
+			strict.equal(fetched.html, ARTICLE);
+			strict.equal(lastHeaders["user-agent"], "TestAgent/1.0");
+			strict.equal(lastHeaders["accept-language"], "fr-FR");
+			strict.equal(lastHeaders["x-token"], "abc");
+		});
+
+		it("should decode the body with the declared charset", async () => {
+			const header = await fetchHtml(`${baseUrl}/latin1`);
+			const meta = await fetchHtml(`${baseUrl}/meta-charset`);
+
+			strict.equal(header.html, "<p>Café crème</p>");
+			strict.equal(meta.html, LATIN1_PAGE);
+		});
+
+		it("should throw HTTP errors for error statuses", async () => {
+			await strict.rejects(fetchHtml(`${baseUrl}/missing`), {
+				code: ErrorType.HTTP,
+			});
+		});
+	});
+
+	describe("readHtmlFile", () => {
+		let dir;
+
+		before(async () => {
+			dir = await mkdtemp(join(tmpdir(), "scrappe-fetcher-"));
+			await mkdir(join(dir, "guide"));
+			await writeFile(join(dir, "guide/index.html"), ARTICLE);
+			await writeFile(join(dir, "logo.png"), "png");
+			await writeFile(join(dir, "legacy.html"), LATIN1_PAGE, "latin1");
+		});
+
+		after(async () => {
+			await rm(dir, { recursive: true, force: true });
+		});
+
+		it("should read the index.html of a directory", async () => {
+			const file = await readHtmlFile(
+				`${pathToFileURL(join(dir, "guide")).href}/#intro`,
+			);
+
+			strict.equal(file.html, ARTICLE);
+			strict.equal(file.path, join(dir, "guide/index.html"));
+		});
+
+		it("should decode files with their <meta> charset", async () => {
+			const file = await readHtmlFile(
+				pathToFileURL(join(dir, "legacy.html")).href,
+			);
+
+			strict.equal(file.html, LATIN1_PAGE);
+		});
+
+		it("should reject missing and non-HTML files", async () => {
+			await strict.rejects(
+				readHtmlFile(pathToFileURL(join(dir, "missing.html")).href),
+				{ code: ErrorType.VALIDATION },
+			);
+			await strict.rejects(
+				readHtmlFile(pathToFileURL(join(dir, "logo.png")).href),
+				{ code: ErrorType.VALIDATION },
+			);
+		});
+	});
+});
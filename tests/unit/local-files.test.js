@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for Local Files Service
+ * Tests local entry detection and expansion of paths, directories and globs
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { pathToFileURL } from "node:url";
+import {
+	expandLocalEntries,
+	expandLocalEntry,
+	isLocalEntry,
+} from "../../src/services/local-files.js";
+
+describe("Local Files Service", () => {
+	let dir;
+	const fileUrl = (path) => pathToFileURL(join(dir, path)).href;
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), "scrappe-local-"));
+		await mkdir(join(dir, "docs/guide"), { recursive: true });
+		await writeFile(join(dir, "docs/index.html"), "<h1>Docs</h1>");
+		await writeFile(join(dir, "docs/guide/install.html"), "<h1>Install</h1>");
+		await writeFile(join(dir, "docs/guide/logo.png"), "png");
+	});
+
+	after(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	describe("isLocalEntry", () => {
+		it("should treat file URLs and paths as local", () => {
+			strict.equal(isLocalEntry("file:///srv/docs/index.html"), true);
+			strict.equal(isLocalEntry("./mirror/docs"), true);
+			strict.equal(isLocalEntry("/srv/docs/**/*.html"), true);
+			strict.equal(isLocalEntry("C:\\docs\\index.html"), true);
+			strict.equal(isLocalEntry("https://example.com/docs"), false);
+		});
+
+		it("should leave entries starting with a host name to URL validation", () => {
+			strict.equal(isLocalEntry("example.com/docs", dir), false);
+			strict.equal(isLocalEntry("docs.example.com", dir), false);
+			strict.equal(isLocalEntry("index.html", dir), true);
+			strict.equal(isLocalEntry("docs/index.html", dir), true);
+		});
+	});
+
+	describe("expandLocalEntry", () => {
+		it("should list the HTML files of a directory", async () => {
+			strict.deepEqual(await expandLocalEntry("docs", dir), [
+				fileUrl("docs/guide/install.html"),
+				fileUrl("docs/index.html"),
+			]);
+		});
+
+		it("should match globs, ** included at the top level", async () => {
+			strict.deepEqual(await expandLocalEntry("docs/**/index.html", dir), [
+				fileUrl("docs/index.html"),
+			]);
+			strict.deepEqual(await expandLocalEntry(`${dir}/docs/*/*.html`), [
+				fileUrl("docs/guide/install.html"),
+			]);
+		});
+
+		it("should keep the fragment of a file URL", async () => {
+			const url = `${fileUrl("docs/guide/install.html")}#linux`;
+
+			strict.deepEqual(await expandLocalEntry(url), [url]);
+		});
+
+		it("should return nothing for missing paths", async () => {
+			strict.deepEqual(await expandLocalEntry("missing.html", dir), []);
+		});
+	});
+
+	describe("expandLocalEntries", () => {
+		it("should expand local entries in place and keep remote URLs", async () => {
+			strict.deepEqual(
+				await expandLocalEntries(
+					[
+						"https://example.com/a",
+						"docs/guide",
+						"https://example.com/b",
+						"example.com/c",
+					],
+					dir,
+				),
+				[
+					"https://example.com/a",
+					fileUrl("docs/guide/install.html"),
+					"https://example.com/b",
+					"example.com/c",
+				],
+			);
+		});
+	});
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Main Content Module
+ * Tests main content scoring, confidence fallback and HTML output
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	buildTree,
+	extractMainContent,
+	findMainContent,
+	serialize,
+} from "../../src/core/main-content.js";
+
+const SENTENCE =
+	"This guide explains the setup, the options and the common pitfalls. ";
+
+/**
+ * Builds a documentation page with navigation chrome around an article
+ * @param {string} article - Article HTML
+ * @returns {string} HTML document
+ */
+function docsPage(article) {
+	const links = (label, count) =>
+		`<ul>${`<li><a href="/x">${label}</a></li>`.repeat(count)}</ul>`;
+	return `<html><head><title>Install &amp; Setup</title></head><body>
+<header><nav>${links("Top navigation entry", 20)}</nav></header>
+<aside class="sidebar">${links("Sidebar entry", 30)}</aside>
+<main>${article}</main>
+<footer><p>Copyright 2026, Example Inc. All rights reserved.</p></footer>
+<script>const tpl = "<p>";</script>
+</body></html>`;
+}
+
+describe("Main Content Module", () => {
+	describe("findMainContent", () => {
+		it("should pick the article over navigation and sidebars", () => {
+			const html = docsPage(
+				`<article class="docs-content"><h1>Install</h1><p>${SENTENCE.repeat(4)}</p><p>${SENTENCE.repeat(3)}</p></article>`,
+			);
+
+			const detected = findMainContent(html);
+
+			strict.equal(detected.selector, "article.docs-content");
+			strict.ok(detected.confidence > 0.8);
+		});
+
+		it("should return null for pages without paragraphs", () => {
+			strict.equal(findMainContent("<body><a href='/'>Home</a></body>"), null);
+		});
+	});
+
+	describe("extractMainContent", () => {
+		it("should keep the head and only the detected region", () => {
+			const html = docsPage(
+				`<article><h1>Install</h1><p>${SENTENCE.repeat(4)}</p><pre><code>npm i &lt;pkg&gt;</code></pre></article>`,
+			);
+
+			const result = extractMainContent(html);
+
+			strict.equal(result.applied, true);
+			strict.match(result.html, /<title>Install &amp; Setup<\/title>/);
+			strict.match(result.html, /npm i &lt;pkg&gt;/);
+			strict.doesNotMatch(result.html, /Sidebar entry|Copyright|<script/);
+		});
+
+		it("should keep the full page below the minimum confidence", () => {
+			const html = `<body><div class="post"><p>${SENTENCE}</p></div>
+<div class="post"><p>${SENTENCE}</p></div><div class="post"><p>${SENTENCE}</p></div></body>`;
+
+			const result = extractMainContent(html, { minConfidence: 0.5 });
+
+			strict.equal(result.applied, false);
+			strict.equal(result.html, html);
+		});
+	});
+
+	describe("serialize", () => {
+		it("should escape attribute values once", () => {
+			const html =
+				'<p title="&quot;Tips&quot; &copy;"><a href="?a=1&amp;b=2&c=3">x &amp; y</a></p>';
+
+			strict.equal(serialize(buildTree(html)), html.replace("&c=", "&amp;c="));
+			strict.equal(
+				serialize(buildTree(serialize(buildTree(html)))),
+				serialize(buildTree(html)),
+			);
+		});
+	});
+});
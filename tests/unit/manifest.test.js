@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Manifest Service
+ * Tests manifest entries and the written manifest file
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+	createManifestEntry,
+	writeManifest,
+} from "../../src/services/manifest.js";
+
+const OUTPUT_DIR = "/tmp/captures/run";
+
+const written = {
+	success: true,
+	url: "https://docs.example.com/guide/install",
+	scraped: {
+		title: "Install",
+		engine: "browser",
+		blocked: { total: 3, byType: { image: 3 } },
+	},
+	converted: { mainContent: { selector: "article", confidence: 0.9 } },
+	written: { skipped: false, filepath: `${OUTPUT_DIR}/example-com-guide.md` },
+	captures: { screenshot: `${OUTPUT_DIR}/example-com-guide.png` },
+};
+
+describe("Manifest Service", () => {
+	describe("createManifestEntry", () => {
+		it("should list files relative to the output directory", () => {
+			const entry = createManifestEntry(written, OUTPUT_DIR);
+
+			strict.equal(entry.status, "written");
+			strict.equal(entry.file, "example-com-guide.md");
+			strict.equal(entry.screenshot, "example-com-guide.png");
+			strict.equal(entry.pdf, null);
+			strict.equal(entry.title, "Install");
+			strict.deepEqual(entry.blocked, { total: 3, byType: { image: 3 } });
+		});
+
+		it("should describe failed and skipped URLs", () => {
+			const failed = createManifestEntry(
+				{
+					success: false,
+					url: "https://docs.example.com/missing",
+					status: 404,
+					error: { code: "HTTP_ERROR", message: "HTTP 404" },
+				},
+				OUTPUT_DIR,
+			);
+			const skipped = createManifestEntry(
+				{ success: false, skipReason: "robots", url: "https://x.com/p" },
+				OUTPUT_DIR,
+			);
+
+			strict.equal(failed.status, "failed");
+			strict.equal(failed.httpStatus, 404);
+			strict.deepEqual(skipped, {
+				url: "https://x.com/p",
+				status: "skipped",
+				reason: "robots",
+			});
+		});
+	});
+
+	describe("writeManifest", () => {
+		let dir;
+
+		before(async () => {
+			dir = await mkdtemp(join(tmpdir(), "scrappe-manifest-"));
+		});
+
+		after(async () => {
+			await rm(dir, { recursive: true, force: true });
+		});
+
+		it("should write manifest.json in the output directory", async () => {
+			const filepath = await writeManifest(
+				[
+					{
+						...written,
+						written: { ...written.written, filepath: join(dir, "a.md") },
+					},
+				],
+				{ wallDuration: 1200 },
+				dir,
+			);
+			const manifest = JSON.parse(await readFile(filepath, "utf8"));
+
+			strict.equal(filepath, join(dir, "manifest.json"));
+			strict.equal(manifest.wallDuration, 1200);
+			strict.equal(manifest.pages[0].file, "a.md");
+		});
+
+		it("should list duplicates as aliases of the captured page", async () => {
+			const alias = "https://docs.example.com/guide/install/index.html";
+			const filepath = await writeManifest(
+				[
+					{
+						...written,
+						finalUrl: written.url,
+						canonical: written.url,
+						written: { ...written.written, filepath: join(dir, "a.md") },
+					},
+					{
+						success: false,
+						skipped: true,
+						skipReason: "duplicate",
+						duplicateOf: written.url,
+						url: alias,
+						finalUrl: alias,
+						redirects: [],
+						canonical: written.url,
+					},
+				],
+				{},
+				dir,
+			);
+			const [page, duplicate] = JSON.parse(
+				await readFile(filepath, "utf8"),
+			).pages;
+
+			strict.deepEqual(page.aliases, [alias]);
+			strict.equal(page.canonical, written.url);
+			strict.equal(duplicate.reason, "duplicate");
+			strict.equal(duplicate.duplicateOf, written.url);
+		});
+
+		it("should keep the captures of pages that already existed", async () => {
+			const page = {
+				...written,
+				written: { skipped: false, filepath: join(dir, "a.md") },
+				captures: {
+					screenshot: join(dir, "a.png"),
+					html: join(dir, "a.html.gz"),
+				},
+			};
+			await writeManifest([page], {}, dir);
+
+			const filepath = await writeManifest(
+				[
+					{
+						...page,
+						written: { skipped: true, filepath: join(dir, "a.md") },
+						captures: {},
+					},
+				],
+				{},
+				dir,
+			);
+			const [entry] = JSON.parse(await readFile(filepath, "utf8")).pages;
+
+			strict.equal(entry.status, "exists");
+			strict.equal(entry.screenshot, "a.png");
+			strict.equal(entry.html, "a.html.gz");
+			strict.equal(entry.pdf, null);
+		});
+	});
+});
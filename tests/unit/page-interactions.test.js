@@ -0,0 +1,310 @@
+/**
+ * Unit Tests for Page Interactions
+ * Tests auto-scroll stop conditions, in-page option handling and the
+ * in-page functions on a jsdom document
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { JSDOM } from "jsdom";
+import {
+	autoScroll,
+	dismissConsent,
+	expandCollapsed,
+} from "../../src/core/page-interactions.js";
+import { ErrorType } from "../../src/services/error.js";
+
+/**
+ * Creates a fake page whose document grows while it is scrolled
+ * @param {number[]} heights - Document height reported after each scroll
+ * @returns {object} Fake page
+ */
+function createScrollingPage(heights) {
+	let step = 0;
+	return {
+		evaluate: async () => {
+			const height = heights[Math.min(step, heights.length - 1)];
+			step++;
+			// Bottom is reached once the growth stops
+			return { height, bottom: step >= heights.length };
+		},
+		waitForTimeout: async () => {},
+	};
+}
+
+/**
+ * Creates a fake page running evaluated functions against a jsdom document
+ * Tabs switch the panel they control (aria-controls) when clicked
+ *
+ * @param {string} html - Body HTML
+ * @returns {object} Fake page { evaluate, document }
+ */
+function createDomPage(html) {
+	const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+	const { document } = window;
+
+	for (const tab of document.querySelectorAll('[role="tab"]')) {
+		tab.addEventListener("click", () => {
+			for (const other of tab.closest('[role="tablist"]').children) {
+				const target = other.querySelector('[role="tab"]') ?? other;
+				const panel = document.getElementById(
+					target.getAttribute("aria-controls"),
+				);
+				if (panel) panel.hidden = target !== tab;
+			}
+		});
+	}
+
+	return {
+		document,
+		evaluate: async (fn, arg) => {
+			globalThis.document = document;
+			try {
+				return await fn(arg);
+			} finally {
+				globalThis.document = undefined;
+			}
+		},
+	};
+}
+
+describe("Page Interactions", () => {
+	describe("autoScroll", () => {
+		it("should stop once the page height stops growing", async () => {
+			const page = createScrollingPage([1000, 2000, 3000, 3000]);
+
+			const result = await autoScroll(page, { stepDelay: 0 });
+
+			strict.equal(result.reason, "stable");
+			strict.equal(result.height, 3000);
+			strict.equal(result.steps, 4);
+		});
+
+		it("should stop after maxSteps on endless pages", async () => {
+			const heights = Array.from({ length: 100 }, (_, i) => (i + 1) * 1000);
+			const page = createScrollingPage(heights);
+
+			const result = await autoScroll(page, { maxSteps: 5, stepDelay: 0 });
+
+			strict.equal(result.reason, "maxSteps");
+			strict.equal(result.steps, 5);
+		});
+
+		it("should stop after maxDuration", async () => {
+			const heights = Array.from({ length: 100 }, (_, i) => (i + 1) * 1000);
+			const page = createScrollingPage(heights);
+			page.waitForTimeout = (ms) =>
+				new Promise((resolve) => setTimeout(resolve, ms));
+
+			const result = await autoScroll(page, {
+				maxSteps: 100,
+				maxDuration: 60,
+				stepDelay: 25,
+			});
+
+			strict.equal(result.reason, "maxDuration");
+			strict.equal(result.steps < 10, true);
+		});
+	});
+
+	describe("expandCollapsed", () => {
+		it("should run the expansion in the page with resolved options", async () => {
+			let received = null;
+			const page = {
+				evaluate: async (fn, options) => {
+					received = options;
+					return { details: 2, accordions: 0, tabGroups: 1, tabs: 3 };
+				},
+			};
+
+			const counts = await expandCollapsed(page, {
+				tabLists: ['[role="tablist"]'],
+			});
+
+			strict.equal(counts.tabs, 3);
+			strict.deepEqual(received, {
+				tabLists: ['[role="tablist"]'],
+				tabs: '[role="tab"]',
+				panels: '[role="tabpanel"]',
+				accordions: [],
+				tabDelay: 50,
+			});
+		});
+
+		it("should replace only the tab list and its panels", async () => {
+			const page = createDomPage(`<main><article>
+				<h1>Install</h1><p>Pick a package manager.</p>
+				<ul role="tablist">
+					<li><button role="tab" aria-controls="npm">npm</button></li>
+					<li><button role="tab" aria-controls="yarn">yarn</button></li>
+				</ul>
+				<div class="tab-content">
+					<div role="tabpanel" id="npm">npm i pkg</div>
+					<div role="tabpanel" id="yarn" hidden>yarn add pkg</div>
+				</div>
+				<p>Then restart the server.</p>
+			</article></main>`);
+
+			const counts = await expandCollapsed(page, {
+				tabLists: ['[role="tablist"]'],
+				tabDelay: 0,
+			});
+
+			const article = page.document.querySelector("article");
+			strict.deepEqual(counts, {
+				details: 0,
+				accordions: 0,
+				tabGroups: 1,
+				tabs: 2,
+			});
+			strict.match(article.textContent, /Pick a package manager\./);
+			strict.match(article.textContent, /Then restart the server\./);
+			strict.equal(article.querySelectorAll('[role="tabpanel"]').length, 2);
+			strict.deepEqual(
+				[...article.querySelectorAll("[data-scrappe-tab]")].map((section) => [
+					section.getAttribute("data-scrappe-tab"),
+					section.textContent.trim(),
+				]),
+				[
+					["npm", "npm i pkg"],
+					["yarn", "yarn add pkg"],
+				],
+			);
+			strict.equal(article.querySelector('[role="tablist"]'), null);
+			strict.equal(article.querySelector("[data-scrappe-tabs] [hidden]"), null);
+		});
+
+		it("should not click tabs that link to other pages", async () => {
+			const page = createDomPage(`<nav><div role="tablist">
+				<a role="tab" href="/guide/install" aria-controls="current">Install</a>
+				<a role="tab" href="/guide/config">Config</a>
+			</div>
+			<div role="tabpanel" id="current">Install the package.</div></nav>`);
+			const clicked = [];
+			page.document.addEventListener("click", (event) => {
+				event.preventDefault();
+				clicked.push(event.target.textContent);
+			});
+
+			const counts = await expandCollapsed(page, {
+				tabLists: ['[role="tablist"]'],
+				tabDelay: 0,
+			});
+
+			strict.deepEqual(clicked, []);
+			strict.equal(counts.tabGroups, 0);
+			strict.notEqual(page.document.querySelector('[role="tablist"]'), null);
+		});
+
+		it("should wait for the page when expanding navigated away", async () => {
+			const waited = [];
+			const page = {
+				evaluate: async () => {
+					throw new Error(
+						"page.evaluate: Execution context was destroyed, most likely because of a navigation",
+					);
+				},
+				waitForLoadState: async (state) => waited.push(state),
+			};
+
+			const counts = await expandCollapsed(page);
+
+			strict.deepEqual(waited, ["load"]);
+			strict.equal(counts.reloaded, true);
+		});
+
+		it("should open details and leave pages without tabs unchanged", async () => {
+			const page = createDomPage(
+				"<article><p>Intro</p><details><summary>More</summary>Hidden</details></article>",
+			);
+
+			const counts = await expandCollapsed(page, {
+				tabLists: ['[role="tablist"]'],
+				tabDelay: 0,
+			});
+
+			strict.equal(counts.details, 1);
+			strict.equal(page.document.querySelector("details").open, true);
+			strict.match(page.document.body.textContent, /Intro/);
+		});
+	});
+
+	describe("dismissConsent", () => {
+		it("should pass the site selectors and known frameworks to the page", async () => {
+			let received = null;
+			const page = {
+				evaluate: async (fn, options) => {
+					received = options;
+					return { framework: "custom", action: null, removed: 1 };
+				},
+			};
+
+			const result = await dismissConsent(page, {
+				selectors: ["#cookie-bar .close"],
+				remove: ["#cookie-bar"],
+			});
+
+			strict.equal(result.framework, "custom");
+			strict.deepEqual(received.selectors, ["#cookie-bar .close"]);
+			strict.deepEqual(received.remove, ["#cookie-bar"]);
+			strict.equal(received.prefer, "reject");
+			strict.equal(
+				received.frameworks.some((entry) => entry.name === "onetrust"),
+				true,
+			);
+			strict.equal(received.labels.reject.includes("tout refuser"), true);
+		});
+
+		it("should click consent buttons but not consent links", async () => {
+			const page = createDomPage(`<main><article><p>Docs</p></article></main>
+				<div id="cookie-banner">
+					<a href="/cookie-policy">Reject all</a>
+					<button id="reject">Reject all</button>
+				</div>`);
+			const { Element } = page.document.defaultView;
+			Element.prototype.getClientRects = () => [{}];
+			let clicked = null;
+			page.document.addEventListener("click", (event) => {
+				event.preventDefault();
+				clicked ??= event.target;
+			});
+
+			const result = await dismissConsent(page, { delay: 0 });
+
+			strict.equal(result.framework, "generic");
+			strict.equal(clicked.id, "reject");
+			strict.equal(page.document.getElementById("cookie-banner"), null);
+		});
+
+		it("should wait for the page a consent click reloaded", async () => {
+			const waited = [];
+			const page = {
+				evaluate: async () => {
+					throw new Error(
+						"page.evaluate: Execution context was destroyed, most likely because of a navigation",
+					);
+				},
+				waitForLoadState: async (state) => waited.push(state),
+			};
+
+			const result = await dismissConsent(page);
+
+			strict.deepEqual(waited, ["load"]);
+			strict.equal(result.reloaded, true);
+			strict.equal(result.framework, null);
+		});
+
+		it("should fail without retry on an invalid selector", async () => {
+			const page = { evaluate: async () => ({ invalid: "#[bad" }) };
+
+			await strict.rejects(
+				dismissConsent(page, { selectors: ["#[bad"] }, "https://example.com"),
+				(error) => {
+					strict.equal(error.code, ErrorType.VALIDATION);
+					strict.equal(error.context.nonRetryable, true);
+					return true;
+				},
+			);
+		});
+	});
+});
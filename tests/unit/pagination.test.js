@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for Pagination Module
+ * Tests next page lookup options and Markdown merging
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { findNextPage, mergePageMarkdown } from "../../src/core/pagination.js";
+import { ErrorType } from "../../src/services/error.js";
+
+describe("Pagination Module", () => {
+	describe("findNextPage", () => {
+		it("should try the site selectors before rel=next", async () => {
+			let received = null;
+			const page = {
+				evaluate: async (fn, selectors) => {
+					received = selectors;
+					return { href: "https://example.com/guide?page=2" };
+				},
+			};
+
+			const next = await findNextPage(page, { selectors: [".pager a.next"] });
+
+			strict.equal(next, "https://example.com/guide?page=2");
+			strict.equal(received[0], ".pager a.next");
+			strict.equal(received.length > 1, true);
+		});
+
+		it("should fail without retry on an invalid selector", async () => {
+			const page = { evaluate: async () => ({ invalid: "a[" }) };
+
+			await strict.rejects(
+				findNextPage(page, { selectors: ["a["] }),
+				(error) => {
+					strict.equal(error.code, ErrorType.VALIDATION);
+					strict.equal(error.context.nonRetryable, true);
+					return true;
+				},
+			);
+		});
+	});
+
+	describe("mergePageMarkdown", () => {
+		it("should join pages in order with a horizontal rule", () => {
+			strict.equal(
+				mergePageMarkdown(["# Guide\n\nPart one.\n", "Part two.\n\n", ""]),
+				"# Guide\n\nPart one.\n\n---\n\nPart two.\n",
+			);
+		});
+
+		it("should drop the title line repeated by every page", () => {
+			strict.equal(
+				mergePageMarkdown(["Guide\n\n## Part 1", "Guide\n\n## Part 2"]),
+				"Guide\n\n## Part 1\n\n---\n\n## Part 2\n",
+			);
+		});
+	});
+});
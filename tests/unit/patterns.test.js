@@ -0,0 +1,43 @@
+/**
+ * Unit Tests for Patterns Utility
+ * Tests glob and regular expression URL matching
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { globToRegExp, matchesAny } from "../../src/utils/patterns.js";
+
+describe("Patterns Utility", () => {
+	describe("globToRegExp", () => {
+		it("should match ** across path segments", () => {
+			const regex = globToRegExp("**/docs/**");
+
+			strict.ok(regex.test("https://example.com/docs/guide/intro"));
+			strict.ok(!regex.test("https://example.com/blog/post"));
+		});
+
+		it("should keep * within a single segment", () => {
+			const regex = globToRegExp("https://example.com/*/intro");
+
+			strict.ok(regex.test("https://example.com/docs/intro"));
+			strict.ok(!regex.test("https://example.com/docs/v2/intro"));
+		});
+
+		it("should support {a,b} alternatives", () => {
+			const regex = globToRegExp("**/*.{png,svg}");
+
+			strict.ok(regex.test("https://example.com/logo.svg"));
+			strict.ok(!regex.test("https://example.com/page.html"));
+		});
+	});
+
+	describe("matchesAny", () => {
+		it("should accept /regex/ patterns", () => {
+			strict.ok(matchesAny("https://example.com/v2/api", ["/\\/v\\d+\\//"]));
+		});
+
+		it("should return false for an empty list", () => {
+			strict.equal(matchesAny("https://example.com", []), false);
+		});
+	});
+});
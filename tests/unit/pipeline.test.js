@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for Pipeline Service
+ * Tests URL processing end to end on local files (no browser needed)
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { pathToFileURL } from "node:url";
+import { setOutputDirectory } from "../../src/core/writer.js";
+import { createConfig } from "../../src/services/config.js";
+import { createDuplicateTracker } from "../../src/services/duplicates.js";
+import { processUrl } from "../../src/services/pipeline.js";
+
+const GUIDE = `<html><head><title>Guide</title></head><body><main>
+<h1>Guide</h1>
+<h2 id="install">Install</h2><p>Run the installer.</p>
+<h2 id="config">Configure</h2><p>Edit the config file.</p>
+</main></body></html>`;
+
+describe("Pipeline Service", () => {
+	describe("processUrl", () => {
+		let dir;
+		let pageUrl;
+
+		before(async () => {
+			dir = await mkdtemp(join(tmpdir(), "scrappe-pipeline-"));
+			await writeFile(join(dir, "guide.html"), GUIDE);
+			pageUrl = pathToFileURL(join(dir, "guide.html")).href;
+			setOutputDirectory(join(dir, "out"));
+		});
+
+		after(async () => {
+			await rm(dir, { recursive: true, force: true });
+		});
+
+		it("should capture every fragment section of one page", async () => {
+			const config = createConfig({ outputDir: join(dir, "out") });
+			const runtime = { duplicates: createDuplicateTracker() };
+
+			const results = [];
+			for (const fragment of ["install", "config"]) {
+				results.push(
+					await processUrl(`${pageUrl}#${fragment}`, 0, 2, config, runtime),
+				);
+			}
+
+			strict.deepEqual(
+				results.map((result) => result.success),
+				[true, true],
+			);
+			const section = await readFile(results[1].written.filepath, "utf8");
+			strict.match(section, /Edit the config file/);
+			strict.doesNotMatch(section, /Run the installer/);
+		});
+	});
+});
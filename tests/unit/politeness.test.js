@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Politeness Service
+ * Tests per-host minimum delay, rate limiting and concurrency caps
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createHostLimiter } from "../../src/services/politeness.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Politeness Service", () => {
+	describe("HostLimiter", () => {
+		it("should space requests to the same host by minDelay", async () => {
+			const limiter = createHostLimiter(() => ({ minDelay: 40 }));
+
+			const first = await limiter.acquire("https://a.example.com/1");
+			first.release();
+			const second = await limiter.acquire("https://a.example.com/2");
+			second.release();
+
+			strict.equal(first.waited < 20, true);
+			strict.equal(second.waited >= 30, true);
+		});
+
+		it("should not delay requests to other hosts", async () => {
+			const limiter = createHostLimiter(() => ({ minDelay: 200 }));
+
+			(await limiter.acquire("https://a.example.com/")).release();
+			const other = await limiter.acquire("https://b.example.com/");
+
+			strict.equal(other.waited < 50, true);
+		});
+
+		it("should apply the stricter of config and override delays", async () => {
+			const limiter = createHostLimiter(() => ({ minDelay: 0 }));
+
+			(
+				await limiter.acquire("https://a.example.com/", { minDelay: 40 })
+			).release();
+			const next = await limiter.acquire("https://a.example.com/");
+
+			strict.equal(next.waited >= 30, true);
+		});
+
+		it("should cap requests in flight per host", async () => {
+			const limiter = createHostLimiter(() => ({ maxConcurrent: 1 }));
+			let active = 0;
+			let peak = 0;
+
+			await Promise.all(
+				[1, 2, 3].map(async (n) => {
+					const slot = await limiter.acquire(`https://a.example.com/${n}`);
+					active++;
+					peak = Math.max(peak, active);
+					await sleep(10);
+					active--;
+					slot.release();
+				}),
+			);
+
+			strict.equal(peak, 1);
+		});
+
+		it("should allow a burst then throttle to the rate", async () => {
+			const limiter = createHostLimiter(() => ({
+				requestsPerSecond: 20,
+				burst: 2,
+			}));
+
+			const waits = [];
+			for (let i = 0; i < 3; i++) {
+				const slot = await limiter.acquire("https://a.example.com/");
+				waits.push(slot.waited);
+				slot.release();
+			}
+
+			strict.equal(waits[0] < 20, true);
+			strict.equal(waits[1] < 20, true);
+			strict.equal(waits[2] >= 30, true);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Resource Blocking Module
+ * Tests the request filter and per-page blocked request counts
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	createRequestFilter,
+	setupResourceBlocking,
+} from "../../src/core/resource-blocking.js";
+
+/**
+ * Creates a fake Playwright page recording its route handler
+ * @returns {object} Fake page with request(url, type, options) replaying a request
+ */
+function createFakePage() {
+	const mainFrame = { parentFrame: () => null };
+	const childFrame = { parentFrame: () => mainFrame };
+	let handler = null;
+
+	return {
+		routes: 0,
+		async route(pattern, routeHandler) {
+			this.routes++;
+			handler = routeHandler;
+		},
+		request(url, type, { navigation = false, frame = mainFrame } = {}) {
+			let outcome = "loaded";
+			handler?.({
+				request: () => ({
+					url: () => url,
+					resourceType: () => type,
+					isNavigationRequest: () => navigation,
+					frame: () => frame,
+				}),
+				fallback: () => {},
+				abort: () => {
+					outcome = "blocked";
+				},
+			});
+			return outcome;
+		},
+		childFrame,
+	};
+}
+
+describe("Resource Blocking Module", () => {
+	describe("createRequestFilter", () => {
+		it("should block matching patterns and resource types", () => {
+			const isBlocked = createRequestFilter({
+				patterns: ["**/*.{png,svg}", "/doubleclick\\.net/"],
+				resourceTypes: ["font"],
+			});
+
+			strict.equal(isBlocked("https://example.com/logo.png", "image"), true);
+			strict.equal(isBlocked("https://ad.doubleclick.net/x", "script"), true);
+			strict.equal(isBlocked("https://example.com/a.woff2", "font"), true);
+			strict.equal(isBlocked("https://example.com/app.js", "script"), false);
+		});
+
+		it("should never block allowed URLs", () => {
+			const isBlocked = createRequestFilter({
+				patterns: ["**/*.svg"],
+				resourceTypes: ["image"],
+				allow: ["**/diagrams/**"],
+			});
+
+			strict.equal(
+				isBlocked("https://example.com/diagrams/flow.svg", "image"),
+				false,
+			);
+			strict.equal(isBlocked("https://example.com/icon.svg", "image"), true);
+		});
+	});
+
+	describe("setupResourceBlocking", () => {
+		it("should count blocked requests by type", async () => {
+			const page = createFakePage();
+			const blocked = await setupResourceBlocking(page, {
+				patterns: ["**/ads/**"],
+				resourceTypes: ["image"],
+			});
+
+			strict.equal(
+				page.request("https://example.com/a.png", "image"),
+				"blocked",
+			);
+			strict.equal(
+				page.request("https://example.com/ads/x.js", "script"),
+				"blocked",
+			);
+			strict.equal(
+				page.request("https://example.com/b.png", "image"),
+				"blocked",
+			);
+			strict.equal(
+				page.request("https://example.com/app.js", "script"),
+				"loaded",
+			);
+			strict.deepEqual(blocked, { total: 3, byType: { image: 2, script: 1 } });
+		});
+
+		it("should load the page itself but block matching frames", async () => {
+			const page = createFakePage();
+			await setupResourceBlocking(page, { patterns: ["**/ads/**"] });
+
+			const url = "https://example.com/ads/pricing";
+			strict.equal(
+				page.request(url, "document", { navigation: true }),
+				"loaded",
+			);
+			strict.equal(
+				page.request(url, "document", {
+					navigation: true,
+					frame: page.childFrame,
+				}),
+				"blocked",
+			);
+		});
+
+		it("should not route requests when nothing is blocked", async () => {
+			const page = createFakePage();
+			const blocked = await setupResourceBlocking(page, {
+				patterns: [],
+				allow: ["**/*.svg"],
+			});
+
+			strict.equal(page.routes, 0);
+			strict.deepEqual(blocked, { total: 0, byType: {} });
+		});
+	});
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Robots Service
+ * Tests robots.txt parsing, group selection and rule matching
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	isPathAllowed,
+	parseRobots,
+	selectPolicy,
+} from "../../src/services/robots.js";
+
+const USER_AGENT =
+	"Scrappe-Tout/1.0 (+https://github.com/isSpicyCode/scrappe-tout)";
+
+const ROBOTS = `
+# Global rules
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Crawl-delay: 2
+
+User-agent: googlebot
+User-agent: bingbot
+Disallow: /
+
+User-agent: scrappe-tout
+Disallow: /search
+Disallow: /*.pdf$
+Allow: /search/help
+Crawl-delay: 0.5
+`;
+
+describe("Robots Service", () => {
+	describe("parseRobots", () => {
+		it("should group consecutive user-agent lines", () => {
+			const groups = parseRobots(ROBOTS);
+
+			strict.equal(groups.length, 3);
+			strict.deepEqual(groups[1].agents, ["googlebot", "bingbot"]);
+			strict.equal(groups[0].crawlDelay, 2);
+		});
+	});
+
+	describe("selectPolicy", () => {
+		it("should prefer the group naming our product token", () => {
+			const policy = selectPolicy(parseRobots(ROBOTS), USER_AGENT);
+
+			strict.equal(policy.rules.length, 3);
+			strict.equal(policy.crawlDelay, 0.5);
+		});
+
+		it("should fall back to the * group", () => {
+			const policy = selectPolicy(parseRobots(ROBOTS), "OtherBot/2.0");
+
+			strict.equal(policy.crawlDelay, 2);
+			strict.equal(isPathAllowed(policy.rules, "/private/page"), false);
+			strict.equal(isPathAllowed(policy.rules, "/private/public-page"), true);
+		});
+
+		it("should match the whole product token, whatever its case", () => {
+			const groups = parseRobots(
+				"User-agent: bot\nUser-agent:\nDisallow: /\n\nUser-agent: SCRAPPE-TOUT\nDisallow: /drafts\n\nUser-agent: *\nDisallow: /tmp",
+			);
+
+			strict.deepEqual(selectPolicy(groups, USER_AGENT).rules, [
+				{ allow: false, path: "/drafts" },
+			]);
+			strict.deepEqual(selectPolicy(groups, "Scrappe-Tout-Bot/1.0").rules, [
+				{ allow: false, path: "/tmp" },
+			]);
+		});
+	});
+
+	describe("isPathAllowed", () => {
+		const { rules } = selectPolicy(parseRobots(ROBOTS), USER_AGENT);
+
+		it("should use the longest matching rule", () => {
+			strict.equal(isPathAllowed(rules, "/search?q=docs"), false);
+			strict.equal(isPathAllowed(rules, "/search/help"), true);
+		});
+
+		it("should support * and $ in rules", () => {
+			strict.equal(isPathAllowed(rules, "/files/guide.pdf"), false);
+			strict.equal(isPathAllowed(rules, "/files/guide.pdf?v=2"), true);
+		});
+
+		it("should allow paths without a matching rule", () => {
+			strict.equal(isPathAllowed(rules, "/docs/intro"), true);
+		});
+	});
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Scraper Module
+ * Tests when the fetch engine keeps the fetched HTML and when it needs the browser
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { scrapeUrl } from "../../src/core/scraper.js";
+import { ErrorType, ScrapingError } from "../../src/services/error.js";
+import { DEFAULT_CONFIG } from "../../src/utils/constants.js";
+
+const PAGE_URL = "https://docs.example.com/guide/";
+
+const ARTICLE = `<html><head><title>Guide</title></head><body>
+<main><h1>Guide</h1><p>${"Static content rendered on the server. ".repeat(10)}</p></main>
+</body></html>`;
+
+/**
+ * Scrapes a page with the fetch engine and reports which engine ran
+ * The pool fails on purpose: reaching it means the browser was chosen
+ *
+ * @param {object} options - Scraping options of the URL
+ * @param {string} html - HTML served to the fetch engine
+ * @returns {Promise<string>} "fetch" or "browser"
+ */
+async function scrapeWithEngine(options, html = ARTICLE) {
+	const pool = {
+		acquire: async () => {
+			throw new ScrapingError("browser", ErrorType.NETWORK, {
+				nonRetryable: true,
+			});
+		},
+	};
+	const fetch = async () =>
+		new Response(html, { headers: { "content-type": "text/html" } });
+
+	try {
+		const scraped = await scrapeUrl(PAGE_URL, {
+			...DEFAULT_CONFIG,
+			...options,
+			engine: "fetch",
+			pool,
+			fetch,
+		});
+		return scraped.engine;
+	} catch (error) {
+		if (error.message === "browser") return "browser";
+		throw error;
+	}
+}
+
+describe("Scraper Module", () => {
+	describe("scrapeUrl with the fetch engine", () => {
+		it("should keep the fetched HTML with the default settings", async () => {
+			strict.equal(await scrapeWithEngine({}), "fetch");
+		});
+
+		it("should use the browser when page interactions are set", async () => {
+			strict.equal(
+				await scrapeWithEngine({ wait: [{ type: "selector", value: "main" }] }),
+				"browser",
+			);
+			strict.equal(
+				await scrapeWithEngine({
+					scroll: { ...DEFAULT_CONFIG.scroll, enabled: true },
+				}),
+				"browser",
+			);
+			strict.equal(
+				await scrapeWithEngine({
+					consent: { ...DEFAULT_CONFIG.consent, selectors: ["#cookies .ok"] },
+				}),
+				"browser",
+			);
+			strict.equal(
+				await scrapeWithEngine({
+					expand: { ...DEFAULT_CONFIG.expand, tabs: ".tab-button" },
+				}),
+				"browser",
+			);
+		});
+
+		it("should use the browser for frames unless flattening is off", async () => {
+			const html = ARTICLE.replace(
+				"</main>",
+				'<iframe src="/embed/api.html"></iframe></main>',
+			);
+
+			strict.equal(await scrapeWithEngine({}, html), "browser");
+			strict.equal(await scrapeWithEngine({ flatten: false }, html), "fetch");
+		});
+	});
+});
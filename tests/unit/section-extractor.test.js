@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Section Extractor Module
+ * Tests fragment parsing, section boundaries and the full-page fallback
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import { convertToMarkdown } from "../../src/core/converter.js";
+import {
+	extractSection,
+	getSectionFragment,
+} from "../../src/core/section-extractor.js";
+
+/**
+ * Builds a documentation page with several sections
+ * @param {string} body - Body HTML
+ * @returns {string} HTML document
+ */
+function page(body) {
+	return `<html><head><title>Guide</title></head><body>${body}</body></html>`;
+}
+
+const GUIDE = page(`<main>
+<h1>Guide</h1><p>Intro text.</p>
+<h2 id="install">Install</h2><p>Run the installer.</p>
+<h3 id="linux">Linux</h3><p>Use the package manager.</p>
+<h2 id="config">Config</h2><p>Edit the config file.</p>
+</main>`);
+
+describe("Section Extractor Module", () => {
+	describe("getSectionFragment", () => {
+		it("should return the decoded fragment of section links", () => {
+			strict.equal(
+				getSectionFragment("https://example.com/guide#install"),
+				"install",
+			);
+			strict.equal(
+				getSectionFragment("https://example.com/guide#d%C3%A9marrage"),
+				"démarrage",
+			);
+		});
+
+		it("should ignore missing fragments, client routes and text fragments", () => {
+			strict.equal(getSectionFragment("https://example.com/guide"), null);
+			strict.equal(
+				getSectionFragment("https://example.com/#/docs/intro"),
+				null,
+			);
+			strict.equal(getSectionFragment("https://example.com/#!/docs"), null);
+			strict.equal(
+				getSectionFragment("https://example.com/guide#:~:text=install"),
+				null,
+			);
+		});
+	});
+
+	describe("extractSection", () => {
+		it("should keep the heading and its subsections up to the next heading of the same level", () => {
+			const section = extractSection(GUIDE, "install");
+
+			strict.equal(section.found, true);
+			strict.equal(section.heading, "Install");
+			strict.match(section.html, /Run the installer/);
+			strict.match(section.html, /Use the package manager/);
+			strict.doesNotMatch(section.html, /Intro text|Edit the config file/);
+			strict.match(section.html, /<title>Guide<\/title>/);
+		});
+
+		it("should stop a subsection at the next heading of higher level", () => {
+			const section = extractSection(GUIDE, "linux");
+
+			strict.match(section.html, /Use the package manager/);
+			strict.doesNotMatch(section.html, /Edit the config file/);
+		});
+
+		it("should resolve empty anchors and permalink-wrapped headings", () => {
+			const html = page(`<main>
+<a name="usage"></a><h2>Usage</h2><p>Call the API.</p>
+<div class="heading"><h2 id="faq">FAQ</h2><a href="#faq">#</a></div>
+<p>Frequently asked.</p>
+<h2>Changelog</h2><p>Fixes.</p>
+</main>`);
+
+			strict.match(extractSection(html, "usage").html, /Call the API/);
+			const faq = extractSection(html, "faq");
+			strict.match(faq.html, /Frequently asked/);
+			strict.doesNotMatch(faq.html, /Call the API|Fixes/);
+		});
+
+		it("should keep a sectioning element the fragment points to", () => {
+			const html = page(
+				`<section id="api"><h2>API</h2><p>Methods.</p></section><p>Footer.</p>`,
+			);
+
+			const section = extractSection(html, "api");
+
+			strict.equal(section.heading, "API");
+			strict.doesNotMatch(section.html, /Footer/);
+		});
+
+		it("should keep the full page when the fragment matches nothing", () => {
+			const section = extractSection(GUIDE, "missing");
+
+			strict.equal(section.found, false);
+			strict.equal(section.html, GUIDE);
+		});
+	});
+
+	describe("convertToMarkdown", () => {
+		it("should convert only the section and record it", async () => {
+			const result = await convertToMarkdown(GUIDE, {
+				section: "config",
+				mainContent: { enabled: true, minConfidence: 0.4 },
+			});
+
+			strict.match(result.markdown, /Edit the config file/);
+			strict.doesNotMatch(result.markdown, /Run the installer/);
+			strict.deepEqual(result.section, {
+				fragment: "config",
+				heading: "Config",
+				found: true,
+			});
+			strict.equal(result.mainContent, null);
+		});
+	});
+});
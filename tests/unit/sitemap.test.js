@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for Sitemap Service
+ * Tests sitemap parsing, nested indexes, gzip and filtering
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { gzipSync } from "node:zlib";
+import { loadSitemapUrls, parseSitemap } from "../../src/services/sitemap.js";
+
+const TEST_DIR = join(tmpdir(), `scrappe-tout-sitemap-${Date.now()}`);
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://docs.example.com/guides/intro</loc><lastmod>2026-03-01</lastmod></url>
+  <url><loc>https://docs.example.com/guides/old</loc><lastmod>2024-01-01</lastmod></url>
+  <url><loc><![CDATA[https://docs.example.com/blog/post?a=1&amp;b=2]]></loc></url>
+</urlset>`;
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>pages.xml.gz</loc></sitemap>
+  <sitemap><loc>pages.xml.gz</loc></sitemap>
+</sitemapindex>`;
+
+describe("Sitemap Service", () => {
+	before(async () => {
+		await mkdir(TEST_DIR, { recursive: true });
+		await writeFile(join(TEST_DIR, "pages.xml.gz"), gzipSync(URLSET));
+		await writeFile(join(TEST_DIR, "sitemap.xml"), INDEX);
+	});
+
+	after(async () => {
+		await rm(TEST_DIR, { recursive: true, force: true });
+	});
+
+	describe("parseSitemap", () => {
+		it("should parse url entries with lastmod", () => {
+			const { type, entries } = parseSitemap(URLSET);
+
+			strict.equal(type, "urlset");
+			strict.equal(entries.length, 3);
+			strict.deepEqual(entries[0], {
+				loc: "https://docs.example.com/guides/intro",
+				lastmod: "2026-03-01",
+			});
+		});
+
+		it("should parse sitemap indexes", () => {
+			const { type, entries } = parseSitemap(INDEX);
+
+			strict.equal(type, "index");
+			strict.equal(entries[0].loc, "pages.xml.gz");
+		});
+	});
+
+	describe("loadSitemapUrls", () => {
+		it("should follow nested gzipped sitemaps once", async () => {
+			const urls = await loadSitemapUrls(join(TEST_DIR, "sitemap.xml"));
+
+			strict.deepEqual(urls, [
+				"https://docs.example.com/guides/intro",
+				"https://docs.example.com/guides/old",
+				"https://docs.example.com/blog/post?a=1&b=2",
+			]);
+		});
+
+		it("should filter by pattern and lastmod", async () => {
+			const urls = await loadSitemapUrls(join(TEST_DIR, "sitemap.xml"), {
+				include: ["**/guides/**"],
+				since: "2025-01-01",
+			});
+
+			strict.deepEqual(urls, ["https://docs.example.com/guides/intro"]);
+		});
+
+		it("should skip nested sitemaps that cannot be read", async () => {
+			await writeFile(
+				join(TEST_DIR, "broken.xml.gz"),
+				Buffer.from([0x1f, 0x8b, 1]),
+			);
+			await writeFile(
+				join(TEST_DIR, "partial.xml"),
+				INDEX.replace(
+					"<sitemap><loc>pages.xml.gz</loc></sitemap>",
+					"<sitemap><loc>missing.xml</loc></sitemap><sitemap><loc>broken.xml.gz</loc></sitemap>",
+				),
+			);
+
+			const urls = await loadSitemapUrls(join(TEST_DIR, "partial.xml"));
+
+			strict.equal(urls.length, 3);
+			await strict.rejects(loadSitemapUrls(join(TEST_DIR, "missing.xml")));
+		});
+
+		it("should send the user agent with remote sitemaps", async () => {
+			const requests = [];
+			const fetch = async (url, init) => {
+				requests.push({ url, init });
+				return new Response(URLSET);
+			};
+
+			await loadSitemapUrls("https://docs.example.com/sitemap.xml", {
+				fetch,
+				userAgent: "Scrappe-Tout/1.0",
+			});
+
+			strict.deepEqual(requests, [
+				{
+					url: "https://docs.example.com/sitemap.xml",
+					init: { headers: { "User-Agent": "Scrappe-Tout/1.0" } },
+				},
+			]);
+		});
+	});
+});
@@ -78,6 +78,134 @@ describe("Stats Module", () => {
 			strict.equal(stats.errors.length, 1);
 		});
 
+		it("should list failed URLs with their HTTP status", () => {
+			const results = [
+				{
+					success: false,
+					url: "https://example.com/missing",
+					status: 404,
+					error: { message: "HTTP 404", code: "HTTP_ERROR" },
+				},
+			];
+
+			const stats = generateStats(results);
+
+			strict.deepEqual(stats.failures, [
+				{
+					url: "https://example.com/missing",
+					status: 404,
+					code: "HTTP_ERROR",
+					message: "HTTP 404",
+				},
+			]);
+		});
+
+		it("should report browser pool and acquire timings", () => {
+			const results = [
+				{
+					success: true,
+					scraped: { duration: 100, acquireDuration: 400 },
+					converted: { duration: 50 },
+					written: { skipped: false },
+					totalDuration: 550,
+				},
+				{
+					success: true,
+					scraped: { duration: 120, acquireDuration: 10 },
+					converted: { duration: 40 },
+					written: { skipped: false },
+					totalDuration: 170,
+				},
+			];
+
+			const stats = generateStats(results, {
+				wallDuration: 900,
+				browser: { launches: 1, launchDuration: 380 },
+			});
+
+			strict.equal(stats.wallDuration, 900);
+			strict.equal(stats.avgAcquireDuration, 205);
+			strict.equal(stats.browserLaunches, 1);
+			strict.equal(stats.browserLaunchDuration, 380);
+		});
+
+		it("should count engines and browser fallbacks", () => {
+			const page = (scraped) => ({
+				success: true,
+				scraped: { duration: 10, ...scraped },
+				converted: { duration: 5 },
+				written: { skipped: false },
+				totalDuration: 15,
+			});
+
+			const stats = generateStats([
+				page({ engine: "fetch" }),
+				page({ engine: "fetch" }),
+				page({ engine: "browser", fallbackReason: "app-root" }),
+			]);
+
+			strict.deepEqual(stats.engines, { fetch: 2, browser: 1 });
+			strict.equal(stats.fallbacks, 1);
+		});
+
+		it("should count pages narrowed to their main content", () => {
+			const page = (mainContent) => ({
+				success: true,
+				scraped: { duration: 10, engine: "browser" },
+				converted: { duration: 5, mainContent },
+				written: { skipped: false },
+				totalDuration: 15,
+			});
+
+			const stats = generateStats([
+				page({ selector: "article", confidence: 0.9, applied: true }),
+				page({ selector: "main", confidence: 0.6, applied: true }),
+				page({ selector: "div.c", confidence: 0.2, applied: false }),
+				page(null),
+			]);
+
+			strict.deepEqual(stats.mainContent, {
+				applied: 2,
+				fullPage: 1,
+				confidence: 0.75,
+			});
+		});
+
+		it("should add up blocked requests", () => {
+			const page = (blocked) => ({
+				success: true,
+				scraped: { duration: 10, engine: "browser", blocked },
+				converted: { duration: 5 },
+				written: { skipped: false },
+				totalDuration: 15,
+			});
+
+			const stats = generateStats([
+				page({ total: 4, byType: { image: 4 } }),
+				page(null),
+				page({ total: 2, byType: { font: 2 } }),
+			]);
+
+			strict.equal(stats.blockedRequests, 6);
+		});
+
+		it("should count skipped URLs by reason without failing them", () => {
+			const results = [
+				{
+					success: false,
+					skipped: true,
+					skipReason: "robots",
+					url: "https://example.com/private",
+				},
+			];
+
+			const stats = generateStats(results);
+
+			strict.equal(stats.failed, 0);
+			strict.equal(stats.errors.length, 0);
+			strict.deepEqual(stats.skippedByReason, { robots: 1 });
+		});
+
 		it("should handle empty results", () => {
 			const stats = generateStats([]);
 
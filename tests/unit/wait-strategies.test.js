@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for Wait Strategies
+ * Tests step ordering, per-step timeouts and content timeout classification
+ */
+
+import { strict } from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	applyWaitStrategies,
+	describeWaitStep,
+} from "../../src/core/wait-strategies.js";
+import { ErrorType } from "../../src/services/error.js";
+
+/**
+ * Creates a fake page recording wait calls
+ * @param {object} failures - Methods that should throw a TimeoutError
+ * @returns {object} Fake page with a calls array
+ */
+function createFakePage(failures = {}) {
+	const calls = [];
+	const record =
+		(name) =>
+		async (...args) => {
+			calls.push([name, ...args]);
+			if (failures[name]) {
+				const error = new Error(`${name} timed out`);
+				error.name = "TimeoutError";
+				throw error;
+			}
+		};
+
+	return {
+		calls,
+		waitForSelector: record("waitForSelector"),
+		waitForFunction: record("waitForFunction"),
+		waitForLoadState: record("waitForLoadState"),
+		waitForTimeout: record("waitForTimeout"),
+	};
+}
+
+describe("Wait Strategies", () => {
+	describe("applyWaitStrategies", () => {
+		it("should run every step in order with its own timeout", async () => {
+			const page = createFakePage();
+
+			await applyWaitStrategies(page, [
+				{ type: "selector", value: "main h1", timeout: 3000 },
+				{ type: "networkIdle" },
+				{ type: "function", value: "window.ready", timeout: 2000 },
+				{ type: "delay", value: 50 },
+			]);
+
+			strict.deepEqual(page.calls, [
+				["waitForSelector", "main h1", { state: "visible", timeout: 3000 }],
+				["waitForLoadState", "networkidle", { timeout: 10000 }],
+				["waitForFunction", "window.ready", undefined, { timeout: 2000 }],
+				["waitForTimeout", 50],
+			]);
+		});
+
+		it("should classify a step timeout as CONTENT_TIMEOUT", async () => {
+			const page = createFakePage({ waitForSelector: true });
+
+			await strict.rejects(
+				applyWaitStrategies(
+					page,
+					[{ type: "selector", value: "#app", timeout: 500 }],
+					"https://example.com/",
+				),
+				(error) => {
+					strict.equal(error.code, ErrorType.CONTENT_TIMEOUT);
+					strict.equal(error.context.wait, 'selector "#app"');
+					strict.equal(error.context.nonRetryable, true);
+					return true;
+				},
+			);
+		});
+
+		it("should let other errors through unchanged", async () => {
+			const page = createFakePage();
+			page.waitForSelector = async () => {
+				throw new Error("Target closed");
+			};
+
+			await strict.rejects(
+				applyWaitStrategies(page, [{ type: "selector", value: "#app" }]),
+				/Target closed/,
+			);
+		});
+	});
+
+	describe("describeWaitStep", () => {
+		it("should describe each step type", () => {
+			strict.equal(describeWaitStep({ type: "networkIdle" }), "network idle");
+			strict.equal(
+				describeWaitStep({ type: "delay", value: 200 }),
+				"delay 200ms",
+			);
+		});
+	});
+});
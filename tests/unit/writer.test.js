@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Writer Module
+ * Tests capture files written next to the Markdown
+ */
+
+import { strict } from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+	generateFilename,
+	sanitizeFilename,
+	writeCaptures,
+} from "../../src/core/writer.js";
+
+describe("Writer Module", () => {
+	describe("sanitizeFilename", () => {
+		it("should name pages after their domain and path", () => {
+			strict.equal(
+				sanitizeFilename("https://docs.example.com/guide/install.html#linux"),
+				"example-com-guide-install-linux",
+			);
+		});
+
+		it("should name local files after their last directories", () => {
+			strict.equal(
+				sanitizeFilename("file:///home/me/mirror/docs/guide/install.html"),
+				"docs-guide-install",
+			);
+			strict.equal(
+				sanitizeFilename("file:///home/me/mirror/docs/My%20Guide/index.html"),
+				"mirror-docs-My-Guide",
+			);
+		});
+	});
+
+	describe("writeCaptures", () => {
+		let dir;
+
+		before(async () => {
+			dir = await mkdtemp(join(tmpdir(), "scrappe-writer-"));
+		});
+
+		after(async () => {
+			await rm(dir, { recursive: true, force: true });
+		});
+
+		it("should reuse the Markdown base name for each capture", async () => {
+			const url = "https://docs.example.com/guide/install";
+			const base = generateFilename(url).replace(/\.md$/, "");
+
+			const paths = await writeCaptures(
+				url,
+				{ screenshot: Buffer.from("png"), pdf: Buffer.from("pdf") },
+				{ outputDir: dir },
+			);
+
+			strict.deepEqual(paths, {
+				screenshot: join(dir, `${base}.png`),
+				pdf: join(dir, `${base}.pdf`),
+			});
+			strict.equal(await readFile(paths.pdf, "utf8"), "pdf");
+		});
+
+		it("should write nothing without captures", async () => {
+			strict.deepEqual(
+				await writeCaptures("https://example.com/a", undefined, {
+					outputDir: dir,
+				}),
+				{},
+			);
+		});
+	});
+});